@@ -3,9 +3,25 @@ import cors from 'cors';
 import multer from 'multer';
 import * as fs from 'node:fs';
 import path from 'node:path';
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegStatic from 'ffmpeg-static';
-import { S3Client, PutObjectCommand, GetObjectCommand, CopyObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  HeadObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
 
 /*
  * The Gargantuan backend – v1.6.0
@@ -37,16 +53,63 @@ const S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || '';
 const S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || '';
 const S3_BUCKET = process.env.S3_BUCKET || '';
 const S3_PUBLIC_BASE = process.env.S3_PUBLIC_BASE || '';
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (S3_ENDPOINT && S3_BUCKET ? 's3' : 'fs');
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || path.join(process.cwd(), 'data'));
 const PORT = parseInt(process.env.PORT || '10000', 10);
 
 // -----------------------------------------------------------------------------
-// S3 / R2 client
+// Storage drivers
 //
+// All media and metadata go through a small storage adapter so the routes never
+// need to know where the bytes actually live.  Two drivers are available:
+//
+//   * `s3` – Cloudflare R2 (or any S3 compatible store) via the AWS SDK v3.
+//   * `fs` – a directory on the local disk that mirrors the bucket layout
+//            (`posts/`, `posts/.trash/`, `images/`).  This lets the whole API
+//            run offline without a bucket.
+//
+// The driver is picked with STORAGE_DRIVER.  When it is not set we use `s3` if
+// an endpoint and bucket are configured and fall back to `fs` otherwise.
+//
+// Every driver exposes the same methods – putObject, putFile, getObject,
+// getObjectWithEtag, headObject, getObjectStream, listObjects, copyObject,
+// deleteObject and downloadToTemp – with S3 semantics: copying a missing key throws, deleting a missing key is a
+// no‑op and reading a missing key resolves to undefined.
+//
+// putObject accepts `{ ifMatch, ifNoneMatch }` for conditional writes.  When
+// the condition does not hold the driver throws an error whose `code` is
+// `PreconditionFailed`, which lets callers re-read and retry.
+//
+// putFile stores a local file without reading it into memory.  On S3, files
+// over MULTIPART_THRESHOLD are sent as a multipart upload, one
+// MULTIPART_PART_SIZE part at a time.
+const MULTIPART_THRESHOLD = 16 * 1024 * 1024;
+const MULTIPART_PART_SIZE = 8 * 1024 * 1024;
+
+// Build the error thrown by drivers when a conditional write is rejected.
+function preconditionFailed(key) {
+  const err = new Error(`precondition failed for ${key}`);
+  err.code = 'PreconditionFailed';
+  return err;
+}
+
+// Convert a stream into a string; used for reading meta.json.
+async function streamToString(stream) {
+  return await new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+  });
+}
+
 // Cloudflare R2 is S3 compatible, so we use the AWS SDK v3 to talk to it.  The
 // endpoint, access key and secret are all supplied via environment variables.
-let s3Client = null;
-if (S3_ENDPOINT && S3_BUCKET) {
-  s3Client = new S3Client({
+function createS3Storage() {
+  if (!S3_ENDPOINT || !S3_BUCKET) {
+    throw new Error('STORAGE_DRIVER=s3 requires S3_ENDPOINT and S3_BUCKET');
+  }
+  const client = new S3Client({
     region: 'auto',
     endpoint: S3_ENDPOINT,
     credentials: {
@@ -54,8 +117,306 @@ if (S3_ENDPOINT && S3_BUCKET) {
       secretAccessKey: S3_SECRET_ACCESS_KEY,
     },
   });
+
+  return {
+    driver: 's3',
+
+    async putObject(key, body, contentType = 'application/octet-stream', { ifMatch, ifNoneMatch } = {}) {
+      try {
+        const resp = await client.send(new PutObjectCommand({
+          Bucket: S3_BUCKET,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          IfMatch: ifMatch,
+          IfNoneMatch: ifNoneMatch,
+        }));
+        return resp.ETag;
+      } catch (err) {
+        // 412 when the ETag no longer matches, 409 when a concurrent
+        // conditional write to the same key won the race.
+        const status = err.$metadata?.httpStatusCode;
+        if (status === 412 || status === 409) throw preconditionFailed(key);
+        throw err;
+      }
+    },
+
+    async putFile(key, file, contentType = 'application/octet-stream') {
+      const { size } = await fs.promises.stat(file);
+      if (size <= MULTIPART_THRESHOLD) {
+        await client.send(new PutObjectCommand({
+          Bucket: S3_BUCKET,
+          Key: key,
+          Body: fs.createReadStream(file),
+          ContentLength: size,
+          ContentType: contentType,
+        }));
+        return;
+      }
+      const { UploadId } = await client.send(new CreateMultipartUploadCommand({ Bucket: S3_BUCKET, Key: key, ContentType: contentType }));
+      const handle = await fs.promises.open(file, 'r');
+      try {
+        const parts = [];
+        for (let offset = 0, PartNumber = 1; offset < size; offset += MULTIPART_PART_SIZE, PartNumber++) {
+          const length = Math.min(MULTIPART_PART_SIZE, size - offset);
+          const { buffer } = await handle.read(Buffer.alloc(length), 0, length, offset);
+          const resp = await client.send(new UploadPartCommand({ Bucket: S3_BUCKET, Key: key, UploadId, PartNumber, Body: buffer }));
+          parts.push({ ETag: resp.ETag, PartNumber });
+        }
+        await client.send(new CompleteMultipartUploadCommand({
+          Bucket: S3_BUCKET,
+          Key: key,
+          UploadId,
+          MultipartUpload: { Parts: parts },
+        }));
+      } catch (err) {
+        await client.send(new AbortMultipartUploadCommand({ Bucket: S3_BUCKET, Key: key, UploadId })).catch(() => {});
+        throw err;
+      } finally {
+        await handle.close();
+      }
+    },
+
+    async getObject(key) {
+      try {
+        const data = await client.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+        return await streamToString(data.Body);
+      } catch (err) {
+        return undefined;
+      }
+    },
+
+    // Unlike getObject, only a missing key resolves to undefined; any other
+    // failure is rethrown so callers never mistake an outage for an empty
+    // object and overwrite it.
+    async getObjectWithEtag(key) {
+      try {
+        const data = await client.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+        return { body: await streamToString(data.Body), etag: data.ETag };
+      } catch (err) {
+        if (err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404) return undefined;
+        throw err;
+      }
+    },
+
+    // Describe an object as `{ size, etag, lastModified, contentType }`, or
+    // undefined if it doesn't exist.
+    async headObject(key) {
+      try {
+        const resp = await client.send(new HeadObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+        return { size: resp.ContentLength, etag: resp.ETag, lastModified: resp.LastModified, contentType: resp.ContentType };
+      } catch (err) {
+        if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) return undefined;
+        throw err;
+      }
+    },
+
+    // A readable stream of the object, or of the inclusive byte `range`
+    // `{ start, end }` when given.
+    async getObjectStream(key, range) {
+      const data = await client.send(new GetObjectCommand({
+        Bucket: S3_BUCKET,
+        Key: key,
+        Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+      }));
+      return data.Body;
+    },
+
+    async listObjects(prefix) {
+      const results = [];
+      let ContinuationToken;
+      do {
+        const resp = await client.send(new ListObjectsV2Command({ Bucket: S3_BUCKET, Prefix: prefix, ContinuationToken }));
+        (resp.Contents || []).forEach((item) => results.push(item));
+        ContinuationToken = resp.IsTruncated ? resp.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return results;
+    },
+
+    async copyObject(srcKey, dstKey) {
+      await client.send(new CopyObjectCommand({
+        Bucket: S3_BUCKET,
+        CopySource: `${S3_BUCKET}/${srcKey}`,
+        Key: dstKey,
+      }));
+    },
+
+    async deleteObject(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+    },
+
+    async downloadToTemp(key) {
+      try {
+        const data = await client.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+        const localPath = tempPath(path.basename(key));
+        await new Promise((resolve, reject) => {
+          const stream = fs.createWriteStream(localPath);
+          data.Body.pipe(stream);
+          stream.on('finish', resolve);
+          stream.on('error', reject);
+        });
+        return localPath;
+      } catch (err) {
+        return undefined;
+      }
+    },
+  };
+}
+
+// Local filesystem driver.  Keys map directly onto paths below `root`, so
+// `posts/123.mp3` lives at `<root>/posts/123.mp3`.  Keys that would escape the
+// root (e.g. via `..`) are rejected.
+function createFsStorage(root) {
+  fs.mkdirSync(root, { recursive: true });
+
+  function resolveKey(key) {
+    const full = path.resolve(root, key);
+    if (full !== root && !full.startsWith(root + path.sep)) {
+      throw new Error(`invalid storage key: ${key}`);
+    }
+    return full;
+  }
+
+  function toKey(full) {
+    return path.relative(root, full).split(path.sep).join('/');
+  }
+
+  // ETags are the quoted MD5 of the content, as S3 reports for simple uploads.
+  function etagOf(content) {
+    return `"${crypto.createHash('md5').update(content).digest('hex')}"`;
+  }
+
+  async function readIfExists(full) {
+    try {
+      return await fs.promises.readFile(full);
+    } catch (err) {
+      if (err.code === 'ENOENT') return undefined;
+      throw err;
+    }
+  }
+
+  return {
+    driver: 'fs',
+    root,
+
+    async putObject(key, body, _contentType, { ifMatch, ifNoneMatch } = {}) {
+      const full = resolveKey(key);
+      if (ifMatch || ifNoneMatch) {
+        const current = await readIfExists(full);
+        if (ifNoneMatch === '*' && current !== undefined) throw preconditionFailed(key);
+        if (ifMatch && (current === undefined || etagOf(current) !== ifMatch)) throw preconditionFailed(key);
+      }
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      await fs.promises.writeFile(full, body);
+      return etagOf(body);
+    },
+
+    // Copy to a temporary name first so readers never see a partial file.
+    async putFile(key, file) {
+      const full = resolveKey(key);
+      const partial = `${full}.${crypto.randomBytes(4).toString('hex')}.partial`;
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      try {
+        await fs.promises.copyFile(file, partial);
+        await fs.promises.rename(partial, full);
+      } finally {
+        await fs.promises.rm(partial, { force: true });
+      }
+    },
+
+    async getObject(key) {
+      try {
+        return await fs.promises.readFile(resolveKey(key), 'utf-8');
+      } catch (err) {
+        return undefined;
+      }
+    },
+
+    async getObjectWithEtag(key) {
+      const content = await readIfExists(resolveKey(key));
+      if (content === undefined) return undefined;
+      return { body: content.toString('utf-8'), etag: etagOf(content) };
+    },
+
+    // Files have no stored ETag, so like most static file servers we derive
+    // one from the size and modification time.
+    async headObject(key) {
+      try {
+        const stat = await fs.promises.stat(resolveKey(key));
+        if (!stat.isFile()) return undefined;
+        return {
+          size: stat.size,
+          etag: `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+          lastModified: stat.mtime,
+          contentType: undefined,
+        };
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return undefined;
+        throw err;
+      }
+    },
+
+    async getObjectStream(key, range) {
+      return fs.createReadStream(resolveKey(key), range ? { start: range.start, end: range.end } : undefined);
+    },
+
+    // Walk the deepest directory named by the prefix and keep every file whose
+    // key starts with it.  Like S3, `posts/` also matches `posts/.trash/…`.
+    async listObjects(prefix) {
+      const results = [];
+      const startDir = resolveKey(prefix.slice(0, prefix.lastIndexOf('/') + 1));
+      async function walk(dir) {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+        for (const entry of entries) {
+          const full = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(full);
+          } else if (entry.isFile()) {
+            const key = toKey(full);
+            // Skip files putFile() is still writing.
+            if (!key.startsWith(prefix) || key.endsWith('.partial')) continue;
+            const stat = await fs.promises.stat(full);
+            results.push({ Key: key, LastModified: stat.mtime, Size: stat.size });
+          }
+        }
+      }
+      await walk(startDir);
+      return results.sort((a, b) => (a.Key < b.Key ? -1 : a.Key > b.Key ? 1 : 0));
+    },
+
+    async copyObject(srcKey, dstKey) {
+      const dst = resolveKey(dstKey);
+      await fs.promises.mkdir(path.dirname(dst), { recursive: true });
+      await fs.promises.copyFile(resolveKey(srcKey), dst);
+    },
+
+    async deleteObject(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async downloadToTemp(key) {
+      try {
+        const localPath = tempPath(path.basename(key));
+        await fs.promises.copyFile(resolveKey(key), localPath);
+        return localPath;
+      } catch (err) {
+        return undefined;
+      }
+    },
+  };
 }
 
+let storage;
+if (STORAGE_DRIVER === 's3') storage = createS3Storage();
+else if (STORAGE_DRIVER === 'fs') storage = createFsStorage(STORAGE_DIR);
+else throw new Error(`unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`);
+
 // -----------------------------------------------------------------------------
 // Temporary upload directory
 //
@@ -66,139 +427,669 @@ if (S3_ENDPOINT && S3_BUCKET) {
 const TEMP_DIR = path.join(process.cwd(), 'uploads');
 if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
 
+// A fresh path in the temp directory ending in `name`.  Every temporary file
+// gets its own, so concurrent work on the same post never shares a file.
+function tempPath(name) {
+  return path.join(TEMP_DIR, `${crypto.randomBytes(6).toString('hex')}-${name}`);
+}
+
 // Configure multer to write files into the temp directory.  We rely on the
 // incoming filename for its extension then normalise it with a timestamp to
-// derive a unique post identifier.
-const upload = multer({ dest: TEMP_DIR });
+// derive a unique post identifier.  Uploads stream to disk, never into memory,
+// and each kind has its own size limit in bytes (AUDIO_MAX_MB and
+// IMAGE_MAX_MB, defaulting to 500 and 25); anything bigger gets a 413.
+const UPLOAD_LIMITS = {
+  audio: Math.round((parseFloat(process.env.AUDIO_MAX_MB) || 500) * 1024 * 1024),
+  image: Math.round((parseFloat(process.env.IMAGE_MAX_MB) || 25) * 1024 * 1024),
+  captions: Math.round((parseFloat(process.env.CAPTIONS_MAX_MB) || 2) * 1024 * 1024),
+};
+// Room for the multipart boundaries and other form fields around the file.
+const MULTIPART_OVERHEAD = 64 * 1024;
 
-// Helper to require an admin token on write endpoints.  If no ADMIN_TOKEN is
-// configured then all requests are allowed (useful for local development).
-function requireAdmin(req, res, next) {
-  if (!ADMIN_TOKEN) return next();
-  const provided = req.get('x-admin-token');
-  if (provided !== ADMIN_TOKEN) return res.status(401).json({ error: 'unauthorized' });
-  next();
+function payloadTooLarge(res, kind) {
+  const limit = UPLOAD_LIMITS[kind];
+  return res.status(413).json({ error: `${kind} file too large (limit ${+(limit / 1024 / 1024).toFixed(1)} MB)`, limit });
+}
+
+// Middleware accepting a single file of `kind` in the form field of the same
+// name.  Requests whose Content-Length is already over the limit are refused
+// before any of the body is read.
+function uploadFile(kind) {
+  const single = multer({ dest: TEMP_DIR, limits: { fileSize: UPLOAD_LIMITS[kind], files: 1 } }).single(kind);
+  return (req, res, next) => {
+    if (parseInt(req.get('content-length'), 10) > UPLOAD_LIMITS[kind] + MULTIPART_OVERHEAD) {
+      res.set('Connection', 'close');
+      return payloadTooLarge(res, kind);
+    }
+    single(req, res, (err) => {
+      if (err?.code === 'LIMIT_FILE_SIZE') return payloadTooLarge(res, kind);
+      if (err) return res.status(400).json({ error: err.message });
+      next();
+    });
+  };
 }
 
 // -----------------------------------------------------------------------------
-// R2 helper functions
+// Accounts and permissions
+//
+// Requests authenticate with `Authorization: Bearer <token>`, where the token
+// is either a session token from `/api/auth/login` (prefix `gs_`) or an API
+// key created by an admin (prefix `gk_`).  Users, API keys and sessions live
+// in `auth/store.json`; passwords are hashed with scrypt and tokens are only
+// stored as SHA-256 hashes, so the store never contains a usable secret.
+//
+// Routes check permissions rather than roles.  A user's role grants a fixed
+// set; an API key carries an explicit subset of its creator's permissions:
+//
+//   posts:read      see drafts, scheduled posts, trash, revisions and jobs
+//   posts:write     create, upload, edit, publish and schedule posts, render
+//                   videos, restore revisions
+//   posts:delete    move posts to the trash and restore them
+//   trash:purge     permanently delete posts
+//   settings:write  change site settings such as the feed channel
+//   users:manage    manage users and API keys
+//   audit:read      read the audit log
+//   backup:manage   export and import backups
+//   storage:manage  check storage consistency and repair it
+//   webhooks:manage manage webhooks and read their delivery logs
 //
-// These helpers wrap the AWS SDK to abstract away repetitive boilerplate.
+// An API key is owned by the user whose credentials created it and only
+// carries the scopes that user's current role still grants; it stops working
+// when the user is disabled or removed.
+//
+// The legacy shared ADMIN_TOKEN (`x-admin-token` header) still works and acts
+// as an admin, to keep existing clients running while accounts are set up.
+// Keys created with it are owned by LEGACY_KEY_OWNER and work as long as
+// ADMIN_TOKEN is configured.
+// AUTH_DEV_MODE=true treats every request as an admin for local development;
+// without it, unauthenticated writes are always rejected.
+const AUTH_KEY = 'auth/store.json';
+const AUTH_DEV_MODE = process.env.AUTH_DEV_MODE === 'true';
+const AUTH_CACHE_MS = 10 * 1000;
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS || '168') || 168) * 60 * 60 * 1000;
+const PERMISSIONS = ['posts:read', 'posts:write', 'posts:delete', 'trash:purge', 'settings:write', 'users:manage', 'audit:read', 'backup:manage', 'storage:manage', 'webhooks:manage'];
+const ROLES = {
+  editor: ['posts:read', 'posts:write', 'posts:delete'],
+  admin: PERMISSIONS,
+};
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{1,31}$/;
+// Never a valid username.
+const LEGACY_KEY_OWNER = ':admin-token';
+const MIN_PASSWORD_LENGTH = 8;
 
-// Convert a stream into a string; used for reading meta.json.
-async function streamToString(stream) {
-  return await new Promise((resolve, reject) => {
-    const chunks = [];
-    stream.on('data', (chunk) => chunks.push(chunk));
-    stream.on('error', reject);
-    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+function emptyAuthStore() {
+  return { users: {}, keys: {}, sessions: {} };
+}
+
+let authCache = null;
+let authCacheAt = 0;
+
+// Read the auth store.  Cached briefly so that authenticating a request does
+// not cost a storage round trip every time.
+async function readAuth() {
+  if (authCache && Date.now() - authCacheAt < AUTH_CACHE_MS) return authCache;
+  const text = await getObject(AUTH_KEY);
+  authCache = { ...emptyAuthStore(), ...(text ? JSON.parse(text) : {}) };
+  authCacheAt = Date.now();
+  return authCache;
+}
+
+// Apply `mutator(store)` to the latest auth store (see updateJsonObject()).
+// Resolves to the mutator's result.
+function updateAuth(mutator) {
+  return updateJsonObject(AUTH_KEY, mutator, {
+    read: text => ({ ...emptyAuthStore(), ...(text ? JSON.parse(text) : {}) }),
+    written: (store) => {
+      authCache = store;
+      authCacheAt = Date.now();
+    },
   });
 }
 
-// Write a buffer or string to a key in R2.  The content type can be provided
-// optionally; otherwise a generic binary type is assumed.
-async function putObject(key, body, contentType = 'application/octet-stream') {
-  if (!s3Client) return;
-  await s3Client.send(new PutObjectCommand({
-    Bucket: S3_BUCKET,
-    Key: key,
-    Body: body,
-    ContentType: contentType,
-  }));
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
 }
 
-// Read a key from R2 and return its contents as a string.  If the object
-// doesn’t exist, return undefined rather than throwing.
-async function getObject(key) {
-  if (!s3Client) return undefined;
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(salt, 'base64'), expected.length, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newToken(prefix) {
+  return `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// The user `name` in the auth store, or undefined.  Usernames come from
+// requests, so this never looks past the store's own entries.
+function findUser(store, name) {
+  return Object.hasOwn(store.users, name) ? store.users[name] : undefined;
+}
+
+// The role an API key's owner currently has, or undefined when the key should
+// no longer work.
+function keyOwnerRole(store, key) {
+  if (key.owner === LEGACY_KEY_OWNER) return ADMIN_TOKEN ? 'admin' : undefined;
+  const user = findUser(store, key.owner);
+  return user && !user.disabled ? user.role : undefined;
+}
+
+// Work out who is making the request and store it on `req.auth` as
+// `{ type, name, role, permissions, owner }`, where `owner` is who keys
+// created by the request belong to.  Requests without (valid) credentials
+// get an anonymous identity with no permissions.  The store is only read when
+// a bearer token is presented.
+async function authenticate(req, _res, next) {
+  req.auth = { type: 'anonymous', name: 'anonymous', role: null, permissions: [] };
   try {
-    const data = await s3Client.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: key }));
-    return await streamToString(data.Body);
+    if (AUTH_DEV_MODE) {
+      req.auth = { type: 'dev', name: (req.get('x-admin-user') || '').trim() || 'dev', role: 'admin', permissions: PERMISSIONS };
+      return next();
+    }
+    const legacy = req.get('x-admin-token');
+    if (ADMIN_TOKEN && legacy && safeEqual(legacy, ADMIN_TOKEN)) {
+      req.auth = { type: 'token', name: (req.get('x-admin-user') || '').trim() || 'admin', role: 'admin', permissions: PERMISSIONS, owner: LEGACY_KEY_OWNER };
+      return next();
+    }
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (!match) return next();
+    const store = await readAuth();
+    const digest = hashToken(match[1]);
+    const now = Date.now();
+    const session = store.sessions[digest];
+    if (session && Date.parse(session.expiresAt) > now) {
+      const user = findUser(store, session.username);
+      if (user && !user.disabled) {
+        req.auth = { type: 'session', name: session.username, role: user.role, permissions: ROLES[user.role] || [], owner: session.username };
+      }
+      return next();
+    }
+    const key = Object.values(store.keys).find(k => k.hash === digest);
+    if (key && (!key.expiresAt || Date.parse(key.expiresAt) > now)) {
+      // A key never outlives its owner's access.
+      const role = keyOwnerRole(store, key);
+      if (role) {
+        const granted = ROLES[role] || [];
+        req.auth = {
+          type: 'key',
+          name: `key:${key.name}`,
+          role: null,
+          permissions: key.scopes.filter(scope => granted.includes(scope)),
+          owner: key.owner,
+        };
+      }
+    }
+    next();
   } catch (err) {
-    return undefined;
+    console.error('authenticate error', err);
+    next();
+  }
+}
+
+function can(req, permission) {
+  return !!req.auth?.permissions.includes(permission);
+}
+
+// Middleware factory: reject the request unless it holds `permission`.
+// Anonymous requests get 401, authenticated ones without the permission 403.
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (can(req, permission)) return next();
+    if (req.auth?.type === 'anonymous') return res.status(401).json({ error: 'unauthorized' });
+    res.status(403).json({ error: 'forbidden', permission });
+  };
+}
+
+// Name recorded as the author of changes made by a request.
+function requestActor(req) {
+  return req.auth?.name || 'anonymous';
+}
+
+function publicUser(username, user) {
+  return { username, role: user.role, disabled: !!user.disabled, createdAt: user.createdAt };
+}
+
+function publicKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
+
+// Validate `{ username, password, role }` for a new or updated user.  Only
+// the fields present are checked.  Returns an error message or undefined.
+function userFieldsError({ username, password, role }) {
+  if (username !== undefined && (typeof username !== 'string' || !USERNAME_PATTERN.test(username))) {
+    return 'username must be 2-32 lowercase letters, digits, dots, dashes or underscores';
+  }
+  if (password !== undefined && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
   }
+  if (role !== undefined && !Object.hasOwn(ROLES, role)) return `role must be one of ${Object.keys(ROLES).join(', ')}`;
+  return undefined;
+}
+
+// Create the first admin from BOOTSTRAP_ADMIN_USER / BOOTSTRAP_ADMIN_PASSWORD
+// when the store has no users yet.
+async function bootstrapAdmin() {
+  const username = process.env.BOOTSTRAP_ADMIN_USER;
+  const password = process.env.BOOTSTRAP_ADMIN_PASSWORD;
+  if (AUTH_DEV_MODE) console.warn('AUTH_DEV_MODE is on: every request is treated as an admin');
+  if (!username || !password) return;
+  const error = userFieldsError({ username, password });
+  if (error) return console.error(`bootstrap admin not created: ${error}`);
+  const passwordHash = await hashPassword(password);
+  const created = await updateAuth((store) => {
+    if (Object.keys(store.users).length) return false;
+    store.users[username] = { role: 'admin', passwordHash, createdAt: new Date().toISOString() };
+    return true;
+  });
+  if (created) console.log(`created bootstrap admin ${username}`);
+}
+
+// -----------------------------------------------------------------------------
+// Storage helper functions
+//
+// Thin wrappers around the active driver so the routes read the same whichever
+// backend is configured.
+
+// Store the local file at `file` under `key`, streaming it rather than
+// reading it into memory.
+async function putFile(key, file, contentType = 'application/octet-stream') {
+  await storage.putFile(key, file, contentType);
+  if (catalogTracks(key)) catalogPut(key, (await fs.promises.stat(file)).size);
+}
+
+// Write a buffer or string to a key.  The content type can be provided
+// optionally; otherwise a generic binary type is assumed.  Pass `ifMatch` or
+// `ifNoneMatch` in the options for a conditional write.  Resolves to the new
+// ETag.
+async function putObject(key, body, contentType = 'application/octet-stream', options = {}) {
+  const etag = await storage.putObject(key, body, contentType, options);
+  catalogPut(key, Buffer.byteLength(body), key === META_KEY ? String(body) : undefined);
+  return etag;
+}
+
+// Describe an object as `{ size, etag, lastModified, contentType }`, or
+// undefined if it doesn't exist.
+async function headObject(key) {
+  return await storage.headObject(key);
+}
+
+// Stream an object, or the inclusive byte `range` `{ start, end }` of it.
+async function getObjectStream(key, range) {
+  return await storage.getObjectStream(key, range);
+}
+
+// Read a key and return its contents as a string.  If the object doesn’t
+// exist, return undefined rather than throwing.
+async function getObject(key) {
+  return await storage.getObject(key);
+}
+
+// Read a key along with its ETag.  Resolves to `{ body, etag }`, or undefined
+// if the key doesn’t exist.
+async function getObjectWithEtag(key) {
+  return await storage.getObjectWithEtag(key);
+}
+
+// Apply `mutate(value)` to the JSON document at `key` and write it back.
+// Updates of one key are serialized inside this process, and each write is
+// conditional on the ETag that was read (If-None-Match: * for a new
+// document), so when another process writes in between the document is read
+// again and `mutate` re-applied, up to JSON_WRITE_RETRIES times.  `mutate`
+// must therefore only derive its changes from the value it is given.
+//
+// `read(text)` turns the stored text (undefined when missing) into the value;
+// by default it parses JSON, starting from `{}`, and throws on a corrupt
+// document rather than overwriting it.  The write is skipped when
+// `changed(value)` says so, and `written(value)` runs after a successful
+// write, still in turn with other updates of `key`.  Resolves to what
+// `mutate` returns.
+const JSON_WRITE_RETRIES = 5;
+const jsonQueues = new Map();
+
+function updateJsonObject(key, mutate, { read = text => (text ? JSON.parse(text) : {}), changed = () => true, written } = {}) {
+  const run = (jsonQueues.get(key) || Promise.resolve()).then(async () => {
+    for (let attempt = 0; ; attempt++) {
+      const current = await getObjectWithEtag(key);
+      const value = read(current?.body);
+      const result = await mutate(value);
+      if (!changed(value)) return result;
+      try {
+        await putObject(key, JSON.stringify(value, null, 2), 'application/json',
+          current ? { ifMatch: current.etag } : { ifNoneMatch: '*' });
+      } catch (err) {
+        if (err.code !== 'PreconditionFailed' || attempt >= JSON_WRITE_RETRIES) throw err;
+        continue;
+      }
+      if (written) await written(value);
+      return result;
+    }
+  });
+  const tail = run.catch(() => {});
+  jsonQueues.set(key, tail);
+  tail.then(() => { if (jsonQueues.get(key) === tail) jsonQueues.delete(key); });
+  return run;
 }
 
 // List objects under a prefix.  Returns an array of { Key, LastModified, Size }.
 async function listObjects(prefix) {
-  if (!s3Client) return [];
-  const results = [];
-  let ContinuationToken;
-  do {
-    const resp = await s3Client.send(new ListObjectsV2Command({ Bucket: S3_BUCKET, Prefix: prefix, ContinuationToken }));
-    (resp.Contents || []).forEach((item) => results.push(item));
-    ContinuationToken = resp.IsTruncated ? resp.NextContinuationToken : undefined;
-  } while (ContinuationToken);
-  return results;
+  return await storage.listObjects(prefix);
 }
 
-// Copy an object within the bucket.  Useful for moving into and out of the
-// `.trash` folder.
+// Copy an object within the store.  Useful for moving into and out of the
+// `.trash` folder.  Throws if the source key doesn’t exist.
 async function copyObject(srcKey, dstKey) {
-  if (!s3Client) return;
-  await s3Client.send(new CopyObjectCommand({
-    Bucket: S3_BUCKET,
-    CopySource: `${S3_BUCKET}/${srcKey}`,
-    Key: dstKey,
-  }));
+  await storage.copyObject(srcKey, dstKey);
+  catalogCopy(srcKey, dstKey);
 }
 
-// Delete a key from R2.  No error is thrown if the key doesn’t exist.
+// Delete a key.  No error is thrown if the key doesn’t exist.
 async function deleteObject(key) {
-  if (!s3Client) return;
-  await s3Client.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+  await storage.deleteObject(key);
+  catalogDelete(key);
 }
 
-// Download an object from R2 into a local file.  Returns the local path on
-// success, or undefined if the object could not be retrieved.
+// Download an object into a local file.  Returns the local path on success, or
+// undefined if the object could not be retrieved.
 async function downloadToTemp(key) {
-  if (!s3Client) return undefined;
-  try {
-    const data = await s3Client.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: key }));
-    const localPath = path.join(TEMP_DIR, path.basename(key));
-    await new Promise((resolve, reject) => {
-      const stream = fs.createWriteStream(localPath);
-      data.Body.pipe(stream);
-      stream.on('finish', resolve);
-      stream.on('error', reject);
-    });
-    return localPath;
-  } catch (err) {
-    return undefined;
-  }
+  return await storage.downloadToTemp(key);
 }
 
 // Compute a base URL for public objects.  When S3_PUBLIC_BASE is provided,
 // constructed URLs will begin with that domain; otherwise a relative `/uploads`
-// path is returned (useful when running locally).
+// path is returned, which the media proxy serves from storage (see "Media
+// proxy" below).
 function absoluteUrl(key) {
   if (S3_PUBLIC_BASE) return `${S3_PUBLIC_BASE}/${key}`;
   return `/uploads/${key}`;
 }
 
+// The inverse of absoluteUrl(): return the storage key behind a URL we handed
+// out, or undefined for URLs that point elsewhere.
+function keyFromUrl(url) {
+  if (typeof url !== 'string') return undefined;
+  if (S3_PUBLIC_BASE && url.startsWith(`${S3_PUBLIC_BASE}/`)) return url.slice(S3_PUBLIC_BASE.length + 1);
+  if (url.startsWith('/uploads/')) return url.slice('/uploads/'.length);
+  return undefined;
+}
+
+// -----------------------------------------------------------------------------
+// Catalog index
+//
+// Listing posts needs the metadata plus listings of `posts/` and `images/`.
+// Rather than fetching those on every request, the catalog keeps them in
+// memory.  The storage helpers above keep it current as this process writes:
+// every put, copy and delete of a key under `posts/` or `images/` updates the
+// cached listing, and writes of `posts/_meta.json` replace the cached
+// metadata.  Every change bumps `catalogGeneration`, and loadPosts() reuses
+// the records it built as long as the generation is unchanged.
+//
+// Changes made by other processes, or directly in the bucket, are picked up
+// by reconciling with storage every CATALOG_RECONCILE_SECONDS, or right away
+// with `POST /api/catalog/rebuild`.  The listing routes send an ETag and a
+// Last-Modified (the time of the last catalog change) and answer conditional
+// requests with 304.
+const CATALOG_PREFIXES = ['posts/', 'images/'];
+const CATALOG_RECONCILE_MS = (parseFloat(process.env.CATALOG_RECONCILE_SECONDS || '300') || 300) * 1000;
+let catalog = null;
+let catalogLoading = null;
+let catalogGeneration = 0;
+let catalogUpdatedAt = new Date();
+let catalogWrites = 0;
+let catalogTimer = null;
+
+function catalogTracks(key) {
+  return CATALOG_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+function catalogChanged() {
+  catalogWrites++;
+  catalogGeneration++;
+  catalogUpdatedAt = new Date();
+}
+
+// Note that `key` was written with `size` bytes.  For the metadata file the
+// written text is passed as `body`; without it the catalog is dropped and
+// reloaded on next use.
+function catalogPut(key, size, body) {
+  if (!catalogTracks(key)) return;
+  if (catalog && key === META_KEY && body === undefined) catalog = null;
+  if (catalog) {
+    catalog.objects.set(key, { Key: key, LastModified: new Date(), Size: size });
+    if (key === META_KEY) catalog.meta = parseMeta(body);
+  }
+  catalogChanged();
+}
+
+function catalogCopy(srcKey, dstKey) {
+  if (!catalogTracks(dstKey)) return;
+  const source = catalog?.objects.get(srcKey);
+  if (!source) catalog = null;
+  catalogPut(dstKey, source?.Size ?? 0);
+}
+
+function catalogDelete(key) {
+  if (!catalogTracks(key)) return;
+  if (catalog) {
+    catalog.objects.delete(key);
+    if (key === META_KEY) catalog.meta = {};
+  }
+  catalogChanged();
+}
+
+// Read the catalog from storage.  A write landing while the listings are read
+// may or may not be in them, so the read is repeated (a couple of times at
+// most) until none did.
+async function readCatalog() {
+  for (let attempt = 0; ; attempt++) {
+    const writes = catalogWrites;
+    const [text, ...listings] = await Promise.all([getObject(META_KEY), ...CATALOG_PREFIXES.map(prefix => listObjects(prefix))]);
+    if (writes === catalogWrites || attempt >= 2) {
+      return { meta: parseMeta(text), objects: new Map(listings.flat().map(obj => [obj.Key, obj])) };
+    }
+  }
+}
+
+// The catalog, read from storage the first time it is needed.
+async function loadCatalog() {
+  if (catalog) return catalog;
+  if (!catalogLoading) {
+    catalogLoading = readCatalog()
+      .then((loaded) => {
+        catalog = loaded;
+        return loaded;
+      })
+      .finally(() => { catalogLoading = null; });
+  }
+  return await catalogLoading;
+}
+
+// The cached objects under `prefix`.
+function catalogObjects(current, prefix) {
+  return [...current.objects.values()].filter(obj => obj.Key.startsWith(prefix));
+}
+
+function sameCatalog(a, b) {
+  if (a.objects.size !== b.objects.size || JSON.stringify(a.meta) !== JSON.stringify(b.meta)) return false;
+  return [...a.objects.values()].every((obj) => {
+    const other = b.objects.get(obj.Key);
+    return other && other.Size === obj.Size
+      && new Date(other.LastModified).getTime() === new Date(obj.LastModified).getTime();
+  });
+}
+
+// Reload the catalog from storage.  Resolves to whether it had drifted.
+async function rebuildCatalog() {
+  const fresh = await readCatalog();
+  const changed = !catalog || !sameCatalog(catalog, fresh);
+  catalog = fresh;
+  if (changed) {
+    catalogGeneration++;
+    catalogUpdatedAt = new Date();
+  }
+  return changed;
+}
+
+// Reconcile the catalog with storage and arm the timer for the next run.
+async function runCatalogReconcile() {
+  clearTimeout(catalogTimer);
+  try {
+    await rebuildCatalog();
+  } catch (err) {
+    console.error('catalog reconcile error', err);
+  }
+  catalogTimer = setTimeout(runCatalogReconcile, CATALOG_RECONCILE_MS);
+  catalogTimer.unref();
+}
+
+// Send a listing built from the catalog, with an ETag over the body and the
+// catalog's Last-Modified, answering 304 when the client's copy is current.
+function sendCatalogJson(req, res, body, { cacheControl = 'no-cache' } = {}) {
+  const json = JSON.stringify(body);
+  res.set({
+    ETag: `W/"${crypto.createHash('sha1').update(json).digest('base64url')}"`,
+    'Last-Modified': catalogUpdatedAt.toUTCString(),
+    'Cache-Control': cacheControl,
+  });
+  if (req.fresh) return res.status(304).end();
+  res.type('json').send(json);
+}
+
 // -----------------------------------------------------------------------------
 // Metadata helpers
 //
 // We store post metadata in a single JSON file under `posts/_meta.json`.  Each
 // entry is keyed by the base id (derived from the filename without extension).
+//
+// Reads go through readMeta().  Every change must go through updateMeta(),
+// which protects the shared file against lost updates with the serialized,
+// conditional writes of updateJsonObject(): a concurrent writer in another
+// process makes our write fail, and we re-read and retry.
+//
+// Entries also carry a `version` number that is bumped whenever the entry
+// changes.  Clients send it back on PATCH so stale edits are rejected with a
+// 409 instead of silently overwriting someone else's save.
+const META_KEY = 'posts/_meta.json';
+
 async function readMeta() {
-  const text = await getObject('posts/_meta.json');
+  return parseMeta(await getObject(META_KEY));
+}
+
+// A corrupt or missing metadata file reads as an empty catalog.
+function parseMeta(text) {
   if (!text) return {};
   try { return JSON.parse(text); } catch { return {}; }
 }
 
-async function writeMeta(meta) {
-  await putObject('posts/_meta.json', JSON.stringify(meta, null, 2), 'application/json');
+// Bump `version` on every entry that differs from the snapshot taken before
+// the mutation.  Returns `{ changed, ids }`: whether anything at all changed
+// and which posts were changed or removed.
+function bumpVersions(before, meta) {
+  let changed = false;
+  const ids = Object.keys(before).filter(id => !id.startsWith('_') && !(id in meta));
+  Object.keys(meta).forEach((id) => {
+    const prev = before[id];
+    const entry = meta[id];
+    if (id.startsWith('_') || !entry || typeof entry !== 'object') {
+      if (JSON.stringify(prev) !== JSON.stringify(entry)) changed = true;
+      return;
+    }
+    if (prev && JSON.stringify({ ...entry, version: prev.version }) === JSON.stringify(prev)) return;
+    entry.version = (prev?.version || 0) + 1;
+    ids.push(id);
+  });
+  return { changed: changed || ids.length > 0, ids };
 }
 
-// Resolve the type of a post given the presence of audio/video files and
-// metadata.  The order of precedence matches the specification: video > audio
-// > image > text.
-function determineType(hasVideo, hasAudio, metaEntry) {
-  if (hasVideo) return 'video';
-  if (hasAudio) return 'audio';
-  if (metaEntry?.imageUrl) return 'image';
-  return 'text';
+// Apply `mutator(meta)` to the latest metadata and persist the result.  The
+// mutator may run more than once if another writer gets in first, so it must
+// only derive its changes from the `meta` it is given.  Resolves to whatever
+// the mutator returns; if nothing changed no write is made.  `author` is
+// recorded on the revisions of the changed posts, and the changes are added to
+// `audit` when a request's audit record is passed (see "Audit log").  Unlike
+// readMeta(), a corrupt file is an error here: writing back an empty catalog
+// would wipe every post.
+function updateMeta(mutator, { author = 'system', audit } = {}) {
+  let before;
+  let bumped;
+  return updateJsonObject(META_KEY, async (meta) => {
+    before = JSON.parse(JSON.stringify(meta));
+    const result = await mutator(meta);
+    bumped = bumpVersions(before, meta);
+    return result;
+  }, {
+    changed: () => bumped.changed,
+    written: async (meta) => {
+      await recordRevisions(bumped.ids, meta, author);
+      if (audit) bumped.ids.forEach(id => audit.changes.push({ id, before: before[id] ?? null, after: meta[id] ?? null }));
+      await announceChanges(bumped.ids, before, meta).catch(err => console.error('post events error', err));
+    },
+  });
+}
+
+// Slugs give posts human-readable permalinks.  A slug is derived from the title
+// when a post is created and only changes when it is edited explicitly; the
+// old ones are kept in `previousSlugs` so links to them can redirect.  Slugs
+// are unique across current and previous slugs of all posts, and never purely
+// numeric so they can't be mistaken for an id.
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function slugify(title) {
+  const slug = String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+  if (!slug) return 'post';
+  return /^\d+$/.test(slug) ? `post-${slug}` : slug;
+}
+
+// The post that owns `slug` (as a current or previous slug), if any.
+function slugOwner(meta, slug) {
+  return Object.keys(meta).find((id) => {
+    const entry = meta[id];
+    if (id.startsWith('_') || !entry) return false;
+    return entry.slug === slug || (entry.previousSlugs || []).includes(slug);
+  });
+}
+
+// A slug based on `title` that no other post uses, adding -2, -3… as needed.
+function uniqueSlug(meta, title, id) {
+  const base = slugify(title);
+  let slug = base;
+  for (let n = 2; slugOwner(meta, slug) && slugOwner(meta, slug) !== id; n++) slug = `${base}-${n}`;
+  return slug;
+}
+
+// Resolve the type of a post given the presence of audio/video files and
+// metadata.  The order of precedence matches the specification: video > audio
+// > image > text.
+function determineType(hasVideo, hasAudio, metaEntry) {
+  if (hasVideo) return 'video';
+  if (hasAudio) return 'audio';
+  if (metaEntry?.imageUrl) return 'image';
+  return 'text';
 }
 
 // Build a post record from an id and the objects found in R2.  This helper
@@ -210,94 +1101,3751 @@ async function buildPost(id, objs, meta, includeDrafts = false, isTrash = false)
   if (!includeDrafts && metaEntry.draft) return undefined;
   const hasAudio = objs.some(o => /\.mp3$/i.test(o.Key));
   const hasVideo = objs.some(o => /\.mp4$/i.test(o.Key));
-  const audioUrl = hasAudio ? absoluteUrl(objs.find(o => /\.mp3$/i.test(o.Key)).Key) : '';
-  const videoUrl = hasVideo ? absoluteUrl(objs.find(o => /\.mp4$/i.test(o.Key)).Key) : '';
+  const audioObj = objs.find(o => /\.mp3$/i.test(o.Key));
+  const videoObj = objs.find(o => /\.mp4$/i.test(o.Key));
+  const audioUrl = hasAudio ? absoluteUrl(audioObj.Key) : '';
+  const videoUrl = hasVideo ? absoluteUrl(videoObj.Key) : '';
+  const peaksObj = objs.find(o => o.Key.endsWith('.peaks.json'));
+  const posterObj = objs.find(o => o.Key.endsWith('.poster.jpg'));
   // Determine the date for this post.  If a date has been explicitly
   // provided in the metadata (e.g. edited via the admin UI), use that.
   let date;
   if (metaEntry && metaEntry.date) {
     const parsed = new Date(metaEntry.date);
-    if (!Number.isNaN(parsed)) {
+    if (!Number.isNaN(parsed.getTime())) {
       date = parsed;
     }
   }
-  // Otherwise derive the latest LastModified timestamp from the R2 objects.
+  // A scheduled post is dated by its publication time.
+  if (!date && metaEntry.publishAt) {
+    const parsed = new Date(metaEntry.publishAt);
+    if (!Number.isNaN(parsed.getTime())) date = parsed;
+  }
+  // Otherwise derive the latest LastModified timestamp from the R2 objects
+  // (captions, peaks and posters are added later and don't count).
   if (!date) {
-    date = objs.reduce((latest, o) => {
+    date = objs.filter(o => !SIDECAR_PATTERN.test(o.Key)).reduce((latest, o) => {
       const t = o.LastModified ? new Date(o.LastModified) : new Date();
       return !latest || t > latest ? t : latest;
     }, null);
   }
-  // If still no date (e.g. pure metadata post with no media), fall back to
-  // parsing the id (which is a millisecond timestamp) or use the current time.
-  if (!date) {
-    const ts = parseInt(id, 10);
-    if (!Number.isNaN(ts)) date = new Date(ts);
-    else date = new Date();
+  // If still no date (e.g. pure metadata post with no media), fall back to
+  // parsing the id (which is a millisecond timestamp) or use the current time.
+  if (!date) {
+    const ts = parseInt(id, 10);
+    if (!Number.isNaN(ts)) date = new Date(ts);
+    else date = new Date();
+  }
+  return {
+    id,
+    title: metaEntry.title || id,
+    slug: metaEntry.slug || '',
+    body: metaEntry.body || '',
+    ...describeBody(metaEntry.body),
+    imageUrl: metaEntry.imageUrl || '',
+    image: null,
+    draft: !!metaEntry.draft,
+    publishAt: metaEntry.publishAt || null,
+    scheduled: isScheduled(metaEntry),
+    version: metaEntry.version || 0,
+    audio: metaEntry.audio || null,
+    videoPreset: metaEntry.videoPreset || null,
+    type: determineType(hasVideo, hasAudio, metaEntry),
+    playUrl: videoUrl || audioUrl || '',
+    audioUrl,
+    videoUrl,
+    audioSize: audioObj?.Size || 0,
+    videoSize: videoObj?.Size || 0,
+    peaksUrl: peaksObj ? absoluteUrl(peaksObj.Key) : '',
+    posterUrl: posterObj ? absoluteUrl(posterObj.Key) : '',
+    captions: captionTracks(id, objs, metaEntry),
+    date: date.toISOString(),
+    trashedAt: metaEntry.trashedAt || null,
+    _trash: isTrash,
+  };
+}
+
+// When the next scheduled post in `meta` goes live, or Infinity.
+function nextScheduleChange(meta) {
+  const now = Date.now();
+  return Object.values(meta).reduce((next, entry) => {
+    const at = Date.parse(entry?.publishAt);
+    return !Number.isNaN(at) && at > now && at < next ? at : next;
+  }, Infinity);
+}
+
+const postsCache = new Map();
+
+// Load every post outside the trash.  Objects under `posts/` are grouped by
+// base id and merged with their metadata; posts that only exist as metadata
+// (text/image posts) are included too, and posts marked `trashedAt` are not.  Drafts and scheduled posts are skipped
+// unless requested.  Resolves to buildPost() records sorted newest first.
+//
+// The records are built from the catalog (see "Catalog index") and kept until
+// the catalog changes or a scheduled post goes live; callers get copies they
+// are free to modify.
+async function loadPosts({ includeDrafts = false, includeScheduled = false } = {}) {
+  const current = await loadCatalog();
+  const generation = catalogGeneration;
+  const cacheKey = `${includeDrafts}:${includeScheduled}`;
+  const cached = postsCache.get(cacheKey);
+  if (cached && cached.generation === generation && Date.now() < cached.validUntil) {
+    return cached.posts.map(post => ({ ...post }));
+  }
+  const { meta } = current;
+  const objects = catalogObjects(current, 'posts/');
+  const images = await loadImageIndex(catalogObjects(current, 'images/'));
+  // Exclude trash entries.
+  const filtered = objects.filter(o => !o.Key.startsWith(TRASH_PREFIX));
+  // Group objects by base id.
+  const groups = {};
+  filtered.forEach((obj) => {
+    const base = path.basename(obj.Key).replace(/\..*$/, '');
+    groups[base] = groups[base] || [];
+    groups[base].push(obj);
+  });
+  // Ensure that posts with only metadata (no media objects) are included.
+  Object.keys(meta).forEach((mid) => {
+    if (mid.startsWith('_')) return;
+    if (!groups[mid]) groups[mid] = [];
+  });
+  const posts = await Promise.all(Object.entries(groups).map(async ([id, objs]) => {
+    // Skip metadata entries (ids beginning with underscore) so that
+    // `posts/_meta.json` never appears as a post on the front page.
+    if (id.startsWith('_') || meta[id]?.trashedAt) return undefined;
+    const post = await buildPost(id, objs, meta, includeDrafts, false);
+    if (post) post.image = managedImage(post.imageUrl, images);
+    return post;
+  }));
+  const sorted = posts
+    .filter(p => p && (includeScheduled || !p.scheduled))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  postsCache.set(cacheKey, { generation, validUntil: nextScheduleChange(meta), posts: sorted });
+  return sorted.map(post => ({ ...post }));
+}
+
+// The buildPost() record of post `id` as the catalog has it right now, built
+// from `entry` (its current metadata entry by default).  Trashed posts are
+// built from their objects in the trash.
+async function postRecord(id, entry) {
+  const current = await loadCatalog();
+  const metaEntry = entry || current.meta[id] || {};
+  const objs = catalogObjects(current, 'posts/').filter(obj => postIdOfKey(obj.Key) === id);
+  const isTrash = !!metaEntry.trashedAt || (objs.length > 0 && objs.every(obj => obj.Key.startsWith(TRASH_PREFIX)));
+  const post = await buildPost(id, objs.filter(obj => obj.Key.startsWith(TRASH_PREFIX) === isTrash), { [id]: metaEntry }, true, isTrash);
+  post.image = managedImage(post.imageUrl, await loadImageIndex(catalogObjects(current, 'images/')));
+  return post;
+}
+
+// -----------------------------------------------------------------------------
+// Markdown bodies
+//
+// Post bodies are Markdown.  describeBody() renders a body to HTML for the API
+// (`bodyHtml`) and the feeds, and derives a plain-text `excerpt` of
+// EXCERPT_LENGTH characters, a `readingTime` at READING_WPM words a minute and
+// the images and links the body refers to (`refs`).
+//
+// The renderer understands paragraphs, ATX headings, emphasis, inline and
+// fenced code, block quotes, lists, horizontal rules, links, images and
+// <autolinks>.  Raw HTML in a body is never passed through: it is escaped like
+// any other text, and link and image URLs are only kept for http(s), mailto
+// and relative targets, so a stored body can't inject markup or script.
+const EXCERPT_LENGTH = Math.max(1, parseInt(process.env.EXCERPT_LENGTH || '200', 10) || 200);
+const READING_WPM = 200;
+const MARKDOWN_MAX_DEPTH = 8;
+const MARKDOWN_CACHE_SIZE = 500;
+
+const INLINE_PATTERN = new RegExp([
+  /(?<code>`+)(?<codeText>[\s\S]*?[^`])\k<code>(?!`)/.source,
+  /!\[(?<alt>[^\]]*)\]\(\s*(?<src>(?:[^\s()]|\([^\s()]*\))*)(?:\s+"(?<srcTitle>[^"]*)")?\s*\)/.source,
+  /\[(?<text>(?:[^[\]]|\[[^\]]*\])*)\]\(\s*(?<href>(?:[^\s()]|\([^\s()]*\))*)(?:\s+"(?<hrefTitle>[^"]*)")?\s*\)/.source,
+  /<(?<auto>(?:https?:\/\/|mailto:)[^\s<>]+)>/.source,
+  /\*\*(?=\S)(?<strongStar>[\s\S]*?\S)\*\*/.source,
+  /(?<!\w)__(?=\S)(?<strongUnder>[\s\S]*?\S)__(?!\w)/.source,
+  /\*(?=[^\s*])(?<emStar>[\s\S]*?[^\s*\\])\*/.source,
+  /(?<!\w)_(?=[^\s_])(?<emUnder>[\s\S]*?[^\s_\\])_(?!\w)/.source,
+  /\\(?<escaped>[!-/:-@[-`{-~])/.source,
+  /(?: {2,}|\\)\n/.source,
+].join('|'), 'g');
+
+function htmlEscape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// `url` if it is safe to link to (http, https, mailto or relative), else
+// undefined.  Control characters and whitespace are ignored when looking for
+// the scheme, as browsers do.
+function safeUrl(url) {
+  const compact = String(url ?? '').replace(/[\u0000- \u007f]/g, '');
+  if (!compact) return undefined;
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  if (scheme && !['http', 'https', 'mailto'].includes(scheme[1].toLowerCase())) return undefined;
+  return url.trim();
+}
+
+// Render inline Markdown to HTML, noting images and links in `refs`.
+function renderInline(text, refs, depth = 0) {
+  if (depth > MARKDOWN_MAX_DEPTH) return htmlEscape(text);
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    html += htmlEscape(text.slice(last, match.index));
+    last = match.index + match[0].length;
+    const g = match.groups;
+    const inner = value => renderInline(value, refs, depth + 1);
+    if (g.code) {
+      html += `<code>${htmlEscape(g.codeText.replace(/\n/g, ' ').replace(/^ (.*\S.*) $/, '$1'))}</code>`;
+    } else if (g.src !== undefined) {
+      const src = safeUrl(g.src);
+      if (!src) {
+        html += htmlEscape(g.alt);
+        continue;
+      }
+      refs.images.push({ url: src, alt: g.alt });
+      const title = g.srcTitle ? ` title="${htmlEscape(g.srcTitle)}"` : '';
+      html += `<img src="${htmlEscape(src)}" alt="${htmlEscape(g.alt)}"${title} loading="lazy">`;
+    } else if (g.href !== undefined) {
+      const href = safeUrl(g.href);
+      if (!href) {
+        html += inner(g.text);
+        continue;
+      }
+      const label = inner(g.text);
+      refs.links.push({ url: href, text: label.replace(/<[^>]*>/g, '') });
+      const title = g.hrefTitle ? ` title="${htmlEscape(g.hrefTitle)}"` : '';
+      html += `<a href="${htmlEscape(href)}"${title}>${label}</a>`;
+    } else if (g.auto) {
+      refs.links.push({ url: g.auto, text: g.auto });
+      html += `<a href="${htmlEscape(g.auto)}">${htmlEscape(g.auto)}</a>`;
+    } else if (g.strongStar || g.strongUnder) {
+      html += `<strong>${inner(g.strongStar || g.strongUnder)}</strong>`;
+    } else if (g.emStar || g.emUnder) {
+      html += `<em>${inner(g.emStar || g.emUnder)}</em>`;
+    } else if (g.escaped) {
+      html += htmlEscape(g.escaped);
+    } else {
+      html += '<br>\n';
+    }
+  }
+  return html + htmlEscape(text.slice(last));
+}
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?/;
+const LIST_PATTERN = /^( {0,3})([-*+]|\d{1,9}[.)])(?:[ \t]+|$)/;
+
+// Whether `line` starts a block other than a paragraph.
+function startsBlock(line) {
+  return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line)
+    || QUOTE_PATTERN.test(line) || LIST_PATTERN.test(line);
+}
+
+// Render block-level Markdown (an array of lines) to HTML.
+function renderBlocks(lines, refs, depth = 0) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+    if (!line.trim()) {
+      i++;
+    } else if ((match = FENCE_PATTERN.exec(line))) {
+      const fence = match[1];
+      const code = [];
+      for (i++; i < lines.length; i++) {
+        const close = lines[i].trim();
+        if (close.startsWith(fence) && /^([`~])\1*$/.test(close)) break;
+        code.push(lines[i]);
+      }
+      i++;
+      const lang = match[2] ? ` class="language-${htmlEscape(match[2])}"` : '';
+      out.push(`<pre><code${lang}>${htmlEscape(code.join('\n'))}</code></pre>`);
+    } else if ((match = HEADING_PATTERN.exec(line))) {
+      const level = match[1].length;
+      out.push(`<h${level}>${renderInline(match[2] || '', refs)}</h${level}>`);
+      i++;
+    } else if (RULE_PATTERN.test(line)) {
+      out.push('<hr>');
+      i++;
+    } else if (depth < MARKDOWN_MAX_DEPTH && QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) quoted.push(lines[i++].replace(QUOTE_PATTERN, ''));
+      out.push(`<blockquote>\n${renderBlocks(quoted, refs, depth + 1)}\n</blockquote>`);
+    } else if (depth < MARKDOWN_MAX_DEPTH && (match = LIST_PATTERN.exec(line))) {
+      const ordered = /\d/.test(match[2]);
+      const items = [];
+      let loose = false;
+      while (i < lines.length) {
+        const marker = LIST_PATTERN.exec(lines[i]);
+        if (!marker || /\d/.test(marker[2]) !== ordered) break;
+        const indent = marker[0].length;
+        const item = [lines[i].slice(indent)];
+        for (i++; i < lines.length; i++) {
+          const next = lines[i];
+          if (!next.trim()) {
+            const following = lines[i + 1];
+            if (following === undefined || !/^\s{2,}\S/.test(following)) break;
+            loose = true;
+            item.push('');
+          } else if (/^\s{2,}\S/.test(next)) {
+            item.push(next.replace(new RegExp(`^ {0,${indent}}`), ''));
+          } else if (!startsBlock(next) && item[item.length - 1].trim()) {
+            item.push(next);
+          } else {
+            break;
+          }
+        }
+        items.push(item);
+        if (i < lines.length && !lines[i].trim()) {
+          const following = lines.slice(i).findIndex(l => l.trim());
+          const next = following !== -1 && LIST_PATTERN.exec(lines[i + following]);
+          if (next && /\d/.test(next[2]) === ordered) {
+            loose = true;
+            i += following;
+          }
+        }
+      }
+      const start = ordered && parseInt(match[2], 10) !== 1 ? ` start="${parseInt(match[2], 10)}"` : '';
+      const tag = ordered ? 'ol' : 'ul';
+      const rendered = items.map((item) => {
+        const html = renderBlocks(item, refs, depth + 1);
+        return `<li>${loose ? html : html.replace(/^<p>([\s\S]*?)<\/p>/, '$1')}</li>`;
+      });
+      out.push(`<${tag}${start}>\n${rendered.join('\n')}\n</${tag}>`);
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (!paragraph.length || !startsBlock(lines[i]))) {
+        paragraph.push(lines[i++].replace(/^\s+/, ''));
+      }
+      out.push(`<p>${renderInline(paragraph.join('\n').replace(/\s+$/, ''), refs)}</p>`);
+    }
+  }
+  return out.join('\n');
+}
+
+// The text of rendered HTML, with blocks separated by spaces.
+function htmlText(html) {
+  return html
+    .replace(/<(?:\/(?:p|h\d|li|blockquote|pre)|br|hr)>/g, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Cut `text` to at most `length` characters, at a word boundary if there is
+// one, marking the cut with an ellipsis.
+function truncateText(text, length) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > length / 2 ? cut.slice(0, space) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+const markdownCache = new Map();
+
+// Render a Markdown body.  Returns `{ bodyHtml, excerpt, readingTime:
+// { words, minutes }, refs: { images, links } }`; the images and links are
+// listed once each, in order of appearance.  Renders are cached by body.
+function describeBody(body, { excerptLength = EXCERPT_LENGTH } = {}) {
+  const source = String(body ?? '');
+  let rendered = markdownCache.get(source);
+  if (!rendered) {
+    const refs = { images: [], links: [] };
+    const bodyHtml = renderBlocks(source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'), refs);
+    const unique = list => list.filter((ref, index) => list.findIndex(r => r.url === ref.url) === index);
+    rendered = { bodyHtml, text: htmlText(bodyHtml), refs: { images: unique(refs.images), links: unique(refs.links) } };
+    if (markdownCache.size >= MARKDOWN_CACHE_SIZE) markdownCache.delete(markdownCache.keys().next().value);
+    markdownCache.set(source, rendered);
+  }
+  const words = rendered.text ? rendered.text.split(' ').length : 0;
+  return {
+    bodyHtml: rendered.bodyHtml,
+    excerpt: truncateText(rendered.text, excerptLength),
+    readingTime: { words, minutes: words ? Math.max(1, Math.round(words / READING_WPM)) : 0 },
+    refs: rendered.refs,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Trash
+//
+// Soft deleting a post stamps `trashedAt` and `trashedBy` on its metadata entry
+// and moves its objects from `posts/` into `posts/.trash/`.  Every post type,
+// including text and image posts that have no media, is trashed, listed,
+// restored and hard deleted the same way.  loadPosts() leaves trashed posts
+// out, so they disappear from every listing and feed.  Posts trashed before
+// this was tracked only have their media under `posts/.trash/`; they are
+// still listed (dated by when their media was moved) and can be restored or
+// purged.
+//
+// Trashed posts are kept for TRASH_RETENTION_DAYS (0 keeps them forever).  A
+// periodic purge hard deletes the ones past that, and `/api/trash/empty`
+// empties the trash on demand.
+const TRASH_PREFIX = 'posts/.trash/';
+const TRASH_RETENTION_DAYS = Number.isFinite(parseFloat(process.env.TRASH_RETENTION_DAYS))
+  ? Math.max(0, parseFloat(process.env.TRASH_RETENTION_DAYS))
+  : 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Move every object of post `id` from one folder to another.  Resolves to the
+// moved filenames.
+async function movePostObjects(id, fromPrefix, toPrefix, audit) {
+  const moved = [];
+  for (const obj of await listObjects(`${fromPrefix}${id}.`)) {
+    const name = obj.Key.slice(fromPrefix.length);
+    const dstKey = `${toPrefix}${name}`;
+    await copyObject(obj.Key, dstKey);
+    await deleteObject(obj.Key);
+    audit?.keys.push({ from: obj.Key, to: dstKey });
+    moved.push(name);
+  }
+  return moved;
+}
+
+// Soft delete a post.  Resolves to `{ id, trashedAt, moved }`, or undefined
+// when there is no such post outside the trash.
+async function trashPost(id, { actor = 'system', audit } = {}) {
+  const moved = await movePostObjects(id, 'posts/', TRASH_PREFIX, audit);
+  const entry = await updateMeta((meta) => {
+    const current = Object.hasOwn(meta, id) ? meta[id] : undefined;
+    if (current?.trashedAt) return moved.length ? current : undefined;
+    if (!current && !moved.length) return undefined;
+    meta[id] = { ...(current || {}), trashedAt: new Date().toISOString(), trashedBy: actor };
+    return meta[id];
+  }, { author: actor, audit });
+  return entry && { id, trashedAt: entry.trashedAt, moved };
+}
+
+// Take a post out of the trash.  Resolves to `{ id, restored }`, or undefined
+// when the post isn't in the trash.
+async function restorePost(id, { actor = 'system', audit } = {}) {
+  const restored = await movePostObjects(id, TRASH_PREFIX, 'posts/', audit);
+  const found = await updateMeta((meta) => {
+    if (!Object.hasOwn(meta, id) || !meta[id]?.trashedAt) return false;
+    delete meta[id].trashedAt;
+    delete meta[id].trashedBy;
+    return true;
+  }, { author: actor, audit });
+  return found || restored.length ? { id, restored } : undefined;
+}
+
+// Permanently delete a trashed post: its objects, metadata entry and revision
+// history.  Resolves to `{ id, removed }`, or undefined when the post isn't in
+// the trash.
+async function purgePost(id, { actor = 'system', audit } = {}) {
+  const objects = await listObjects(`${TRASH_PREFIX}${id}.`);
+  const found = await updateMeta((meta) => {
+    if (!(Object.hasOwn(meta, id) && meta[id]?.trashedAt) && !objects.length) return false;
+    delete meta[id];
+    return true;
+  }, { author: actor, audit });
+  if (!found) return undefined;
+  for (const obj of objects) {
+    await deleteObject(obj.Key);
+    audit?.keys.push({ from: obj.Key, to: null });
+  }
+  await deleteObject(revisionsKey(id));
+  return { id, removed: objects.map(obj => obj.Key.slice(TRASH_PREFIX.length)) };
+}
+
+// When a post trashed at `trashedAt` will be purged, and how many days that
+// leaves.  Both are null when retention is off.
+function trashExpiry(trashedAt, now = Date.now()) {
+  if (!TRASH_RETENTION_DAYS || !trashedAt) return { purgeAt: null, daysUntilPurge: null };
+  const purgeAt = Date.parse(trashedAt) + TRASH_RETENTION_DAYS * DAY_MS;
+  return {
+    purgeAt: new Date(purgeAt).toISOString(),
+    daysUntilPurge: Math.max(0, Math.ceil((purgeAt - now) / DAY_MS)),
+  };
+}
+
+// List the trash as buildPost() records with their `purgeAt` and
+// `daysUntilPurge`, most recently trashed first.
+async function loadTrash() {
+  const current = await loadCatalog();
+  const { meta } = current;
+  const images = await loadImageIndex(catalogObjects(current, 'images/'));
+  const groups = {};
+  catalogObjects(current, TRASH_PREFIX).forEach((obj) => {
+    const base = path.basename(obj.Key).replace(/\..*$/, '');
+    groups[base] = groups[base] || [];
+    groups[base].push(obj);
+  });
+  Object.keys(meta).forEach((id) => {
+    if (!id.startsWith('_') && meta[id]?.trashedAt && !groups[id]) groups[id] = [];
+  });
+  const posts = await Promise.all(Object.entries(groups).map(async ([id, objs]) => {
+    if (id.startsWith('_')) return undefined;
+    const post = await buildPost(id, objs, meta, true, true);
+    post.image = managedImage(post.imageUrl, images);
+    post.trashedAt = post.trashedAt || objs
+      .map(o => new Date(o.LastModified || Date.now()).toISOString())
+      .sort()
+      .pop() || null;
+    return { ...post, ...trashExpiry(post.trashedAt) };
+  }));
+  return posts
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.trashedAt || b.date) - new Date(a.trashedAt || a.date));
+}
+
+// Hard delete the trashed posts, or with `expiredOnly` just the ones past
+// their retention.  With `dryRun` nothing is removed.  Resolves to the
+// affected posts as `{ id, title, type, trashedAt, purgeAt, removed }`.
+async function emptyTrash({ expiredOnly = false, dryRun = false, actor = 'system', audit } = {}) {
+  const now = Date.now();
+  const items = (await loadTrash())
+    .filter(post => !expiredOnly || (post.purgeAt && Date.parse(post.purgeAt) <= now))
+    .map(({ id, title, type, trashedAt, purgeAt }) => ({ id, title, type, trashedAt, purgeAt }));
+  if (dryRun) return items;
+  const purged = [];
+  for (const item of items) {
+    const result = await purgePost(item.id, { actor, audit });
+    if (result) purged.push({ ...item, removed: result.removed });
+  }
+  return purged;
+}
+
+// Purge expired trash now and every TRASH_PURGE_INTERVAL_MS.  Each run that
+// removes something is written to the audit log.
+let trashPurgeTimer = null;
+async function runTrashPurge() {
+  clearTimeout(trashPurgeTimer);
+  if (!TRASH_RETENTION_DAYS) return;
+  try {
+    const audit = { changes: [], keys: [], ids: [] };
+    const purged = await emptyTrash({ expiredOnly: true, actor: 'retention', audit });
+    if (purged.length) {
+      console.log(`purged ${purged.length} expired post(s) from the trash`);
+      await appendAudit({
+        at: new Date().toISOString(),
+        actor: 'retention',
+        via: 'system',
+        action: 'trash.purge-expired',
+        ids: purged.map(item => item.id),
+        changes: audit.changes,
+        keys: audit.keys,
+        result: { ok: true },
+      });
+    }
+  } catch (err) {
+    console.error('trash purge error', err);
+  }
+  trashPurgeTimer = setTimeout(runTrashPurge, TRASH_PURGE_INTERVAL_MS);
+  trashPurgeTimer.unref();
+}
+
+// -----------------------------------------------------------------------------
+// Revision history
+//
+// Every metadata change made through updateMeta() is recorded as a revision in
+// `revisions/<id>.json`: a copy of the entry as saved, with the time and the
+// author.  Removing an entry records a `deleted` revision.  Revisions are
+// numbered per post by `rev`, independently of the entry's `version`, and only
+// the newest REVISION_LIMIT are kept.  History lives outside `posts/`, so it
+// is untouched by soft delete; hard delete removes it.
+const REVISION_LIMIT = Math.max(1, parseInt(process.env.REVISION_LIMIT || '50', 10) || 50);
+// Fields put back by a restore.  Slugs, schedules and media details are left
+// alone since they are tied to state outside the entry.
+const REVISION_FIELDS = ['title', 'body', 'imageUrl', 'draft', 'date'];
+
+function revisionsKey(id) {
+  return `revisions/${id}.json`;
+}
+
+async function readRevisions(id) {
+  const text = await getObject(revisionsKey(id));
+  if (!text) return [];
+  try { return JSON.parse(text); } catch { return []; }
+}
+
+// Append a revision for each changed post.  Failures are logged rather than
+// thrown because the metadata itself has already been saved.
+async function recordRevisions(ids, meta, author) {
+  const at = new Date().toISOString();
+  for (const id of ids) {
+    try {
+      const revisions = await readRevisions(id);
+      const rev = (revisions[revisions.length - 1]?.rev || 0) + 1;
+      const entry = meta[id];
+      revisions.push(entry
+        ? { rev, version: entry.version, at, author, data: JSON.parse(JSON.stringify(entry)) }
+        : { rev, version: null, at, author, deleted: true, data: null });
+      const kept = revisions.slice(-REVISION_LIMIT);
+      await putObject(revisionsKey(id), JSON.stringify(kept, null, 2), 'application/json');
+    } catch (err) {
+      console.error('record revision error', id, err);
+    }
+  }
+}
+
+// Line-by-line diff of two strings as `[{ op, line }]` where op is `=`, `-` or
+// `+`.  Uses a longest common subsequence table, so very long texts are not
+// diffed (null is returned).
+function lineDiff(from, to) {
+  const a = from.split('\n');
+  const b = to.split('\n');
+  if (a.length * b.length > 4e6) return null;
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { ops.push({ op: '=', line: a[i] }); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) ops.push({ op: '-', line: a[i++] });
+    else ops.push({ op: '+', line: b[j++] });
+  }
+  while (i < a.length) ops.push({ op: '-', line: a[i++] });
+  while (j < b.length) ops.push({ op: '+', line: b[j++] });
+  return ops;
+}
+
+// Field-level diff between two revisions.  Multi-line strings also get a
+// line diff.  `version` is bookkeeping and is left out.
+function diffRevisions(from, to) {
+  const a = from.data || {};
+  const b = to.data || {};
+  const changes = {};
+  new Set([...Object.keys(a), ...Object.keys(b)]).forEach((field) => {
+    if (field === 'version' || JSON.stringify(a[field]) === JSON.stringify(b[field])) return;
+    const change = { from: a[field] ?? null, to: b[field] ?? null };
+    if (typeof a[field] === 'string' && typeof b[field] === 'string' && (a[field].includes('\n') || b[field].includes('\n'))) {
+      change.lines = lineDiff(a[field], b[field]);
+    }
+    changes[field] = change;
+  });
+  return changes;
+}
+
+// -----------------------------------------------------------------------------
+// Audit log
+//
+// Every mutating API call is appended to an audit log stored next to the
+// content as JSON Lines, one folder per day (`audit/<yyyy-mm-dd>/`).  An
+// entry records who did what: the actor, the action, the post ids involved,
+// the metadata of each changed post before and after, the object keys that
+// were written, moved or deleted, and the HTTP result.  Entries are only ever
+// appended.
+//
+// Entries are buffered and written at most every AUDIT_FLUSH_MS.  Each
+// process writes its own segment files, `<writer>-<n>.jsonl`, starting a new
+// one once a segment reaches AUDIT_SEGMENT_BYTES, so a write never has to
+// read the day back or wait for another writer.  Pending entries are flushed
+// on SIGTERM; a crash can lose the last AUDIT_FLUSH_MS of them.
+//
+// Routes opt in with audited(action), which attaches `req.audit`.  Passing
+// `{ audit: req.audit }` to updateMeta() fills in the metadata changes, and
+// handlers push the object keys they touch onto `req.audit.keys` as
+// `{ from, to }` (`from` is null for a new object, `to` for a deleted one).
+// Actions named `post.*` target the post in the `:id` route parameter.
+const AUDIT_PREFIX = 'audit/';
+const AUDIT_QUERY_LIMIT = 1000;
+const AUDIT_FLUSH_MS = 1000;
+const AUDIT_SEGMENT_BYTES = 256 * 1024;
+const AUDIT_WRITER = `${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+
+// The day an audit segment holds.
+function auditDay(key) {
+  const match = /^audit\/(\d{4}-\d{2}-\d{2})\/[^/]+\.jsonl$/.exec(key);
+  return match ? match[1] : undefined;
+}
+
+let auditPending = [];
+let auditTimer = null;
+// The segment this process is appending to, per day: `{ key, body, count }`.
+const auditSegments = new Map();
+let auditFlushing = Promise.resolve();
+
+// Queue an entry for the next flush.
+function appendAudit(entry) {
+  auditPending.push(entry);
+  if (!auditTimer) {
+    auditTimer = setTimeout(() => flushAudit().catch(err => console.error('audit log error', err)), AUDIT_FLUSH_MS);
+  }
+}
+
+// Write the pending entries to their days' segments.  Entries whose write
+// fails go back in the queue for the next flush.
+function flushAudit() {
+  clearTimeout(auditTimer);
+  auditTimer = null;
+  const run = auditFlushing.then(async () => {
+    const entries = auditPending;
+    auditPending = [];
+    const byDay = new Map();
+    entries.forEach((entry) => {
+      const day = entry.at.slice(0, 10);
+      byDay.set(day, [...(byDay.get(day) || []), entry]);
+    });
+    // Only today's segment (or the one being flushed) is kept in memory.
+    [...auditSegments.keys()].filter(day => !byDay.has(day)).forEach(day => auditSegments.delete(day));
+    for (const [day, dayEntries] of byDay) {
+      const lines = dayEntries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+      let segment = auditSegments.get(day);
+      if (!segment || (segment.body && segment.body.length + lines.length > AUDIT_SEGMENT_BYTES)) {
+        const count = segment ? segment.count + 1 : 1;
+        segment = { key: `${AUDIT_PREFIX}${day}/${AUDIT_WRITER}-${count}.jsonl`, body: '', count };
+      }
+      try {
+        await putObject(segment.key, segment.body + lines, 'application/x-ndjson');
+      } catch (err) {
+        auditPending.unshift(...dayEntries);
+        if (!auditTimer) auditTimer = setTimeout(() => flushAudit().catch(() => {}), AUDIT_FLUSH_MS);
+        throw err;
+      }
+      auditSegments.set(day, { ...segment, body: segment.body + lines });
+    }
+  });
+  auditFlushing = run.catch(() => {});
+  return run;
+}
+
+// Post ids an object key belongs to, e.g. `posts/.trash/123.mp3` → `123`.
+function postIdOfKey(key) {
+  const match = key && /^posts\/(?:\.trash\/)?(\d+)\.[^/]+$/.exec(key);
+  return match ? match[1] : undefined;
+}
+
+// Middleware recording the request in the audit log once the response has
+// been sent.  Place it before requirePermission() so refused attempts are
+// logged too.
+function audited(action) {
+  return (req, res, next) => {
+    const audit = { changes: [], keys: [], ids: [] };
+    req.audit = audit;
+    const startedAt = new Date().toISOString();
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400 && body && body.error) audit.error = body.error;
+      return json(body);
+    };
+    res.on('finish', () => {
+      const ids = new Set(audit.ids);
+      if (action.startsWith('post.') && req.params.id) ids.add(req.params.id);
+      if (Array.isArray(req.body?.ids)) req.body.ids.forEach(id => ids.add(String(id).replace(/\.[^.]+$/, '')));
+      audit.changes.forEach(change => ids.add(change.id));
+      audit.keys.forEach(({ from, to }) => [from, to].map(postIdOfKey).filter(Boolean).forEach(id => ids.add(id)));
+      const entry = {
+        at: startedAt,
+        actor: requestActor(req),
+        via: req.auth?.type,
+        action,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        params: req.params,
+        ids: [...ids],
+        changes: audit.changes,
+        keys: audit.keys,
+        result: { status: res.statusCode, ok: res.statusCode < 400, ...(audit.error ? { error: audit.error } : {}) },
+      };
+      appendAudit(entry);
+    });
+    next();
+  };
+}
+
+// Read audit entries matching `{ postId, actor, action, from, to }`, newest
+// first, up to `limit`.  Only the day files inside the time range are read.
+async function queryAudit({ postId, actor, action, from, to, limit }) {
+  await flushAudit().catch(err => console.error('audit log error', err));
+  const fromDay = from ? from.toISOString().slice(0, 10) : '';
+  const toDay = to ? to.toISOString().slice(0, 10) : '9999';
+  const files = new Map();
+  (await listObjects(AUDIT_PREFIX)).forEach((obj) => {
+    const day = auditDay(obj.Key);
+    if (day && day >= fromDay && day <= toDay) files.set(day, [...(files.get(day) || []), obj.Key]);
+  });
+  const actions = action ? action.split(',') : null;
+  const found = [];
+  for (const day of [...files.keys()].sort().reverse()) {
+    const lines = (await Promise.all(files.get(day).map(getObject))).join('\n').split('\n');
+    // Entries are appended when the response finishes, so sort by start time.
+    // A damaged line is skipped rather than failing the whole query.
+    const entries = lines
+      .map((line) => {
+        try { return line ? JSON.parse(line) : undefined; } catch { return undefined; }
+      })
+      .filter(entry => typeof entry?.at === 'string' && Array.isArray(entry.ids))
+      .sort((a, b) => b.at.localeCompare(a.at));
+    for (const entry of entries) {
+      const at = Date.parse(entry.at);
+      if (from && at < from.getTime()) continue;
+      if (to && at > to.getTime()) continue;
+      if (postId && !entry.ids.includes(postId)) continue;
+      if (actor && entry.actor !== actor) continue;
+      if (actions && !actions.includes(entry.action)) continue;
+      found.push(entry);
+      if (found.length >= limit) return found;
+    }
+  }
+  return found;
+}
+
+// -----------------------------------------------------------------------------
+// Scheduled publishing
+//
+// A post whose `publishAt` lies in the future is `scheduled`: it is hidden from
+// `/api/posts`, the feeds and public single-post lookups, and listed under
+// `/api/scheduled` for admins instead.  Visibility flips by itself once the
+// time passes because it is evaluated on every read.
+//
+// On top of that an in-process scheduler wakes up when the next post is due
+// (and at least every SCHEDULER_INTERVAL_MS, to notice schedules written by
+// other instances), stamps `publishedAt` on due posts and emits a `published`
+// event on `postEvents`.  Because `publishedAt` is stored in the metadata, a
+// restart simply catches up on anything that fell due while we were down and
+// never fires twice for the same schedule.
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// Lifecycle events for posts: `created`, `published`, `updated`, `trashed`,
+// `restored`, `deleted` and `video-generated`.  Listeners receive `{ id, post }`
+// with the buildPost() record.  All but `video-generated` are derived from the
+// metadata writes themselves (see announceChanges()), so every route that
+// changes a post emits them.
+const postEvents = new EventEmitter();
+
+// Metadata fields whose changes don't count as an edit of the post: they are
+// covered by their own events, or not part of the content.
+const LIFECYCLE_FIELDS = ['version', 'draft', 'publishAt', 'publishedAt', 'trashedAt', 'trashedBy', 'videoPreset'];
+
+// The lifecycle events for a metadata entry changing from `prev` to `next`
+// (either may be missing).  A post going live on a schedule is announced by
+// the scheduler once it stamps `publishedAt`, not here.
+function postLifecycleEvents(prev, next) {
+  if (!next) return prev ? ['deleted'] : [];
+  const live = entry => !!entry && !entry.draft && !entry.trashedAt && !isScheduled(entry);
+  const edited = prev && Object.keys({ ...prev, ...next })
+    .some(field => !LIFECYCLE_FIELDS.includes(field) && JSON.stringify(prev[field]) !== JSON.stringify(next[field]));
+  if (!prev) {
+    if (next.trashedAt) return ['trashed'];
+  } else if (!prev.trashedAt && next.trashedAt) {
+    return ['trashed'];
+  } else if (prev.trashedAt && !next.trashedAt) {
+    return ['restored'];
+  }
+  const events = prev ? (edited ? ['updated'] : []) : ['created'];
+  if (live(next) && !live(prev) && (!next.publishAt || next.publishedAt)) events.push('published');
+  return events;
+}
+
+// Emit the lifecycle events for a metadata write in which `ids` changed from
+// `before` to `meta`.
+async function announceChanges(ids, before, meta) {
+  for (const id of ids) {
+    const events = postLifecycleEvents(before[id], meta[id]);
+    if (!events.length) continue;
+    const post = await postRecord(id, meta[id] || before[id]);
+    events.forEach(event => postEvents.emit(event, { id, post }));
+  }
+}
+
+let schedulerTimer = null;
+
+function isScheduled(entry, now = Date.now()) {
+  const at = Date.parse(entry?.publishAt);
+  return !Number.isNaN(at) && at > now;
+}
+
+// Publish everything that is due and arm the timer for the next post.
+async function runScheduler() {
+  clearTimeout(schedulerTimer);
+  try {
+    const now = Date.now();
+    const due = await updateMeta((meta) => {
+      const ids = [];
+      Object.entries(meta).forEach(([id, entry]) => {
+        if (id.startsWith('_') || !entry?.publishAt || entry.publishedAt || entry.draft || entry.trashedAt) return;
+        if (isScheduled(entry, now)) return;
+        entry.publishedAt = new Date(now).toISOString();
+        ids.push(id);
+      });
+      return ids;
+    }, { author: 'scheduler' });
+    if (due.length) {
+      const posts = await loadPosts();
+      due.forEach(id => postEvents.emit('published', { id, post: posts.find(p => p.id === id) }));
+    }
+    const meta = await readMeta();
+    const next = Object.values(meta)
+      .filter(entry => entry && !entry.draft && !entry.publishedAt && !entry.trashedAt && isScheduled(entry))
+      .map(entry => Date.parse(entry.publishAt))
+      .sort((a, b) => a - b)[0];
+    const delay = next ? Math.min(next - Date.now(), SCHEDULER_INTERVAL_MS) : SCHEDULER_INTERVAL_MS;
+    schedulerTimer = setTimeout(runScheduler, Math.max(delay, 0));
+  } catch (err) {
+    console.error('scheduler error', err);
+    schedulerTimer = setTimeout(runScheduler, SCHEDULER_INTERVAL_MS);
+  }
+  schedulerTimer.unref();
+}
+
+// Re-run the scheduler after a schedule changed, without holding up the
+// request that changed it.
+function rescheduleSoon() {
+  setImmediate(() => { runScheduler(); });
+}
+
+// Validate a `publishAt` value.  Returns `{ value }` with an ISO string (or
+// null to clear the schedule) or `{ error }`.
+function parsePublishAt(value) {
+  if (value === null) return { value: null };
+  const at = typeof value === 'string' ? new Date(value) : new Date(NaN);
+  if (Number.isNaN(at.getTime())) return { error: 'publishAt must be an ISO date or null' };
+  return { value: at.toISOString() };
+}
+
+// Set (or with null, clear) the schedule of a meta entry.  Changing it resets
+// `publishedAt` so the publish event fires again for the new time.
+function applySchedule(entry, publishAt) {
+  if (publishAt === null) delete entry.publishAt;
+  else entry.publishAt = publishAt;
+  delete entry.publishedAt;
+}
+
+// -----------------------------------------------------------------------------
+// Listing queries
+//
+// `/api/posts` and `/api/drafts` accept optional query parameters:
+//
+//   type=audio,video   only these post types (video, audio, image, text)
+//   from=…&to=…        only posts dated within the range (inclusive, ISO dates)
+//   q=…                every whitespace separated term must appear in the
+//                      title or body (case-insensitive)
+//   sort=date|title    sort key (default date) and order=asc|desc (default
+//                      desc for date, asc for title)
+//   limit=…            page size (1–100), with either page=… (1-based) or the
+//                      opaque cursor=… returned as `nextCursor`
+//
+// Without `limit`, `page` or `cursor` the response is the plain array it has
+// always been, with the match count in an X-Total-Count header.  With them the
+// response is `{ items, total, limit, page, nextCursor }`.
+const POST_TYPES = ['video', 'audio', 'image', 'text'];
+const MAX_PAGE_SIZE = 100;
+
+function encodeCursor(post, sort) {
+  const key = sort === 'title' ? post.title : post.date;
+  return Buffer.from(JSON.stringify([key, post.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (Array.isArray(value) && value.length === 2) return value;
+  } catch {}
+  return undefined;
+}
+
+// Parse and validate the listing query.  Returns `{ value }` or `{ error }`.
+function parseListQuery(query) {
+  const value = { paginate: false };
+  if (query.type) {
+    value.types = String(query.type).split(',').map(t => t.trim()).filter(Boolean);
+    const unknown = value.types.find(t => !POST_TYPES.includes(t));
+    if (unknown) return { error: `unknown type: ${unknown}` };
+  }
+  for (const name of ['from', 'to']) {
+    if (!query[name]) continue;
+    const date = new Date(query[name]);
+    if (Number.isNaN(date.getTime())) return { error: `${name} must be a date` };
+    value[name] = date;
+  }
+  value.terms = String(query.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  value.sort = query.sort || 'date';
+  if (!['date', 'title'].includes(value.sort)) return { error: 'sort must be date or title' };
+  value.order = query.order || (value.sort === 'date' ? 'desc' : 'asc');
+  if (!['asc', 'desc'].includes(value.order)) return { error: 'order must be asc or desc' };
+  if (query.limit !== undefined || query.page !== undefined || query.cursor !== undefined) {
+    value.paginate = true;
+    value.limit = query.limit === undefined ? 20 : parseInt(query.limit, 10);
+    if (!Number.isInteger(value.limit) || value.limit < 1 || value.limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    if (query.page !== undefined && query.cursor !== undefined) return { error: 'use either page or cursor' };
+    if (query.cursor !== undefined) {
+      value.cursor = decodeCursor(String(query.cursor));
+      if (!value.cursor) return { error: 'invalid cursor' };
+    } else {
+      value.page = query.page === undefined ? 1 : parseInt(query.page, 10);
+      if (!Number.isInteger(value.page) || value.page < 1) return { error: 'page must be a positive integer' };
+    }
+  }
+  return { value };
+}
+
+// Filter, sort and page `posts` according to a parsed query.  Ties are broken
+// by id so that cursors are stable.
+function queryPosts(posts, q) {
+  const keyOf = p => (q.sort === 'title' ? p.title.toLowerCase() : p.date);
+  const direction = q.order === 'asc' ? 1 : -1;
+  const compareKeys = (ka, ida, kb, idb) => {
+    if (ka !== kb) return (ka < kb ? -1 : 1) * direction;
+    return ida === idb ? 0 : (ida < idb ? -1 : 1) * direction;
+  };
+  const matches = posts
+    .filter(p => !q.types || q.types.includes(p.type))
+    .filter(p => !q.from || new Date(p.date) >= q.from)
+    .filter(p => !q.to || new Date(p.date) <= q.to)
+    .filter((p) => {
+      if (!q.terms.length) return true;
+      const text = `${p.title}\n${p.body}`.toLowerCase();
+      return q.terms.every(t => text.includes(t));
+    })
+    .sort((a, b) => compareKeys(keyOf(a), a.id, keyOf(b), b.id));
+  if (!q.paginate) return { items: matches, total: matches.length };
+  let start = (q.page - 1) * q.limit;
+  if (q.cursor) {
+    const [key, id] = q.cursor;
+    const cursorKey = q.sort === 'title' ? String(key).toLowerCase() : key;
+    start = matches.findIndex(p => compareKeys(keyOf(p), p.id, cursorKey, id) > 0);
+    if (start === -1) start = matches.length;
+  }
+  const items = matches.slice(start, start + q.limit);
+  const hasMore = start + q.limit < matches.length;
+  return {
+    items,
+    total: matches.length,
+    limit: q.limit,
+    page: q.cursor ? null : q.page,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], q.sort) : null,
+  };
+}
+
+// Send a listing response in the shape described above.
+function sendPostList(req, res, posts, q) {
+  const result = queryPosts(posts, q);
+  res.set('X-Total-Count', String(result.total));
+  sendCatalogJson(req, res, q.paginate ? result : result.items);
+}
+
+// -----------------------------------------------------------------------------
+// Audio ingest
+//
+// Uploaded audio is probed with ffprobe before it is stored.  Files without an
+// audio stream (or with a real video stream) are rejected.  Anything that is
+// not already MP3 is transcoded to MP3 so that every post is stored as
+// `<id>.mp3`, which is the only audio extension the listing and trash routes
+// know about.  Optionally the audio is loudness normalized to EBU R128 on the
+// way through (AUDIO_NORMALIZE, or a `normalize` form field per upload).
+//
+// ffprobe is taken from FFPROBE_PATH or the PATH; the Docker image installs it
+// alongside ffmpeg.
+const AUDIO_NORMALIZE = process.env.AUDIO_NORMALIZE === 'true';
+const AUDIO_BITRATE = process.env.AUDIO_BITRATE || '192k';
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+function ffprobeFile(file) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+// Probe a file and describe its audio stream as `{ codec, format, duration,
+// bitrate, sampleRate, channels }`.  Resolves to undefined when the file is not
+// audio.  Cover art embedded in MP3/M4A files shows up as an attached picture
+// stream and is allowed.
+async function probeAudio(file) {
+  let data;
+  try {
+    data = await ffprobeFile(file);
+  } catch (err) {
+    return undefined;
+  }
+  const streams = data.streams || [];
+  const stream = streams.find(s => s.codec_type === 'audio');
+  if (!stream) return undefined;
+  if (streams.some(s => s.codec_type === 'video' && !s.disposition?.attached_pic)) return undefined;
+  const format = data.format || {};
+  return {
+    codec: stream.codec_name,
+    format: format.format_name || '',
+    duration: parseFloat(format.duration || stream.duration) || 0,
+    bitrate: parseInt(format.bit_rate || stream.bit_rate, 10) || 0,
+    sampleRate: parseInt(stream.sample_rate, 10) || 0,
+    channels: stream.channels || 0,
+  };
+}
+
+// Transcode (and optionally normalize) `input` to an MP3 at `output`.  MP3
+// only supports a few sample rates, and loudnorm resamples to 192kHz, so the
+// output rate is pinned explicitly.
+function transcodeToMp3(input, output, { sampleRate, normalize }) {
+  const rate = [48000, 44100, 32000].includes(sampleRate) ? sampleRate : 44100;
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(input)
+      .noVideo()
+      .audioCodec('libmp3lame')
+      .audioBitrate(AUDIO_BITRATE)
+      .audioFrequency(rate)
+      .outputOptions(['-y', '-threads', '1']);
+    if (normalize) command.audioFilters(LOUDNORM_FILTER);
+    command
+      .output(output)
+      .on('end', resolve)
+      .on('error', (err) => reject(err))
+      .run();
+  });
+}
+
+// Store the uploaded audio file at `file` as a new post.  A unique
+// identifier is derived from the current timestamp.  The file is probed
+// (undefined if it is not audio), transcoded to MP3 when needed and persisted
+// as `posts/<id>.mp3` along with its peaks (see "Waveforms and posters").  A
+// default meta entry titled after `originalname` is created and the probed
+// `audio` details are saved on it.  Resolves to
+// `{ id, filename, audio }`.
+async function ingestAudio(file, originalname, { normalize = AUDIO_NORMALIZE, actor = 'system', audit } = {}) {
+  const source = await probeAudio(file);
+  if (!source) return undefined;
+  let transcoded;
+  try {
+    // Transcode unless the upload is already an MP3 we can store as is.
+    let localPath = file;
+    if (source.codec !== 'mp3' || !/mp3/.test(source.format) || normalize) {
+      transcoded = tempPath('ingest.mp3');
+      await transcodeToMp3(file, transcoded, { sampleRate: source.sampleRate, normalize });
+      localPath = transcoded;
+    }
+    const { format, ...probed } = await probeAudio(localPath) || source;
+    const audio = { ...probed, normalized: normalize, originalCodec: source.codec };
+    // Claim the id and create the meta entry.  As in create-post, step past
+    // ids taken by posts from the same millisecond so simultaneous uploads
+    // never share a file.
+    const title = originalname.replace(/\.[^/.]+$/, '');
+    const id = await updateMeta((meta) => {
+      let ts = Date.now();
+      while (meta[String(ts)]) ts++;
+      const newId = String(ts);
+      meta[newId] = { title, slug: uniqueSlug(meta, title, newId), body: '', imageUrl: '', draft: false, audio };
+      return newId;
+    }, { author: actor, audit });
+    const filename = `${id}.mp3`;
+    const key = `posts/${filename}`;
+    // Write to storage, giving the id back if that fails.
+    try {
+      await putFile(key, localPath, 'audio/mpeg');
+    } catch (err) {
+      await updateMeta((meta) => { delete meta[id]; }, { author: actor, audit });
+      throw err;
+    }
+    audit?.keys.push({ from: null, to: key });
+    await deriveQuietly(id, 'peaks', localPath, audit);
+    return { id, filename, audio };
+  } finally {
+    if (transcoded) fs.rmSync(transcoded, { force: true });
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Image processing
+//
+// Uploaded images are identified by their content rather than the extension
+// or mimetype the client sends, and only JPEG, PNG, GIF and WebP are accepted.
+// Every upload is re-encoded with ffmpeg: the EXIF orientation is applied to
+// the pixels, and EXIF and all other metadata (phone photos carry GPS
+// positions) are dropped.  Each image is stored as a set of variants under
+// `images/<name>/`, one per IMAGE_VARIANTS size, named
+// `<label>-<width>x<height>.<ext>`, both in JPEG (PNG for formats that can be
+// transparent) and in WebP.  Variants are never upscaled and animated GIFs
+// keep their first frame.
+//
+// The sizes are part of the file names, so one listing of `images/` describes
+// every managed image.  Posts whose `imageUrl` points at a managed image get
+// an `image` field with the variants and `srcset` strings.
+const IMAGE_VARIANTS = [
+  { label: 'thumb', width: 320 },
+  { label: 'medium', width: 800 },
+  { label: 'full', width: 1600 },
+];
+const IMAGE_VARIANT_PATTERN = /^images\/([^/]+)\/([a-z]+)-(\d+)x(\d+)\.(jpg|png|webp)$/;
+const IMAGE_CODECS = {
+  jpg: ['-c:v', 'mjpeg', '-q:v', '3', '-pix_fmt', 'yuvj420p'],
+  png: ['-c:v', 'png'],
+  webp: ['-c:v', 'libwebp', '-quality', '80'],
+};
+const IMAGE_CONTENT_TYPES = { jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+// Filters that apply each EXIF orientation (2-8) to the pixels.
+const ORIENTATION_FILTERS = {
+  2: ['hflip'],
+  3: ['hflip', 'vflip'],
+  4: ['vflip'],
+  5: ['transpose=0'],
+  6: ['transpose=1'],
+  7: ['transpose=3'],
+  8: ['transpose=2'],
+};
+
+// Identify an image from its first bytes.  Returns `jpeg`, `png`, `gif`,
+// `webp`, or undefined for anything else.
+function sniffImage(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (/^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) return 'gif';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  return undefined;
+}
+
+// Read the EXIF orientation (1-8) of a JPEG.  Returns 1 when there is none or
+// the EXIF block can't be read.
+function jpegOrientation(buffer) {
+  try {
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      if (marker === 0xda) break;
+      const size = buffer.readUInt16BE(offset + 2);
+      if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+        const tiff = offset + 10;
+        const little = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+        const read16 = at => (little ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+        const read32 = at => (little ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+        const ifd = tiff + read32(tiff + 4);
+        for (let i = 0; i < read16(ifd); i++) {
+          const entry = ifd + 2 + i * 12;
+          if (read16(entry) === 0x0112) {
+            const value = read16(entry + 8);
+            return value >= 1 && value <= 8 ? value : 1;
+          }
+        }
+        return 1;
+      }
+      offset += 2 + size;
+    }
+  } catch {}
+  return 1;
+}
+
+// Encode one variant of `input` at `output` with the given filters.
+function renderImageVariant(input, output, filters, ext) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(input)
+      .inputOptions(['-noautorotate'])
+      .videoFilters(filters)
+      .outputOptions(['-y', '-frames:v', '1', '-map_metadata', '-1', '-threads', '1', ...IMAGE_CODECS[ext]])
+      .output(output)
+      .on('end', resolve)
+      .on('error', (err) => reject(err))
+      .run();
+  });
+}
+
+// Process the uploaded file at `file` into variants stored under
+// `images/<name>/`.  Resolves to the image description (see describeImage()),
+// or undefined when the file is not an accepted image.  Stored keys are added
+// to `audit` when given.
+async function processImage(file, name, audit) {
+  const head = Buffer.alloc(64 * 1024);
+  const fd = fs.openSync(file, 'r');
+  const headLength = fs.readSync(fd, head, 0, head.length, 0);
+  fs.closeSync(fd);
+  const type = sniffImage(head.subarray(0, headLength));
+  if (!type) return undefined;
+  let stream;
+  try {
+    stream = (await ffprobeFile(file)).streams?.find(s => s.codec_type === 'video');
+  } catch {
+    return undefined;
+  }
+  if (!stream?.width || !stream?.height) return undefined;
+  const orientation = type === 'jpeg' ? jpegOrientation(head.subarray(0, headLength)) : 1;
+  const swap = orientation >= 5;
+  const sourceWidth = swap ? stream.height : stream.width;
+  const sourceHeight = swap ? stream.width : stream.height;
+  const exts = [type === 'jpeg' ? 'jpg' : 'png', 'webp'];
+  const variants = [];
+  for (const { label, width: target } of IMAGE_VARIANTS) {
+    const width = Math.min(target, sourceWidth);
+    const height = Math.max(1, Math.round(sourceHeight * width / sourceWidth));
+    const filters = [...(ORIENTATION_FILTERS[orientation] || []), `scale=${width}:${height}:flags=lanczos`];
+    for (const ext of exts) {
+      const key = `images/${name}/${label}-${width}x${height}.${ext}`;
+      const localPath = tempPath(`${label}.${ext}`);
+      try {
+        try {
+          await renderImageVariant(file, localPath, filters, ext);
+        } catch (err) {
+          // A file that probes as an image but can't be decoded (a truncated
+          // upload, say) is rejected like any other non-image.
+          if (variants.length) throw err;
+          return undefined;
+        }
+        await putFile(key, localPath, IMAGE_CONTENT_TYPES[ext]);
+      } finally {
+        fs.rmSync(localPath, { force: true });
+      }
+      audit?.keys.push({ from: null, to: key });
+      variants.push({ label, width, height, format: ext, url: absoluteUrl(key) });
+    }
+  }
+  return describeImage(name, variants);
+}
+
+// Describe a managed image from its variants: `{ name, width, height, url,
+// variants, srcset, webpSrcset }`, where `url` is the largest non-WebP
+// variant.
+function describeImage(name, variants) {
+  const rank = v => v.width * IMAGE_VARIANTS.length + IMAGE_VARIANTS.findIndex(size => size.label === v.label);
+  // Sizes that came out the same width are listed once, as the larger label.
+  const srcset = list => [...new Map(list.sort((a, b) => rank(a) - rank(b)).map(v => [v.width, v])).values()]
+    .map(v => `${v.url} ${v.width}w`)
+    .join(', ');
+  const fallback = variants.filter(v => v.format !== 'webp');
+  const largest = fallback.reduce((best, v) => (!best || rank(v) > rank(best) ? v : best), null);
+  return {
+    name,
+    width: largest?.width || 0,
+    height: largest?.height || 0,
+    url: largest?.url || '',
+    variants,
+    srcset: srcset(fallback),
+    webpSrcset: srcset(variants.filter(v => v.format === 'webp')),
+  };
+}
+
+// Index every managed image by name from a single listing of `images/`
+// (fetched unless `objects` are passed).
+async function loadImageIndex(objects) {
+  const byName = new Map();
+  (objects || await listObjects('images/')).forEach((obj) => {
+    const match = IMAGE_VARIANT_PATTERN.exec(obj.Key);
+    if (!match) return;
+    const [, name, label, width, height, format] = match;
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push({ label, width: parseInt(width, 10), height: parseInt(height, 10), format, url: absoluteUrl(obj.Key) });
+  });
+  return byName;
+}
+
+// The managed image behind `imageUrl`, or null if it isn't one.
+function managedImage(imageUrl, index) {
+  const match = /^images\/([^/]+)\//.exec(keyFromUrl(imageUrl) || '');
+  const variants = match && index.get(match[1]);
+  return variants ? describeImage(match[1], variants) : null;
+}
+
+// -----------------------------------------------------------------------------
+// Captions
+//
+// Audio and video posts can carry caption tracks, one per language, uploaded
+// as WebVTT or SRT.  Uploads are parsed and checked (well-formed cue timings,
+// every cue ending after it starts, at least one cue) and stored as WebVTT
+// next to the media, as `posts/<id>.<lang>.vtt`.  They are therefore moved to
+// the trash, restored and purged together with the rest of the post, and the
+// media proxy serves them under the same rules as the post's media.  The
+// post record lists them as `captions`; their labels are kept in the
+// metadata.  Any track can be downloaded as SRT as well, and
+// `/api/generate-video` burns one into the video with `captions: <lang>`.
+const CAPTION_LANG_PATTERN = /^[a-z]{2,3}(?:-[A-Za-z0-9]{2,8})*$/;
+const CAPTION_TIME = String.raw`(?:(\d+):)?([0-5]\d):([0-5]\d)[.,](\d{3})`;
+const CAPTION_TIMING_PATTERN = new RegExp(`^${CAPTION_TIME}[ \\t]+-->[ \\t]+${CAPTION_TIME}(?:[ \\t]+(.*))?$`);
+const CAPTION_FORMATS = { vtt: 'text/vtt', srt: 'application/x-subrip' };
+
+function captionsKey(id, lang) {
+  return `posts/${id}.${lang}.vtt`;
+}
+
+function captionTime([hours = '0', minutes, seconds, millis]) {
+  return ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000 + parseInt(millis, 10);
+}
+
+function formatCaptionTime(ms, separator) {
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  const hours = Math.floor(ms / 3600000);
+  return `${pad(hours)}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// Parse WebVTT or SRT into cues `{ start, end, settings, text }`, with times
+// in milliseconds.  Returns `{ value: { format, cues } }` or `{ error }`
+// naming the offending line.
+function parseCaptions(text) {
+  const lines = String(text).replace(/^﻿/, '').replace(/\r\n?/g, '\n').split('\n');
+  const format = /^WEBVTT(?:[ \t]|$)/.test(lines[0]) ? 'vtt' : 'srt';
+  const cues = [];
+  let i = 0;
+  // The WebVTT header runs up to the first blank line.
+  if (format === 'vtt') while (i < lines.length && lines[i].trim()) i++;
+  while (i < lines.length) {
+    if (!lines[i].trim()) {
+      i++;
+      continue;
+    }
+    const first = i;
+    const block = [];
+    while (i < lines.length && lines[i].trim()) block.push(lines[i++]);
+    if (format === 'vtt' && /^(?:NOTE|STYLE|REGION)(?:[ \t]|$)/.test(block[0])) continue;
+    const timing = block.findIndex(line => line.includes('-->'));
+    if (timing === -1 || timing > 1) return { error: `line ${first + 1}: expected a cue timing (start --> end)` };
+    const match = CAPTION_TIMING_PATTERN.exec(block[timing].trim());
+    if (!match) return { error: `line ${first + timing + 1}: malformed cue timing` };
+    const start = captionTime(match.slice(1, 5));
+    const end = captionTime(match.slice(5, 9));
+    if (end <= start) return { error: `line ${first + timing + 1}: cue ends before it starts` };
+    cues.push({ start, end, settings: format === 'vtt' ? match[9] || '' : '', text: block.slice(timing + 1).join('\n') });
+  }
+  if (!cues.length) return { error: 'no cues found' };
+  cues.sort((a, b) => a.start - b.start);
+  return { value: { format, cues } };
+}
+
+// Cue text for SRT: WebVTT tags other than b, i and u are dropped and
+// entities decoded.
+function srtCueText(text) {
+  return text
+    .replace(/<(?!\/?[biu]>)[^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+// Cue text from SRT for WebVTT: tags other than b, i and u (such as <font>)
+// are dropped and the characters WebVTT reserves are escaped.
+function vttCueText(text) {
+  return text
+    .replace(/<(?!\/?[biu]>)[^>]*>/g, '')
+    .split(/(<\/?[biu]>)/)
+    .map((part, index) => (index % 2 ? part : part.replace(/&(?![a-z]+;|#\d+;)/gi, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')))
+    .join('');
+}
+
+function formatVtt(cues) {
+  const blocks = cues.map(cue => `${formatCaptionTime(cue.start, '.')} --> ${formatCaptionTime(cue.end, '.')}`
+    + `${cue.settings ? ` ${cue.settings}` : ''}\n${cue.text}`);
+  return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
+
+function formatSrt(cues) {
+  const blocks = cues.map((cue, index) => `${index + 1}\n${formatCaptionTime(cue.start, ',')} --> ${formatCaptionTime(cue.end, ',')}`
+    + `\n${srtCueText(cue.text)}`);
+  return `${blocks.join('\n\n')}\n`;
+}
+
+// Convert parsed captions to `format` (`vtt` or `srt`).
+function convertCaptions({ format, cues }, to) {
+  if (to === 'srt') return formatSrt(cues);
+  return formatVtt(format === 'vtt' ? cues : cues.map(cue => ({ ...cue, text: vttCueText(cue.text) })));
+}
+
+// Read an uploaded caption file.  Returns `{ value }` with the parsed captions
+// or `{ error }`.
+function readCaptionsFile(file) {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(fs.readFileSync(file));
+  } catch {
+    return { error: 'captions must be UTF-8 text' };
+  }
+  return parseCaptions(text);
+}
+
+// The caption tracks among a post's objects, for its record.
+function captionTracks(id, objs, metaEntry) {
+  return objs
+    .map(obj => ({ obj, match: /\.([^./]+)\.vtt$/.exec(obj.Key) }))
+    .filter(({ match }) => match && CAPTION_LANG_PATTERN.test(match[1]))
+    .map(({ obj, match: [, lang] }) => ({
+      lang,
+      label: metaEntry.captions?.[lang]?.label || lang,
+      url: absoluteUrl(obj.Key),
+      srtUrl: `/api/posts/${encodeURIComponent(id)}/captions/${lang}?format=srt`,
+    }))
+    .sort((a, b) => a.lang.localeCompare(b.lang));
+}
+
+// -----------------------------------------------------------------------------
+// Waveforms and posters
+//
+// Players shouldn't have to download a whole MP3 to draw its waveform, and a
+// video needs a still for listings.  Audio posts therefore get a peaks file,
+// `posts/<id>.peaks.json`, computed with ffmpeg when the audio is uploaded,
+// and rendered videos get a poster frame, `posts/<id>.poster.jpg`, when the
+// render finishes.  Both sit next to the media, so they follow the post into
+// the trash and back, and the post record links them as `peaksUrl` and
+// `posterUrl` ('' until they exist).  A failure to derive either is logged
+// and never fails the upload or render.  Posts from before this, or whose
+// derivatives were lost, are filled in with `/api/media/backfill`.
+//
+// The peaks file is `{ version, duration, sampleRate, samplesPerPeak, peaks }`
+// where `peaks` has PEAKS_LENGTH entries (fewer for very short audio), each
+// the loudest sample of its slice of the mono mixdown, scaled to 0-1.
+const PEAKS_LENGTH = Math.max(16, parseInt(process.env.PEAKS_LENGTH || '1000', 10) || 1000);
+const PEAKS_SAMPLE_RATE = 8000;
+const POSTER_MAX_OFFSET = 10;
+const DERIVATIVES = {
+  peaks: { source: 'mp3', key: id => `posts/${id}.peaks.json` },
+  poster: { source: 'mp4', key: id => `posts/${id}.poster.jpg` },
+};
+// Files stored next to a post's media that aren't media themselves.
+const SIDECAR_PATTERN = /\.(?:[^./]+\.vtt|peaks\.json|poster\.jpg)$/;
+
+// Compute the peaks of the audio in `file`, `duration` seconds long.  The
+// audio is decoded as a stream, so memory use doesn't grow with its length.
+function computePeaks(file, duration) {
+  const total = Math.max(1, Math.ceil(duration * PEAKS_SAMPLE_RATE));
+  const samplesPerPeak = Math.max(1, Math.ceil(total / PEAKS_LENGTH));
+  return new Promise((resolve, reject) => {
+    const peaks = [];
+    let peak = 0;
+    let count = 0;
+    let carry = Buffer.alloc(0);
+    // Done once ffmpeg has exited cleanly and its output has been read.
+    let pending = 2;
+    const done = () => {
+      if (--pending) return;
+      if (count) peaks.push(peak);
+      resolve({
+        version: 1,
+        duration,
+        sampleRate: PEAKS_SAMPLE_RATE,
+        samplesPerPeak,
+        peaks: peaks.map(value => Math.round(value / 32768 * 1000) / 1000),
+      });
+    };
+    const command = ffmpeg(file)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(PEAKS_SAMPLE_RATE)
+      .format('s16le')
+      .outputOptions(['-threads', '1'])
+      .on('end', done)
+      .on('error', (err) => reject(err));
+    const stream = command.pipe();
+    stream.on('data', (chunk) => {
+      const data = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = data.length - (data.length % 2);
+      for (let offset = 0; offset < usable; offset += 2) {
+        peak = Math.max(peak, Math.abs(data.readInt16LE(offset)));
+        if (++count === samplesPerPeak) {
+          peaks.push(peak);
+          peak = 0;
+          count = 0;
+        }
+      }
+      carry = data.subarray(usable);
+    });
+    stream.on('end', done);
+  });
+}
+
+// Grab the frame `at` seconds into the video in `file` as a JPEG at `output`.
+function extractPoster(file, output, at) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(file)
+      .seekInput(at)
+      .outputOptions(['-y', '-frames:v', '1', '-map_metadata', '-1', '-threads', '1', ...IMAGE_CODECS.jpg])
+      .output(output)
+      .on('end', resolve)
+      .on('error', (err) => reject(err))
+      .run();
+  });
+}
+
+// Derive `kind` (`peaks` or `poster`) of post `id` from the local media file
+// `file` and store it.  Resolves to the stored key.
+async function storeDerivative(id, kind, file, audit) {
+  const key = DERIVATIVES[kind].key(id);
+  const duration = parseFloat((await ffprobeFile(file)).format?.duration) || 0;
+  if (kind === 'peaks') {
+    await putObject(key, JSON.stringify(await computePeaks(file, duration)), 'application/json');
+  } else {
+    const localPath = tempPath(`${id}-poster.jpg`);
+    try {
+      await extractPoster(file, localPath, Math.min(duration / 4, POSTER_MAX_OFFSET));
+      await putFile(key, localPath, 'image/jpeg');
+    } finally {
+      fs.rmSync(localPath, { force: true });
+    }
+  }
+  audit?.keys.push({ from: null, to: key });
+  return key;
+}
+
+// storeDerivative() for a freshly stored media file, logging failures rather
+// than passing them on.
+async function deriveQuietly(id, kind, file, audit) {
+  try {
+    await storeDerivative(id, kind, file, audit);
+  } catch (err) {
+    console.error(`${kind} error`, id, err.message || err);
+  }
+}
+
+// Download post `id`'s media and (re)build its `kind` derivative.  Resolves
+// to the stored key, or undefined when the post has no such media.
+async function regenerateDerivative(id, kind, audit) {
+  const file = await downloadToTemp(`posts/${id}.${DERIVATIVES[kind].source}`);
+  if (!file) return undefined;
+  try {
+    return await storeDerivative(id, kind, file, audit);
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+// The live posts that are missing derivatives (or all that could have them,
+// with `force`), as `{ id, kinds }`, oldest first.  `ids` limits the search.
+async function missingDerivatives({ kinds, ids, force }) {
+  const current = await loadCatalog();
+  const keys = new Set(current.objects.keys());
+  const byId = new Map();
+  catalogObjects(current, 'posts/').forEach((obj) => {
+    if (obj.Key.startsWith(TRASH_PREFIX)) return;
+    const id = postIdOfKey(obj.Key);
+    if (!id || (ids && !ids.includes(id))) return;
+    kinds.forEach((kind) => {
+      const { source, key } = DERIVATIVES[kind];
+      if (obj.Key !== `posts/${id}.${source}` || (!force && keys.has(key(id)))) return;
+      byId.set(id, [...(byId.get(id) || []), kind]);
+    });
+  });
+  return [...byId].map(([id, missing]) => ({ id, kinds: missing })).sort((a, b) => a.id.localeCompare(b.id, 'en', { numeric: true }));
+}
+
+// -----------------------------------------------------------------------------
+// Resumable uploads
+//
+// Large files can be sent in chunks so that a dropped connection only costs
+// the chunk in flight.  A client opens an upload with its kind, filename and
+// total size, then appends chunks with `PATCH /api/uploads/:id`, sending the
+// byte offset it starts at in an `Upload-Offset` header.  The bytes received
+// so far are the resume point: after a failure the client asks for the
+// current `offset` and carries on from there.  Once every byte is in, `POST
+// /api/uploads/:id/complete` processes the file exactly like the multipart
+// upload routes.
+//
+// Uploads are assembled in `uploads/resumable/` next to a small JSON record,
+// and are abandoned after RESUMABLE_TTL_MS without activity.
+const RESUMABLE_DIR = path.join(TEMP_DIR, 'resumable');
+const RESUMABLE_TTL_MS = 24 * 60 * 60 * 1000;
+const RESUMABLE_KINDS = ['audio', 'image'];
+const resumableBusy = new Set();
+
+function resumablePaths(id) {
+  return {
+    record: path.join(RESUMABLE_DIR, `${id}.json`),
+    data: path.join(RESUMABLE_DIR, `${id}.part`),
+  };
+}
+
+// Read an upload record with its current `offset` and `expiresAt`, or
+// undefined if there is no such upload.
+async function readResumable(id) {
+  if (!/^[a-f0-9]{32}$/.test(id)) return undefined;
+  const paths = resumablePaths(id);
+  try {
+    const record = JSON.parse(await fs.promises.readFile(paths.record, 'utf-8'));
+    const stat = await fs.promises.stat(paths.data);
+    const expiresAt = new Date(stat.mtimeMs + RESUMABLE_TTL_MS).toISOString();
+    return { ...record, offset: stat.size, expiresAt };
+  } catch (err) {
+    if (err.code === 'ENOENT') return undefined;
+    throw err;
+  }
+}
+
+async function removeResumable(id) {
+  const paths = resumablePaths(id);
+  await Promise.all(Object.values(paths).map(file => fs.promises.rm(file, { force: true })));
+}
+
+// Remove uploads that have seen no activity for RESUMABLE_TTL_MS.
+async function sweepResumable() {
+  const names = await fs.promises.readdir(RESUMABLE_DIR).catch(() => []);
+  for (const name of names.filter(n => n.endsWith('.json'))) {
+    const id = name.slice(0, -'.json'.length);
+    const upload = await readResumable(id).catch(() => undefined);
+    if (!upload || Date.parse(upload.expiresAt) < Date.now()) await removeResumable(id);
+  }
+}
+
+// Append the request body to an upload's data, refusing to go past its
+// declared size.  Bytes written before a dropped connection are kept.
+async function appendChunk(req, upload) {
+  let received = upload.offset;
+  const limit = new Transform({
+    transform(chunk, _encoding, callback) {
+      received += chunk.length;
+      if (received > upload.size) {
+        const err = new Error('chunk runs past the declared size');
+        err.code = 'LIMIT_FILE_SIZE';
+        return callback(err);
+      }
+      callback(null, chunk);
+    },
+  });
+  await pipeline(req, limit, fs.createWriteStream(resumablePaths(upload.id).data, { flags: 'a' }));
+}
+
+// -----------------------------------------------------------------------------
+// Video render presets
+//
+// A render is described by a size preset, a visualizer style and an optional
+// text overlay.  The choice is validated when the job is queued and saved on
+// the post as `videoPreset`, which also becomes the default for the next
+// render of that post.
+//
+//   * Presets fix the frame size and rate: `default` is the original 640x360,
+//     `hd` is 1280x720 and `square` is 1080x1080 for social feeds.
+//   * Styles pick the visualizer: `spectrum`, `waves`, `vectorscope`, or
+//     `cover`, which shows the post's `imageUrl` with a waveform along the
+//     bottom (the image must be one uploaded through `/api/images/upload`).
+//     Anything other than `waves` falls back to `waves` if ffmpeg rejects
+//     the filter.
+//   * The overlay draws the post's title and/or date near the top of the
+//     frame.  Set VIDEO_FONT_FILE if the ffmpeg build has no default font.
+const VIDEO_PRESETS = {
+  default: { width: 640, height: 360, fps: 24 },
+  hd: { width: 1280, height: 720, fps: 30 },
+  square: { width: 1080, height: 1080, fps: 30 },
+};
+const VIDEO_STYLES = ['spectrum', 'waves', 'vectorscope', 'cover'];
+const DEFAULT_VIDEO_PRESET = { preset: 'default', style: 'spectrum', overlay: { title: false, date: false } };
+const VIDEO_FONT_FILE = process.env.VIDEO_FONT_FILE
+  || ['/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf'].find(f => fs.existsSync(f))
+  || '';
+
+// Validate the `preset`, `style` and `overlay` fields of a request body on top
+// of the post's saved preset.  `overlay` may be a boolean (both lines) or
+// `{ title, date }`.  Returns `{ value }` or `{ error }`.
+function resolveVideoPreset(body, saved) {
+  const base = { ...DEFAULT_VIDEO_PRESET, ...(saved || {}) };
+  const preset = body.preset ?? base.preset;
+  const style = body.style ?? base.style;
+  if (!Object.hasOwn(VIDEO_PRESETS, preset)) {
+    return { error: `unknown preset: ${preset}` };
+  }
+  if (!VIDEO_STYLES.includes(style)) {
+    return { error: `unknown style: ${style}` };
+  }
+  let overlay = base.overlay;
+  if (typeof body.overlay === 'boolean') {
+    overlay = { title: body.overlay, date: body.overlay };
+  } else if (body.overlay && typeof body.overlay === 'object') {
+    overlay = { title: !!body.overlay.title, date: !!body.overlay.date };
+  } else if (body.overlay !== undefined) {
+    return { error: 'overlay must be a boolean or { title, date }' };
+  }
+  return { value: { preset, style, overlay } };
+}
+
+// Escape a value for use inside a single-quoted filtergraph option.
+function filterValue(value) {
+  return `'${String(value).replace(/\\/g, '/').replace(/'/g, "'\\''")}'`;
+}
+
+// Build the filtergraph for a style at the given size.  Input 0 is the audio
+// and, for `cover`, input 1 is the looped image.  The graph ends in `[vis]`.
+function visualizerGraph(style, { width, height, fps }) {
+  switch (style) {
+    case 'spectrum':
+      return `[0:a]aformat=channel_layouts=stereo,showspectrum=s=${width}x${height}:mode=combined:legend=disabled[vis]`;
+    case 'vectorscope':
+      return `[0:a]avectorscope=s=${width}x${height}:rate=${fps}:zoom=1.5:draw=line[vis]`;
+    case 'cover': {
+      const waveHeight = Math.round(height / 4);
+      return [
+        `[1:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1[bg]`,
+        `[0:a]aformat=channel_layouts=stereo,showwaves=s=${width}x${waveHeight}:mode=cline:rate=${fps}:colors=white[wave]`,
+        '[bg][wave]overlay=0:H-h:shortest=1[vis]',
+      ].join(';');
+    }
+    case 'waves':
+    default:
+      return `[0:a]aformat=channel_layouts=stereo,showwaves=s=${width}x${height}:mode=line:rate=${fps}[vis]`;
+  }
+}
+
+// Complete the graph with the optional text overlay, burnt-in captions and
+// the final pixel format.  `textFile` holds the overlay text (drawtext reads
+// it verbatim) and `captionsFile` an SRT file.
+function videoGraph(style, size, textFile, captionsFile) {
+  const steps = [];
+  if (textFile) {
+    const font = VIDEO_FONT_FILE ? `fontfile=${filterValue(VIDEO_FONT_FILE)}:` : '';
+    const fontSize = Math.round(Math.min(size.width, size.height) / 18);
+    steps.push(`drawtext=${font}textfile=${filterValue(textFile)}:expansion=none:fontcolor=white:fontsize=${fontSize}`
+      + `:line_spacing=${Math.round(fontSize / 3)}:box=1:boxcolor=black@0.45:boxborderw=${Math.round(fontSize / 2)}`
+      + ':x=(w-text_w)/2:y=h/12');
+  }
+  if (captionsFile) {
+    const fonts = VIDEO_FONT_FILE ? `:fontsdir=${filterValue(path.dirname(VIDEO_FONT_FILE))}` : '';
+    steps.push(`subtitles=filename=${filterValue(captionsFile)}${fonts}:original_size=${size.width}x${size.height}`);
+  }
+  steps.push('format=yuv420p');
+  return `${visualizerGraph(style, size)};[vis]${steps.join(',')}[v]`;
+}
+
+// Text for the overlay, one line per enabled item.
+function overlayText(overlay, metaEntry, postId) {
+  const lines = [];
+  if (overlay.title) lines.push(metaEntry.title || postId);
+  if (overlay.date) {
+    const ts = parseInt(postId, 10);
+    let date = metaEntry.date ? new Date(metaEntry.date) : new Date(Number.isNaN(ts) ? Date.now() : ts);
+    if (Number.isNaN(date.getTime())) date = new Date();
+    lines.push(date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }));
+  }
+  return lines.join('\n');
+}
+
+// The storage key of the image a post's `imageUrl` points at, if it is one we
+// manage under `images/`.  Covers are only ever read from storage: the render
+// never fetches a URL on the server's behalf.
+function coverImageKey(url) {
+  const key = keyFromUrl(url);
+  return key && key.startsWith('images/') ? key : undefined;
+}
+
+// -----------------------------------------------------------------------------
+// Video generation jobs
+//
+// Rendering a video can take far longer than a proxy will keep an HTTP request
+// open, so `/api/generate-video` only queues a job and returns its id.  Jobs
+// run in the background, at most VIDEO_JOB_CONCURRENCY at a time, and report
+// their progress from fluent-ffmpeg's `progress` events.  Jobs live in memory
+// only; the most recent JOB_HISTORY_LIMIT finished jobs are kept for
+// inspection.
+//
+// A job moves through `queued` → `running` → `completed` | `failed` |
+// `cancelled`.  Failed and cancelled jobs can be retried.
+const VIDEO_JOB_CONCURRENCY = Math.max(1, parseInt(process.env.VIDEO_JOB_CONCURRENCY || '1', 10) || 1);
+const JOB_HISTORY_LIMIT = 100;
+
+ffmpeg.setFfmpegPath(ffmpegStatic || undefined);
+
+const jobs = new Map();
+const jobQueue = [];
+// Running ffmpeg commands keyed by job id, so they can be killed on cancel.
+const jobCommands = new Map();
+let runningJobs = 0;
+
+function createVideoJob({ filename, title, render, captions, author }) {
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'generate-video',
+    status: 'queued',
+    postId: filename.replace(/\.[^/.]+$/, ''),
+    filename,
+    title: title || '',
+    render,
+    captions: captions || null,
+    author,
+    progress: 0,
+    filter: null,
+    videoFilename: null,
+    error: null,
+    attempts: 0,
+    cancelRequested: false,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+function isActiveJob(job) {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+function enqueueJob(job) {
+  job.status = 'queued';
+  jobQueue.push(job);
+  pumpJobs();
+}
+
+// Start queued jobs until the concurrency limit is reached.
+function pumpJobs() {
+  while (runningJobs < VIDEO_JOB_CONCURRENCY && jobQueue.length) {
+    const job = jobQueue.shift();
+    runningJobs++;
+    runVideoJob(job).finally(() => {
+      runningJobs--;
+      pruneJobs();
+      pumpJobs();
+    });
+  }
+}
+
+// Forget the oldest finished jobs beyond JOB_HISTORY_LIMIT.
+function pruneJobs() {
+  const finished = [...jobs.values()].filter(j => !isActiveJob(j));
+  finished
+    .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt))
+    .slice(0, Math.max(0, finished.length - JOB_HISTORY_LIMIT))
+    .forEach(j => jobs.delete(j.id));
+}
+
+// Cancel a job.  Queued jobs are simply dropped from the queue; running jobs
+// have their ffmpeg process killed and are marked cancelled once it exits.
+function cancelJob(job) {
+  if (job.status === 'queued') {
+    const index = jobQueue.indexOf(job);
+    if (index !== -1) jobQueue.splice(index, 1);
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    return;
+  }
+  job.cancelRequested = true;
+  const command = jobCommands.get(job.id);
+  if (command) command.kill('SIGKILL');
+}
+
+// Run a single ffmpeg pass rendering `style`.  `inputs.image` is required
+// for the cover style, `inputs.textFile` enables the text overlay and
+// `inputs.captions` burns in captions.
+function runFfmpeg(job, inputs, outPath, style) {
+  const size = VIDEO_PRESETS[job.render.preset];
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputs.audio);
+    if (style === 'cover') command.input(inputs.image).inputOptions(['-loop', '1', '-framerate', String(size.fps)]);
+    command
+      .outputOptions(['-y', '-threads', '1', '-preset', 'ultrafast', '-r', String(size.fps)])
+      .complexFilter([videoGraph(style, size, inputs.textFile, inputs.captions)])
+      .outputOptions(['-map', '[v]', '-map', '0:a', '-shortest', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'])
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .output(outPath)
+      .on('progress', (p) => {
+        if (Number.isFinite(p.percent)) job.progress = Math.max(0, Math.min(99, Math.floor(p.percent)));
+      })
+      .on('end', resolve)
+      .on('error', (err) => reject(err));
+    jobCommands.set(job.id, command);
+    command.run();
+  }).finally(() => jobCommands.delete(job.id));
+}
+
+// Render the video in the requested style, falling back to `waves`.
+// `job.filter` ends up naming the style that produced the file.
+async function renderVideo(job, inputs, outPath) {
+  const styles = job.render.style === 'waves' ? ['waves'] : [job.render.style, 'waves'];
+  let lastErr;
+  for (const style of styles) {
+    if (job.cancelRequested) break;
+    job.filter = style;
+    job.progress = 0;
+    try {
+      await runFfmpeg(job, inputs, outPath, style);
+      return;
+    } catch (err) {
+      lastErr = err;
+    }
+  }
+  throw lastErr || new Error('cancelled');
+}
+
+// Download the audio (and cover image and captions), render it, upload the
+// MP4 as `posts/<id>.mp4` with its poster frame and save the optional title
+// and the render settings on the post.  Temporary files are removed whatever the outcome.
+async function runVideoJob(job) {
+  job.status = 'running';
+  job.attempts++;
+  job.startedAt = new Date().toISOString();
+  const outPath = tempPath(`${job.postId}.mp4`);
+  const inputs = {};
+  try {
+    inputs.audio = await downloadToTemp(`posts/${job.filename}`);
+    if (!inputs.audio) throw new Error('audio not found');
+    const metaEntry = { ...((await readMeta())[job.postId] || {}) };
+    if (job.title) metaEntry.title = job.title;
+    if (job.render.style === 'cover') {
+      const imageKey = coverImageKey(metaEntry.imageUrl);
+      inputs.image = imageKey && await downloadToTemp(imageKey);
+      if (!inputs.image) throw new Error('cover image not found');
+    }
+    const text = overlayText(job.render.overlay, metaEntry, job.postId);
+    if (text) {
+      inputs.textFile = tempPath(`${job.postId}-overlay.txt`);
+      fs.writeFileSync(inputs.textFile, text);
+    }
+    if (job.captions) {
+      const parsed = parseCaptions(await getObject(captionsKey(job.postId, job.captions)) || '');
+      if (parsed.error) throw new Error(`${job.captions} captions not found`);
+      inputs.captions = tempPath(`${job.postId}-captions.srt`);
+      fs.writeFileSync(inputs.captions, formatSrt(parsed.value.cues));
+    }
+    await renderVideo(job, inputs, outPath);
+    if (job.cancelRequested) throw new Error('cancelled');
+    const videoKey = `posts/${job.postId}.mp4`;
+    await putFile(videoKey, outPath, 'video/mp4');
+    await deriveQuietly(job.postId, 'poster', outPath);
+    await updateMeta((meta) => {
+      meta[job.postId] = meta[job.postId] || {};
+      if (job.title) meta[job.postId].title = job.title;
+      meta[job.postId].videoPreset = { ...job.render, filter: job.filter };
+    }, { author: job.author });
+    job.status = 'completed';
+    job.progress = 100;
+    job.videoFilename = `${job.postId}.mp4`;
+    postRecord(job.postId)
+      .then(post => postEvents.emit('video-generated', { id: job.postId, post }))
+      .catch(err => console.error('post events error', err));
+  } catch (err) {
+    if (job.cancelRequested) {
+      job.status = 'cancelled';
+    } else {
+      console.error('generate-video job error', job.id, err);
+      job.status = 'failed';
+      job.error = err.message || String(err);
+    }
+  } finally {
+    job.cancelRequested = false;
+    job.finishedAt = new Date().toISOString();
+    [...Object.values(inputs), outPath].forEach((file) => { if (file) fs.rmSync(file, { force: true }); });
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Webhooks
+//
+// Admins register webhooks that are called on post lifecycle events (see
+// postEvents): `post.created`, `post.published`, `post.updated`,
+// `post.trashed`, `post.restored`, `post.deleted` and `post.video-generated`,
+// or `*` for all of them.  Each call is a POST of
+// `{ id, event, createdAt, post }`, with `id` the delivery id and `post` the
+// buildPost() record, signed with the hook's secret:
+//
+//   X-Gargantuan-Event       the event name
+//   X-Gargantuan-Delivery    the delivery id (the same on every attempt)
+//   X-Gargantuan-Timestamp   unix seconds when the attempt was made
+//   X-Gargantuan-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// Deliveries run in the background and never hold up the request that caused
+// the event.  An attempt that doesn't get a 2xx answer within
+// WEBHOOK_TIMEOUT_MS is retried after each of WEBHOOK_RETRY_DELAYS in turn;
+// pending retries only live in this process, so a restart drops them.  Every
+// attempt is recorded in the hook's delivery log,
+// `webhooks/deliveries/<hookId>.json`, which keeps the newest
+// WEBHOOK_LOG_LIMIT attempts.  Hooks and their secrets live in
+// `webhooks/hooks.json`, which backups leave out.
+const WEBHOOKS_KEY = 'webhooks/hooks.json';
+const WEBHOOK_EVENTS = ['post.created', 'post.published', 'post.updated', 'post.trashed', 'post.restored', 'post.deleted', 'post.video-generated'];
+const WEBHOOK_RETRY_DELAYS = [10, 60, 5 * 60, 30 * 60, 2 * 60 * 60].map(seconds => seconds * 1000);
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_LOG_LIMIT = 200;
+
+function webhookLogKey(hookId) {
+  return `webhooks/deliveries/${hookId}.json`;
+}
+
+async function readWebhooks() {
+  const text = await getObject(WEBHOOKS_KEY);
+  return text ? JSON.parse(text) : {};
+}
+
+// Apply `mutator(value)` to the JSON document at `key` (a copy of `fallback`
+// when it doesn't exist yet); see updateJsonObject().  Resolves to the
+// mutator's result.
+function updateWebhookFile(key, fallback, mutator) {
+  return updateJsonObject(key, mutator, { read: text => (text ? JSON.parse(text) : structuredClone(fallback)) });
+}
+
+// The webhook `id` in `hooks`, or undefined.  Ids come from requests, so this
+// never looks past the hooks' own entries.
+function findWebhook(hooks, id) {
+  return Object.hasOwn(hooks, id) ? hooks[id] : undefined;
+}
+
+// A hook as shown by the API: everything but the secret.
+function publicWebhook(hook) {
+  const { secret, ...rest } = hook;
+  return rest;
+}
+
+// Validate webhook fields from a request.  Returns `{ value }` with the
+// fields that were sent, or `{ error }`.
+function parseWebhookFields(body, { partial = false } = {}) {
+  const { url, events, description, active } = body || {};
+  const value = {};
+  if (url !== undefined || !partial) {
+    let parsed;
+    try { parsed = new URL(url); } catch { return { error: 'url must be an absolute http(s) URL' }; }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return { error: 'url must be an absolute http(s) URL' };
+    value.url = parsed.toString();
+  }
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || !events.length) return { error: `events must list some of ${WEBHOOK_EVENTS.join(', ')} or *` };
+    const unknown = events.find(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown) return { error: `unknown event: ${unknown}` };
+    value.events = [...new Set(events)];
+  }
+  if (description !== undefined) {
+    if (typeof description !== 'string') return { error: 'description must be a string' };
+    value.description = description;
+  }
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') return { error: 'active must be a boolean' };
+    value.active = active;
+  }
+  return { value };
+}
+
+function webhookSignature(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Add an attempt to the hook's delivery log.
+async function recordDelivery(hookId, entry) {
+  await updateWebhookFile(webhookLogKey(hookId), [], (log) => {
+    log.push(entry);
+    log.splice(0, Math.max(0, log.length - WEBHOOK_LOG_LIMIT));
+  });
+}
+
+// Make one attempt at `delivery` (`{ id, event, postId, body }`).  Resolves to
+// the log entry for it.
+async function attemptDelivery(hook, delivery, attempt) {
+  const started = Date.now();
+  const timestamp = Math.floor(started / 1000);
+  const entry = { id: delivery.id, event: delivery.event, postId: delivery.postId, attempt, at: new Date(started).toISOString() };
+  try {
+    const response = await fetch(hook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TheGargantuan-Webhooks/1.6.0',
+        'X-Gargantuan-Event': delivery.event,
+        'X-Gargantuan-Delivery': delivery.id,
+        'X-Gargantuan-Timestamp': String(timestamp),
+        'X-Gargantuan-Signature': webhookSignature(hook.secret, timestamp, delivery.body),
+      },
+      body: delivery.body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    await response.body?.cancel();
+    return {
+      ...entry,
+      ok: response.ok,
+      status: response.status,
+      durationMs: Date.now() - started,
+      ...(response.ok ? {} : { error: `HTTP ${response.status}` }),
+    };
+  } catch (err) {
+    const error = err.name === 'TimeoutError' ? 'timed out' : err.cause?.code || err.cause?.message || err.message;
+    return { ...entry, ok: false, status: null, durationMs: Date.now() - started, error };
+  }
+}
+
+// Deliver to `hook`, logging the attempt and scheduling a retry if it failed
+// and `retry` allows.  Resolves to the log entry of this attempt.
+async function deliverWebhook(hook, delivery, { attempt = 1, retry = true } = {}) {
+  const result = await attemptDelivery(hook, delivery, attempt);
+  const delay = retry && !result.ok && WEBHOOK_RETRY_DELAYS[attempt - 1];
+  if (delay) result.nextRetryAt = new Date(Date.now() + delay).toISOString();
+  await recordDelivery(hook.id, result).catch(err => console.error('webhook log error', hook.id, err));
+  if (delay) setTimeout(() => { retryWebhook(hook.id, delivery, attempt + 1); }, delay).unref();
+  return result;
+}
+
+// Retry a delivery with the hook's current settings, unless it has been
+// removed or disabled in the meantime.
+async function retryWebhook(hookId, delivery, attempt) {
+  try {
+    const hook = findWebhook(await readWebhooks(), hookId);
+    if (hook?.active) await deliverWebhook(hook, delivery, { attempt });
+  } catch (err) {
+    console.error('webhook retry error', hookId, err);
+  }
+}
+
+// Send `event` about `post` to every active hook subscribed to it.
+async function dispatchWebhooks(event, { id, post }) {
+  const hooks = Object.values(await readWebhooks())
+    .filter(hook => hook.active && (hook.events.includes('*') || hook.events.includes(event)));
+  await Promise.all(hooks.map((hook) => {
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), post });
+    return deliverWebhook(hook, { id: deliveryId, event, postId: id, body });
+  }));
+}
+
+WEBHOOK_EVENTS.forEach((event) => {
+  postEvents.on(event.slice('post.'.length), (payload) => {
+    setImmediate(() => {
+      dispatchWebhooks(event, payload).catch(err => console.error('webhook dispatch error', event, err));
+    });
+  });
+});
+
+// -----------------------------------------------------------------------------
+// Feeds
+//
+// `/feed.xml` is an RSS 2.0 podcast feed (iTunes and Podcasting 2.0
+// namespaces) containing the published audio and video posts as items with
+// enclosures.  `/feed.atom` is the plain feed: every published post, with
+// media attached as enclosure links.  Both are built from the same records as
+// `/api/posts`, so drafts and trashed posts never appear.
+//
+// Channel-level settings live in `settings/feed.json` and are edited through
+// `/api/feed/settings`.  Enclosure URLs must be absolute, so relative
+// `/uploads/…` URLs are resolved against PUBLIC_URL, or against the incoming
+// request when that isn't set.
+const FEED_SETTINGS_KEY = 'settings/feed.json';
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+const DEFAULT_FEED_SETTINGS = {
+  title: 'The Gargantuan',
+  description: '',
+  link: '',
+  language: 'en',
+  author: '',
+  ownerName: '',
+  ownerEmail: '',
+  artwork: '',
+  category: '',
+  explicit: false,
+  itemLink: '',
+  itemLimit: 100,
+};
+
+async function readFeedSettings() {
+  const text = await getObject(FEED_SETTINGS_KEY);
+  let saved = {};
+  if (text) {
+    try { saved = JSON.parse(text); } catch {}
+  }
+  return { ...DEFAULT_FEED_SETTINGS, ...saved };
+}
+
+// Validate a settings patch against the types of DEFAULT_FEED_SETTINGS.
+// Returns `{ value }` with only the known fields, or `{ error }`.
+function validateFeedSettings(fields) {
+  const value = {};
+  for (const [name, given] of Object.entries(fields || {})) {
+    if (!Object.hasOwn(DEFAULT_FEED_SETTINGS, name)) return { error: `unknown setting: ${name}` };
+    const expected = typeof DEFAULT_FEED_SETTINGS[name];
+    if (typeof given !== expected) return { error: `${name} must be a ${expected}` };
+    value[name] = given;
+  }
+  if (value.itemLimit !== undefined && (!Number.isInteger(value.itemLimit) || value.itemLimit < 1)) {
+    return { error: 'itemLimit must be a positive integer' };
+  }
+  return { value };
+}
+
+function xmlEscape(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function requestOrigin(req) {
+  if (PUBLIC_URL) return PUBLIC_URL;
+  const proto = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+  return `${proto}://${req.get('host')}`;
+}
+
+function absolutize(url, origin) {
+  if (!url || /^https?:\/\//i.test(url)) return url;
+  return `${origin}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+const MEDIA_TYPES = {
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  vtt: 'text/vtt',
+  srt: 'application/x-subrip',
+  json: 'application/json',
+};
+
+function mediaType(url) {
+  const ext = path.extname(String(url).split('?')[0]).toLowerCase().replace('.', '');
+  return MEDIA_TYPES[ext] || 'application/octet-stream';
+}
+
+// The enclosure of a media post: the video for video posts, otherwise the
+// audio.  Returns undefined for text/image posts.
+function feedEnclosure(post, origin) {
+  if (post.type === 'video') return { url: absolutize(post.videoUrl, origin), length: post.videoSize, type: 'video/mp4' };
+  if (post.type === 'audio') return { url: absolutize(post.audioUrl, origin), length: post.audioSize, type: 'audio/mpeg' };
+  return undefined;
+}
+
+function feedGuid(post) {
+  return `urn:the-gargantuan:post:${post.id}`;
+}
+
+function feedItemLink(settings, post) {
+  return settings.itemLink ? settings.itemLink.replace('{id}', encodeURIComponent(post.id)) : '';
+}
+
+// `HH:MM:SS` as expected by itunes:duration.
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+// `Arts > Music` becomes a nested itunes:category.
+function itunesCategory(category) {
+  const [parent, child] = category.split('>').map(c => c.trim());
+  if (!parent) return '';
+  if (!child) return `<itunes:category text="${xmlEscape(parent)}"/>`;
+  return `<itunes:category text="${xmlEscape(parent)}"><itunes:category text="${xmlEscape(child)}"/></itunes:category>`;
+}
+
+function buildRssFeed(posts, settings, origin) {
+  const selfUrl = `${origin}/feed.xml`;
+  const link = settings.link || origin;
+  const artwork = absolutize(settings.artwork, origin);
+  const items = posts
+    .filter(p => feedEnclosure(p, origin))
+    .slice(0, settings.itemLimit)
+    .map((post) => {
+      const enclosure = feedEnclosure(post, origin);
+      const itemLink = feedItemLink(settings, post);
+      return [
+        '<item>',
+        `<title>${xmlEscape(post.title)}</title>`,
+        `<description>${xmlEscape(post.bodyHtml)}</description>`,
+        itemLink ? `<link>${xmlEscape(itemLink)}</link>` : '',
+        `<guid isPermaLink="false">${xmlEscape(feedGuid(post))}</guid>`,
+        `<pubDate>${new Date(post.date).toUTCString()}</pubDate>`,
+        `<enclosure url="${xmlEscape(enclosure.url)}" length="${enclosure.length}" type="${enclosure.type}"/>`,
+        post.audio?.duration ? `<itunes:duration>${formatDuration(post.audio.duration)}</itunes:duration>` : '',
+        post.imageUrl ? `<itunes:image href="${xmlEscape(absolutize(post.imageUrl, origin))}"/>` : '',
+        `<itunes:explicit>${settings.explicit ? 'true' : 'false'}</itunes:explicit>`,
+        '</item>',
+      ].filter(Boolean).join('');
+    });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd"'
+      + ' xmlns:podcast="https://podcastindex.org/namespace/1.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '<channel>',
+    `<title>${xmlEscape(settings.title)}</title>`,
+    `<link>${xmlEscape(link)}</link>`,
+    `<description>${xmlEscape(settings.description)}</description>`,
+    `<language>${xmlEscape(settings.language)}</language>`,
+    `<lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    `<atom:link href="${xmlEscape(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    settings.author ? `<itunes:author>${xmlEscape(settings.author)}</itunes:author>` : '',
+    settings.ownerName || settings.ownerEmail
+      ? `<itunes:owner><itunes:name>${xmlEscape(settings.ownerName)}</itunes:name><itunes:email>${xmlEscape(settings.ownerEmail)}</itunes:email></itunes:owner>`
+      : '',
+    artwork ? `<itunes:image href="${xmlEscape(artwork)}"/>` : '',
+    artwork ? `<image><url>${xmlEscape(artwork)}</url><title>${xmlEscape(settings.title)}</title><link>${xmlEscape(link)}</link></image>` : '',
+    settings.category ? itunesCategory(settings.category) : '',
+    `<itunes:explicit>${settings.explicit ? 'true' : 'false'}</itunes:explicit>`,
+    settings.ownerEmail ? `<podcast:locked owner="${xmlEscape(settings.ownerEmail)}">no</podcast:locked>` : '',
+    ...items,
+    '</channel>',
+    '</rss>',
+  ].filter(Boolean).join('\n');
+}
+
+function buildAtomFeed(posts, settings, origin) {
+  const selfUrl = `${origin}/feed.atom`;
+  const entries = posts.slice(0, settings.itemLimit).map((post) => {
+    const enclosure = feedEnclosure(post, origin);
+    const itemLink = feedItemLink(settings, post);
+    return [
+      '<entry>',
+      `<id>${xmlEscape(feedGuid(post))}</id>`,
+      `<title>${xmlEscape(post.title)}</title>`,
+      `<updated>${post.date}</updated>`,
+      `<published>${post.date}</published>`,
+      itemLink ? `<link rel="alternate" href="${xmlEscape(itemLink)}"/>` : '',
+      enclosure ? `<link rel="enclosure" href="${xmlEscape(enclosure.url)}" type="${enclosure.type}" length="${enclosure.length}"/>` : '',
+      post.imageUrl ? `<link rel="enclosure" href="${xmlEscape(absolutize(post.imageUrl, origin))}" type="${mediaType(post.imageUrl)}"/>` : '',
+      post.excerpt ? `<summary>${xmlEscape(post.excerpt)}</summary>` : '',
+      `<content type="html">${xmlEscape(post.bodyHtml)}</content>`,
+      '</entry>',
+    ].filter(Boolean).join('');
+  });
+  const updated = posts.length ? posts[0].date : new Date().toISOString();
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${xmlEscape(settings.link || origin)}/</id>`,
+    `<title>${xmlEscape(settings.title)}</title>`,
+    settings.description ? `<subtitle>${xmlEscape(settings.description)}</subtitle>` : '',
+    `<updated>${updated}</updated>`,
+    `<link rel="self" href="${xmlEscape(selfUrl)}"/>`,
+    `<link rel="alternate" href="${xmlEscape(settings.link || origin)}"/>`,
+    settings.author ? `<author><name>${xmlEscape(settings.author)}</name></author>` : '',
+    settings.artwork ? `<logo>${xmlEscape(absolutize(settings.artwork, origin))}</logo>` : '',
+    ...entries,
+    '</feed>',
+  ].filter(Boolean).join('\n');
+}
+
+// -----------------------------------------------------------------------------
+// Backups
+//
+// `/api/backup/export` streams the whole catalog as a tar archive whose entry
+// names are the storage keys under BACKUP_PREFIXES: the metadata, all media
+// including the trash, images, revision history and feed settings.  Accounts
+// and the audit log are left out.  The last entry is `manifest.json`, listing
+// every object with its size and SHA-256 (computed as the archive is written)
+// and the URL base media links were made with.
+//
+// `/api/backup/import` takes such an archive as the request body.  It is
+// unpacked into a scratch directory and checked against the manifest before
+// anything is written.  Then, depending on the mode:
+//
+//   * `merge` (the default) adds the archived posts to what is there.  A post
+//     whose id is already taken is handled by `onConflict`: `skip` (the
+//     default) keeps the current post, `overwrite` replaces it with the
+//     archived one and `rename` imports it under a new id.  Other objects
+//     (images, settings) are written when missing, and replaced only with
+//     `onConflict=overwrite`.
+//   * `replace` makes the store match the archive, deleting posts and objects
+//     that aren't in it.
+//
+// Metadata goes through updateMeta(), so versions and revisions carry on, and
+// imported posts get a fresh slug if theirs is taken.  Media links in
+// `imageUrl` are rewritten when the archive came from a store with a
+// different URL base.  With `dryRun` only the report is produced.
+const BACKUP_PREFIXES = ['posts/', 'images/', 'revisions/', 'settings/'];
+const BACKUP_FORMAT = 'the-gargantuan-backup';
+const BACKUP_MANIFEST = 'manifest.json';
+const BACKUP_KEY_PATTERN = /^(?:posts|images|revisions|settings)\/(?:[A-Za-z0-9_.-]+\/)*[A-Za-z0-9_.-]+$/;
+let backupImporting = false;
+
+function invalidArchive(message, problems) {
+  const err = new Error(message);
+  err.code = 'InvalidArchive';
+  err.problems = problems;
+  return err;
+}
+
+function contentTypeFor(key) {
+  return key.endsWith('.json') ? 'application/json' : mediaType(key);
+}
+
+// A ustar header for a regular file.  Names over 100 bytes are split into the
+// prefix field at a slash.
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(512);
+  let prefix = '';
+  let base = name;
+  if (Buffer.byteLength(name) > 100) {
+    const cut = name.lastIndexOf('/', 155);
+    prefix = name.slice(0, cut);
+    base = name.slice(cut + 1);
+    if (cut <= 0 || Buffer.byteLength(base) > 100) throw new Error(`name too long for tar: ${name}`);
+  }
+  header.write(base, 0, 100);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+  header.write(`${Math.floor(mtime / 1000).toString(8).padStart(11, '0')}\0`, 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  header.write(prefix, 345, 155);
+  const sum = header.reduce((total, byte) => total + byte, 0);
+  header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+  return header;
+}
+
+function tarPadding(size) {
+  return Buffer.alloc((512 - (size % 512)) % 512);
+}
+
+// Generate the backup archive chunk by chunk, reading one object at a time.
+async function* backupArchive() {
+  const objects = [];
+  for (const prefix of BACKUP_PREFIXES) objects.push(...(await listObjects(prefix)));
+  const manifest = { format: BACKUP_FORMAT, version: 1, createdAt: new Date().toISOString(), urlBase: absoluteUrl(''), objects: [] };
+  for (const obj of objects) {
+    yield tarHeader(obj.Key, obj.Size, new Date(obj.LastModified || Date.now()).getTime());
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    for await (const chunk of await getObjectStream(obj.Key)) {
+      size += chunk.length;
+      if (size > obj.Size) break;
+      hash.update(chunk);
+      yield chunk;
+    }
+    if (size !== obj.Size) throw new Error(`${obj.Key} changed during export`);
+    yield tarPadding(size);
+    manifest.objects.push({ key: obj.Key, size, sha256: hash.digest('hex') });
+  }
+  const body = Buffer.from(JSON.stringify(manifest, null, 2));
+  yield tarHeader(BACKUP_MANIFEST, body.length, Date.now());
+  yield body;
+  yield tarPadding(body.length);
+  yield Buffer.alloc(1024);
+}
+
+// Unpack a tar stream into `dir`.  Only regular files are kept, and only the
+// manifest and keys under BACKUP_PREFIXES are accepted.  Resolves to the
+// unpacked keys with their sizes.
+async function unpackBackup(input, dir) {
+  const files = [];
+  let buffered = Buffer.alloc(0);
+  let entry = null;
+  let done = false;
+  for await (const chunk of input) {
+    if (done) continue;
+    buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+    while (!done) {
+      if (entry && entry.remaining > 0) {
+        if (!buffered.length) break;
+        const part = buffered.subarray(0, Math.min(entry.remaining, buffered.length));
+        buffered = buffered.subarray(part.length);
+        entry.remaining -= part.length;
+        if (entry.out && !entry.out.write(part)) await new Promise(resolve => entry.out.once('drain', resolve));
+      } else if (entry) {
+        if (buffered.length < entry.padding) break;
+        buffered = buffered.subarray(entry.padding);
+        if (entry.out) await new Promise((resolve, reject) => entry.out.end(err => (err ? reject(err) : resolve())));
+        entry = null;
+      } else {
+        if (buffered.length < 512) break;
+        const header = buffered.subarray(0, 512);
+        buffered = buffered.subarray(512);
+        if (header.every(byte => byte === 0)) {
+          done = true;
+          break;
+        }
+        const field = (start, length) => header.toString('utf-8', start, start + length).replace(/\0.*$/s, '');
+        const checksum = parseInt(field(148, 8).trim(), 8);
+        const sum = header.reduce((total, byte, i) => total + (i >= 148 && i < 156 ? 32 : byte), 0);
+        if (checksum !== sum) throw invalidArchive('not a tar archive or corrupt header');
+        const prefix = field(345, 155);
+        const key = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+        const size = parseInt(field(124, 12).trim() || '0', 8);
+        const type = field(156, 1);
+        let out = null;
+        if (type === '0' || type === '') {
+          if (key !== BACKUP_MANIFEST && (!BACKUP_KEY_PATTERN.test(key) || key.split('/').includes('..'))) {
+            throw invalidArchive(`unexpected entry in archive: ${key}`);
+          }
+          const target = path.join(dir, key);
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          out = fs.createWriteStream(target);
+          files.push({ key, size });
+        }
+        entry = { remaining: size, padding: tarPadding(size).length, out };
+      }
+    }
+  }
+  if (!done && (entry || buffered.length)) throw invalidArchive('archive is truncated');
+  return files;
+}
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Check the unpacked files against the manifest.  Resolves to the manifest,
+// or throws an InvalidArchive error listing the problems.
+async function verifyBackup(dir, files) {
+  if (!files.some(f => f.key === BACKUP_MANIFEST)) throw invalidArchive('archive has no manifest');
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(dir, BACKUP_MANIFEST), 'utf-8'));
+  } catch {
+    throw invalidArchive('manifest is not valid JSON');
+  }
+  if (manifest.format !== BACKUP_FORMAT || !Array.isArray(manifest.objects)) throw invalidArchive('not a backup of this site');
+  const problems = [];
+  const unpacked = new Map(files.filter(f => f.key !== BACKUP_MANIFEST).map(f => [f.key, f]));
+  for (const { key, size, sha256 } of manifest.objects) {
+    const file = unpacked.get(key);
+    unpacked.delete(key);
+    if (!file) problems.push({ key, problem: 'missing' });
+    else if (file.size !== size) problems.push({ key, problem: 'size mismatch' });
+    else if (await sha256File(path.join(dir, key)) !== sha256) problems.push({ key, problem: 'checksum mismatch' });
+  }
+  unpacked.forEach((_file, key) => problems.push({ key, problem: 'not in manifest' }));
+  if (problems.length) throw invalidArchive('archive does not match its manifest', problems);
+  return manifest;
+}
+
+// The post an object belongs to: media in `posts/` or the trash, or its
+// revision history.
+function backupPostId(key) {
+  return postIdOfKey(key) || /^revisions\/([A-Za-z0-9-]+)\.json$/.exec(key)?.[1];
+}
+
+// Rewrite `key` of post `from` to belong to post `to`.
+function renameBackupKey(key, from, to) {
+  const base = key.slice(key.lastIndexOf('/') + 1);
+  return `${key.slice(0, key.lastIndexOf('/') + 1)}${to}${base.slice(from.length)}`;
+}
+
+// Work out what importing the verified archive would do.  Returns `{ report,
+// writes, deletes, entries, removedIds }`: objects to write as `{ from, to }`
+// (archive key → storage key), keys to delete, metadata entries to set
+// (`undefined` to delete) and, for replace, the posts that go away.
+async function planImport(manifest, backupMeta, { mode, onConflict }) {
+  const meta = await readMeta();
+  const currentKeys = [];
+  for (const prefix of BACKUP_PREFIXES) currentKeys.push(...(await listObjects(prefix)).map(obj => obj.Key));
+  const currentIds = new Set([
+    ...Object.keys(meta).filter(id => !id.startsWith('_')),
+    ...currentKeys.filter(key => key.startsWith('posts/')).map(postIdOfKey).filter(Boolean),
+  ]);
+  const archiveKeys = manifest.objects.map(obj => obj.key).filter(key => key !== META_KEY);
+  const byPost = new Map();
+  const others = [];
+  archiveKeys.forEach((key) => {
+    const id = backupPostId(key);
+    if (!id) return others.push(key);
+    if (!byPost.has(id)) byPost.set(id, []);
+    byPost.get(id).push(key);
+  });
+  Object.keys(backupMeta).forEach((id) => {
+    if (!id.startsWith('_') && !byPost.has(id)) byPost.set(id, []);
+  });
+
+  const report = { mode, onConflict, added: [], skipped: [], overwritten: [], renamed: [], removed: [] };
+  const writes = [];
+  const deletes = [];
+  const entries = {};
+  if (mode === 'replace') {
+    byPost.forEach((_keys, id) => (currentIds.has(id) ? report.overwritten : report.added).push(id));
+    report.removed = [...currentIds].filter(id => !byPost.has(id));
+    archiveKeys.forEach(key => writes.push({ from: key, to: key }));
+    const keep = new Set([...archiveKeys, META_KEY]);
+    deletes.push(...currentKeys.filter(key => !keep.has(key)));
+    Object.keys(meta).forEach((id) => { entries[id] = undefined; });
+    Object.assign(entries, backupMeta);
+  } else {
+    const taken = new Set([...currentIds, ...byPost.keys()]);
+    let next = Date.now();
+    byPost.forEach((keys, id) => {
+      if (!currentIds.has(id)) {
+        report.added.push(id);
+      } else if (onConflict === 'skip') {
+        return report.skipped.push(id);
+      } else if (onConflict === 'overwrite') {
+        report.overwritten.push(id);
+        const own = new Set(keys);
+        deletes.push(...currentKeys.filter(key => backupPostId(key) === id && !own.has(key)));
+      } else {
+        while (taken.has(String(next))) next++;
+        const newId = String(next);
+        taken.add(newId);
+        report.renamed.push({ from: id, to: newId });
+        keys.forEach(key => writes.push({ from: key, to: renameBackupKey(key, id, newId) }));
+        entries[newId] = backupMeta[id];
+        return;
+      }
+      keys.forEach(key => writes.push({ from: key, to: key }));
+      entries[id] = backupMeta[id];
+    });
+    const existing = new Set(currentKeys);
+    others.forEach((key) => {
+      if (!existing.has(key) || onConflict === 'overwrite') writes.push({ from: key, to: key });
+    });
+  }
+  report.objects = {
+    write: writes.length,
+    delete: deletes.length,
+    bytes: manifest.objects.filter(obj => writes.some(w => w.from === obj.key)).reduce((total, obj) => total + obj.size, 0),
+  };
+  return { report, writes, deletes, entries, removedIds: report.removed };
+}
+
+// Import a verified archive unpacked in `dir` (see "Backups" above) and
+// resolve to the report.
+async function importBackup(dir, manifest, { mode, onConflict, dryRun, actor, audit }) {
+  const metaPath = path.join(dir, META_KEY);
+  const backupMeta = fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf-8')) : {};
+  const { report, writes, deletes, entries, removedIds } = await planImport(manifest, backupMeta, { mode, onConflict });
+  if (dryRun) return { dryRun: true, ...report };
+  for (const { from, to } of writes) {
+    await putFile(to, path.join(dir, from), contentTypeFor(to));
+    audit?.keys.push({ from: null, to });
+  }
+  for (const key of deletes) {
+    await deleteObject(key);
+    audit?.keys.push({ from: key, to: null });
+  }
+  const urlBase = absoluteUrl('');
+  const rebase = url => (manifest.urlBase && manifest.urlBase !== urlBase && typeof url === 'string' && url.startsWith(manifest.urlBase)
+    ? absoluteUrl(url.slice(manifest.urlBase.length))
+    : url);
+  await updateMeta((meta) => {
+    Object.entries(entries).forEach(([id, entry]) => {
+      if (entry === undefined) delete meta[id];
+      else meta[id] = id.startsWith('_') ? entry : { ...entry, imageUrl: rebase(entry.imageUrl) };
+    });
+    // Imported posts give up slugs that now belong to someone else.
+    Object.keys(entries).forEach((id) => {
+      const entry = meta[id];
+      if (id.startsWith('_') || !entry) return;
+      const owners = slug => Object.keys(meta).filter(other => other !== id && !other.startsWith('_')
+        && (meta[other]?.slug === slug || (meta[other]?.previousSlugs || []).includes(slug)));
+      if (entry.previousSlugs) entry.previousSlugs = entry.previousSlugs.filter(slug => !owners(slug).length);
+      if (!entry.slug || owners(entry.slug).length) entry.slug = uniqueSlug(meta, entry.title || id, id);
+    });
+  }, { author: actor, audit });
+  for (const id of removedIds) await deleteObject(revisionsKey(id));
+  return { dryRun: false, ...report };
+}
+
+// -----------------------------------------------------------------------------
+// Consistency checks
+//
+// checkStorage() compares the objects in storage with the metadata and reports
+// every inconsistency it finds, grouped by kind:
+//
+//   corrupt-meta        `posts/_meta.json` can't be parsed (nothing else is
+//                       checked, and nothing can be repaired, until it's fixed)
+//   orphan-media        media in `posts/` with no metadata entry
+//   missing-media       an entry's `audio` or `imageUrl` points at an object
+//                       that no longer exists
+//   trash-conflict      a post has objects both in `posts/` and in the trash;
+//                       the copies on the side the entry doesn't belong to
+//                       (per `trashedAt`) are the stale ones
+//   unreferenced-image  an image under `images/` that no post `imageUrl` or
+//                       body, and not the feed artwork, refers to
+//
+// Objects written in the last FSCK_GRACE_MS are left out so uploads still in
+// progress aren't flagged.  repairStorage() fixes the selected kinds: orphans
+// get a metadata entry (`create-meta`) or are moved under `quarantine/`
+// (`quarantine`, which is never served), stale trash-conflict copies are
+// quarantined, dangling fields are cleared (`clear`) and unreferenced images
+// are deleted (`delete`).  It checks again first rather than trusting an old
+// report, and only reports what it would do unless `dryRun` is false.
+const FSCK_GRACE_MS = 60 * 60 * 1000;
+const QUARANTINE_PREFIX = 'quarantine/';
+const FSCK_REPAIRS = {
+  'orphan-media': ['create-meta', 'quarantine'],
+  'missing-media': ['clear'],
+  'trash-conflict': ['quarantine'],
+  'unreferenced-image': ['delete'],
+};
+
+// The managed image name a URL points at, if it points at one.
+function imageNameOfUrl(url) {
+  const match = /^images\/([^/]+)\//.exec(keyFromUrl(url) || '');
+  return match ? match[1] : undefined;
+}
+
+// Check storage against the metadata.  Resolves to `{ checkedAt, counts,
+// issues }`; every issue has a `kind`, the post `id` or image `name` it is
+// about, the `keys` involved and the `repairs` that apply.
+async function checkStorage() {
+  const checkedAt = new Date().toISOString();
+  const recent = obj => obj.LastModified && Date.now() - new Date(obj.LastModified).getTime() < FSCK_GRACE_MS;
+  const issues = [];
+  const report = () => {
+    const counts = {};
+    issues.forEach((issue) => { counts[issue.kind] = (counts[issue.kind] || 0) + 1; });
+    return { checkedAt, counts, issues };
+  };
+
+  const text = await getObject(META_KEY);
+  let meta = {};
+  try {
+    meta = text ? JSON.parse(text) : {};
+  } catch (err) {
+    issues.push({ kind: 'corrupt-meta', keys: [META_KEY], error: err.message, repairs: [] });
+    return report();
+  }
+
+  const live = new Map();
+  const trashed = new Map();
+  (await listObjects('posts/')).forEach((obj) => {
+    const id = postIdOfKey(obj.Key);
+    if (!id || obj.Key === META_KEY) return;
+    const side = obj.Key.startsWith(TRASH_PREFIX) ? trashed : live;
+    if (!side.has(id)) side.set(id, []);
+    side.get(id).push(obj);
+  });
+  const imageObjects = await listObjects('images/');
+  const images = new Map();
+  imageObjects.forEach((obj) => {
+    const match = /^images\/([^/]+)\//.exec(obj.Key);
+    if (!match) return;
+    if (!images.has(match[1])) images.set(match[1], []);
+    images.get(match[1]).push(obj);
+  });
+  const entries = Object.entries(meta).filter(([id, entry]) => !id.startsWith('_') && entry && typeof entry === 'object');
+
+  live.forEach((objs, id) => {
+    // An id that is also in the trash is reported as a trash-conflict instead.
+    if (meta[id] || trashed.has(id) || objs.some(recent)) return;
+    issues.push({ kind: 'orphan-media', id, keys: objs.map(o => o.Key), repairs: FSCK_REPAIRS['orphan-media'] });
+  });
+
+  entries.forEach(([id, entry]) => {
+    const objs = [...(live.get(id) || []), ...(trashed.get(id) || [])];
+    if (entry.audio && !objs.some(o => /\.mp3$/i.test(o.Key))) {
+      issues.push({ kind: 'missing-media', id, field: 'audio', keys: [`posts/${id}.mp3`], repairs: FSCK_REPAIRS['missing-media'] });
+    }
+    const imageKey = keyFromUrl(entry.imageUrl);
+    if (imageKey) {
+      const name = imageNameOfUrl(entry.imageUrl);
+      const exists = name
+        ? images.has(name)
+        : objs.some(o => o.Key === imageKey) || imageObjects.some(o => o.Key === imageKey);
+      if (!exists) issues.push({ kind: 'missing-media', id, field: 'imageUrl', keys: [imageKey], repairs: FSCK_REPAIRS['missing-media'] });
+    }
+  });
+
+  trashed.forEach((trashObjs, id) => {
+    const liveObjs = live.get(id);
+    if (!liveObjs) return;
+    const stale = meta[id]?.trashedAt ? liveObjs : trashObjs;
+    issues.push({ kind: 'trash-conflict', id, trashed: !!meta[id]?.trashedAt, keys: stale.map(o => o.Key), repairs: FSCK_REPAIRS['trash-conflict'] });
+  });
+
+  const referenced = new Set();
+  const reference = (url) => {
+    const name = imageNameOfUrl(url);
+    if (name) referenced.add(name);
+  };
+  entries.forEach(([, entry]) => {
+    reference(entry.imageUrl);
+    const { refs } = describeBody(entry.body);
+    [...refs.images, ...refs.links].forEach(ref => reference(ref.url));
+  });
+  reference((await readFeedSettings()).artwork);
+  images.forEach((objs, name) => {
+    if (referenced.has(name) || objs.some(recent)) return;
+    issues.push({ kind: 'unreferenced-image', name, keys: objs.map(o => o.Key), repairs: FSCK_REPAIRS['unreferenced-image'] });
+  });
+
+  return report();
+}
+
+// Move `keys` under `quarantine/`, keeping their paths.
+async function quarantineObjects(keys, audit) {
+  for (const key of keys) {
+    const dstKey = `${QUARANTINE_PREFIX}${key}`;
+    await copyObject(key, dstKey);
+    await deleteObject(key);
+    audit?.keys.push({ from: key, to: dstKey });
+  }
+}
+
+// Apply one repair to one issue.  Resolves to what was done.
+async function repairIssue(issue, repair, { actor, audit }) {
+  switch (repair) {
+    case 'create-meta': {
+      const created = await updateMeta((meta) => {
+        if (meta[issue.id]) return false;
+        meta[issue.id] = { title: issue.id, slug: uniqueSlug(meta, issue.id, issue.id) };
+        return true;
+      }, { author: actor, audit });
+      return created ? {} : { status: 'unchanged' };
+    }
+    case 'quarantine':
+      await quarantineObjects(issue.keys, audit);
+      return { movedTo: issue.keys.map(key => `${QUARANTINE_PREFIX}${key}`) };
+    case 'clear': {
+      const cleared = await updateMeta((meta) => {
+        if (!meta[issue.id]?.[issue.field]) return false;
+        delete meta[issue.id][issue.field];
+        return true;
+      }, { author: actor, audit });
+      return cleared ? {} : { status: 'unchanged' };
+    }
+    case 'delete':
+      for (const key of issue.keys) {
+        await deleteObject(key);
+        audit?.keys.push({ from: key, to: null });
+      }
+      return {};
+    default:
+      throw new Error(`unknown repair: ${repair}`);
+  }
+}
+
+// Repair the issues picked by `repairs` (`{ kind: repair }`), optionally only
+// those about the given post ids or image names.  Resolves to `{ dryRun,
+// results }`, or `{ error }` when the request can't be carried out.
+async function repairStorage({ repairs, only, dryRun = true, actor = 'system', audit } = {}) {
+  const { issues } = await checkStorage();
+  if (issues.some(issue => issue.kind === 'corrupt-meta')) return { error: 'metadata is corrupt; fix posts/_meta.json first' };
+  const results = [];
+  for (const issue of issues) {
+    const repair = repairs[issue.kind];
+    if (!repair || (only && !only.includes(issue.id ?? issue.name))) continue;
+    const result = { kind: issue.kind, ...(issue.id ? { id: issue.id } : { name: issue.name }), repair, keys: issue.keys };
+    if (dryRun) {
+      results.push({ ...result, status: 'planned' });
+      continue;
+    }
+    try {
+      results.push({ ...result, status: 'done', ...(await repairIssue(issue, repair, { actor, audit })) });
+    } catch (err) {
+      console.error('fsck repair error', issue.kind, issue.id ?? issue.name, err);
+      results.push({ ...result, status: 'failed', error: err.message });
+    }
+  }
+  return { dryRun, results };
+}
+
+// -----------------------------------------------------------------------------
+// Media proxy
+//
+// When there is no public bucket URL, absoluteUrl() hands out `/uploads/<key>`
+// links and `/uploads/*` streams the objects from storage, whichever driver is
+// in use.  Responses carry the content type, an ETag and Last-Modified (with
+// 304s for conditional requests) and honour single `Range` requests so players
+// can seek.
+//
+// Only `posts/` and `images/` are served.  Media of posts that are not public
+// yet (drafts and scheduled posts), files under `posts/.trash/` and internal
+// files such as `posts/_meta.json` need a caller with the right permission
+// (`posts:read`, or `trash:purge` for the trash) or a signed URL from
+// `/api/media/sign`.  Signed URLs carry an expiry and an HMAC of the key, made
+// with MEDIA_SIGNING_SECRET (a random per-process secret when unset, so such
+// URLs stop working on restart).  Public objects may be cached for
+// MEDIA_MAX_AGE seconds; everything else is marked private.
+const MEDIA_SIGNING_SECRET = process.env.MEDIA_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+const MEDIA_MAX_AGE = Math.max(0, parseInt(process.env.MEDIA_MAX_AGE || '3600', 10) || 0);
+const MEDIA_SIGN_MAX_TTL = 7 * 24 * 60 * 60;
+
+function mediaSignature(key, expires) {
+  return crypto.createHmac('sha256', MEDIA_SIGNING_SECRET).update(`${key}\n${expires}`).digest('hex');
+}
+
+// A signed `/uploads/` URL for `key` valid for `ttl` seconds.
+function signedMediaUrl(key, ttl) {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const query = `expires=${expires}&sig=${mediaSignature(key, expires)}`;
+  return { url: `/uploads/${key.split('/').map(encodeURIComponent).join('/')}?${query}`, expiresAt: new Date(expires * 1000).toISOString() };
+}
+
+function validMediaSignature(key, { expires, sig }) {
+  if (!/^\d+$/.test(expires || '') || typeof sig !== 'string') return false;
+  if (parseInt(expires, 10) < Date.now() / 1000) return false;
+  return safeEqual(sig, mediaSignature(key, expires));
+}
+
+// The permission needed to read `key` without a signature: undefined for
+// public media, null for keys that are never served.
+async function mediaPermission(key) {
+  if (key.startsWith(TRASH_PREFIX)) return 'trash:purge';
+  const match = /^(posts|images)\/([^/]+)$/.exec(key) || /^(images)\/([^/]+)\/[^/]+$/.exec(key);
+  if (!match) return null;
+  if (match[2].startsWith('_') || match[2].startsWith('.')) return 'posts:read';
+  const id = postIdOfKey(key);
+  // The catalog's copy of the metadata, so range requests don't each fetch it.
+  const { meta } = await loadCatalog();
+  const entry = id && Object.hasOwn(meta, id) ? meta[id] : undefined;
+  if (entry && (entry.draft || entry.trashedAt || isScheduled(entry))) return 'posts:read';
+  return undefined;
+}
+
+// Whether an If-Range header still matches the object, so the range applies.
+function ifRangeMatches(req, head) {
+  const ifRange = req.get('if-range');
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === head.etag;
+  return head.lastModified && Date.parse(ifRange) >= Math.floor(head.lastModified.getTime() / 1000) * 1000;
+}
+
+// -----------------------------------------------------------------------------
+// Bulk operations
+//
+// `/api/posts/bulk` applies one action to many posts, picked either by `ids`
+// or by a `filter` in the listing query syntax (`type`, `from`, `to`, `q`,
+// plus `draft: true|false`).  The actions are:
+//
+//   publish            make drafts and scheduled posts live now
+//   unpublish          turn posts back into drafts
+//   patch              set the `patch` fields (title, body, imageUrl, draft,
+//                      date, publishAt) on each post
+//   trash / restore    soft delete, or bring back from the trash
+//   purge              hard delete from the trash
+//   regenerate-video   queue a render with the `render` options (preset,
+//                      style, overlay; defaults to each post's last preset)
+//
+// Restore and purge pick from the trash, everything else from the live posts
+// including drafts and scheduled ones.  Items run BULK_CONCURRENCY at a time
+// (one at a time with `stopOnError`) and every item reports its own outcome:
+// `done`, `unchanged`, `failed` with the reason, or `aborted` when
+// `stopOnError` is set and an earlier item failed.  With `dryRun` each item is checked and reported as `planned`
+// instead of being changed.
+const BULK_ACTIONS = {
+  publish: { permission: 'posts:write', source: 'posts' },
+  unpublish: { permission: 'posts:write', source: 'posts' },
+  patch: { permission: 'posts:write', source: 'posts' },
+  trash: { permission: 'posts:delete', source: 'posts' },
+  restore: { permission: 'posts:delete', source: 'trash' },
+  purge: { permission: 'trash:purge', source: 'trash' },
+  'regenerate-video': { permission: 'posts:write', source: 'posts' },
+};
+const BULK_PATCH_FIELDS = ['title', 'body', 'imageUrl', 'draft', 'date', 'publishAt'];
+const BULK_CONCURRENCY = Math.max(1, parseInt(process.env.BULK_CONCURRENCY || '4', 10) || 4);
+const BULK_MAX_ITEMS = 500;
+
+// Run `worker` over `items`, at most `concurrency` at a time, collecting one
+// result per item in order.  A worker that throws produces a `failed` result
+// carrying the error message.  With `stopOnError` items run one at a time, so
+// nothing after the first failure is started.
+async function runBulk(items, worker, { concurrency = BULK_CONCURRENCY, stopOnError = false } = {}) {
+  if (stopOnError) concurrency = 1;
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      const { id } = items[index];
+      if (failed && stopOnError) {
+        results[index] = { id, status: 'aborted', error: 'aborted after an earlier failure' };
+        continue;
+      }
+      try {
+        results[index] = { id, ...(await worker(items[index])) };
+      } catch (err) {
+        results[index] = { id, status: 'failed', error: err.message || String(err) };
+      }
+      if (results[index].status === 'failed') failed = true;
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+  return results;
+}
+
+// The changes `fields` would make to `post`, as `{ field: { from, to } }`.
+function fieldChanges(post, fields) {
+  const changes = {};
+  Object.entries(fields).forEach(([field, to]) => {
+    const from = field === 'publishAt' ? post.publishAt : post[field];
+    if (JSON.stringify(from ?? null) !== JSON.stringify(to ?? null)) changes[field] = { from: from ?? null, to };
+  });
+  return changes;
+}
+
+// Set `fields` on a post the way PATCH /api/posts/:id does, or only report
+// the changes on a dry run.
+async function bulkPatch(post, fields, { dryRun, actor, audit }) {
+  const changes = fieldChanges(post, fields);
+  if (!Object.keys(changes).length) return { status: 'unchanged' };
+  if (dryRun) return { status: 'planned', changes };
+  const { schedule } = validatePostFields(fields);
+  const result = await updatePostFields(post.id, fields, schedule, { actor, audit });
+  // The post can be purged while the items run.
+  if (result.notFound) return { status: 'failed', error: 'not found' };
+  return { status: 'done', changes, version: result.entry.version };
+}
+
+// Carry out `action` on one selected item, `{ id, post }` (no `post` when the
+// id given wasn't found).
+async function bulkItem(action, { id, post }, options) {
+  const { dryRun } = options;
+  if (!postIdParam(id)) return { status: 'failed', error: 'invalid id' };
+  if (!post) return { status: 'failed', error: BULK_ACTIONS[action].source === 'trash' ? 'not in trash' : 'not found' };
+  switch (action) {
+    case 'publish':
+      if (!post.draft && !post.scheduled) return { status: 'unchanged' };
+      return await bulkPatch(post, { draft: false, ...(post.scheduled ? { publishAt: null } : {}) }, options);
+    case 'unpublish':
+      return await bulkPatch(post, { draft: true }, options);
+    case 'patch':
+      return await bulkPatch(post, options.patch, options);
+    case 'trash': {
+      if (dryRun) return { status: 'planned' };
+      const result = await trashPost(post.id, options);
+      if (!result) return { status: 'failed', error: 'not found' };
+      return { status: 'done', ...result };
+    }
+    case 'restore': {
+      if (dryRun) return { status: 'planned' };
+      const result = await restorePost(post.id, options);
+      if (!result) return { status: 'failed', error: 'not in trash' };
+      return { status: 'done', ...result };
+    }
+    case 'purge': {
+      if (dryRun) return { status: 'planned' };
+      const result = await purgePost(post.id, options);
+      if (!result) return { status: 'failed', error: 'not in trash' };
+      return { status: 'done', ...result };
+    }
+    case 'regenerate-video': {
+      if (!post.audioUrl) return { status: 'failed', error: 'post has no audio' };
+      const result = await queueVideoJob(`${post.id}.mp3`, options.render, options);
+      if (result.error) return { status: 'failed', error: result.error, ...(result.jobId ? { jobId: result.jobId } : {}) };
+      return { status: dryRun ? 'planned' : 'done', render: result.render, ...(result.job ? { jobId: result.job.id } : {}) };
+    }
+    default:
+      throw new Error(`unknown action: ${action}`);
+  }
+}
+
+// Validate a bulk request body and pick the posts it targets.  Returns
+// `{ value: { action, items, ... } }` or `{ error }`.
+async function parseBulkRequest(body) {
+  const { action, ids, filter, patch, render = {}, dryRun = false, stopOnError = false } = body || {};
+  if (!Object.hasOwn(BULK_ACTIONS, action)) return { error: `action must be one of ${Object.keys(BULK_ACTIONS).join(', ')}` };
+  if ((ids === undefined) === (filter === undefined)) return { error: 'send either ids or filter' };
+  if (ids !== undefined && (!Array.isArray(ids) || !ids.length)) return { error: 'ids must be a non-empty array' };
+  if (filter !== undefined && (typeof filter !== 'object' || filter === null || Array.isArray(filter))) return { error: 'filter must be an object' };
+  if (action === 'patch') {
+    if (typeof patch !== 'object' || patch === null || !Object.keys(patch).length) return { error: 'patch fields required' };
+    const unknown = Object.keys(patch).find(field => !BULK_PATCH_FIELDS.includes(field));
+    if (unknown) return { error: `${unknown} cannot be bulk edited` };
+    const { error } = validatePostFields(patch);
+    if (error) return { error };
+  }
+  const { permission, source } = BULK_ACTIONS[action];
+  const posts = source === 'trash' ? await loadTrash() : await loadPosts({ includeDrafts: true, includeScheduled: true });
+  let items;
+  if (ids) {
+    const byId = new Map(posts.map(p => [p.id, p]));
+    items = ids.map((value) => {
+      const id = postIdParam(value) || String(value);
+      return { id, post: postIdParam(value) && byId.get(id) };
+    });
+  } else {
+    const { draft, ...listQuery } = filter;
+    if (['limit', 'page', 'cursor'].some(name => name in listQuery)) return { error: 'filter does not take limit, page or cursor' };
+    if (draft !== undefined && typeof draft !== 'boolean') return { error: 'filter.draft must be a boolean' };
+    const parsed = parseListQuery(listQuery);
+    if (parsed.error) return { error: `filter: ${parsed.error}` };
+    items = queryPosts(posts, parsed.value).items
+      .filter(p => draft === undefined || p.draft === draft)
+      .map(post => ({ id: post.id, post }));
+  }
+  if (items.length > BULK_MAX_ITEMS) return { error: `at most ${BULK_MAX_ITEMS} posts per request (matched ${items.length})` };
+  return { value: { action, permission, items, patch, render, dryRun: dryRun === true, stopOnError: stopOnError === true } };
+}
+
+// Summarize bulk results for the response.
+function bulkSummary(action, dryRun, results) {
+  const count = status => results.filter(r => r.status === status).length;
+  return {
+    ok: !results.some(r => r.status === 'failed' || r.status === 'aborted'),
+    action,
+    dryRun,
+    total: results.length,
+    [dryRun ? 'planned' : 'done']: count(dryRun ? 'planned' : 'done'),
+    unchanged: count('unchanged'),
+    failed: count('failed'),
+    aborted: count('aborted'),
+    results,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Routes
+
+// Identify the caller on every request; see "Accounts and permissions".
+app.use(authenticate);
+
+// Health & version endpoints.  These routes are unauthenticated and simply
+// indicate that the backend is running.  The version endpoint returns the
+// semantic version of the API.
+app.get('/', (_req, res) => res.send('The Gargantuan backend is live.'));
+app.get('/api/version', (_req, res) => res.json({ version: '1.6.0' }));
+app.get('/api/health', (_req, res) => res.json({ ok: true }));
+app.get('/api/r2/health', async (_req, res) => {
+  if (storage.driver !== 's3') return res.json({ ok: true, enabled: false, driver: storage.driver, count: 0 });
+  try {
+    const objects = await listObjects('posts/');
+    res.json({ ok: true, enabled: true, count: objects.length });
+  } catch (err) {
+    res.status(500).json({ ok: false, enabled: true, error: String(err) });
+  }
+});
+
+app.get('/api/storage/health', async (_req, res) => {
+  try {
+    const objects = await listObjects('posts/');
+    res.json({ ok: true, driver: storage.driver, count: objects.length });
+  } catch (err) {
+    res.status(500).json({ ok: false, driver: storage.driver, error: String(err) });
+  }
+});
+
+// Serve stored media (see "Media proxy" above).
+app.get('/uploads/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const permission = await mediaPermission(key);
+    const signed = permission !== undefined && validMediaSignature(key, req.query);
+    if (permission === null || (permission && !signed && !can(req, permission))) {
+      return res.status(404).json({ error: 'not found' });
+    }
+    const head = await headObject(key);
+    if (!head) return res.status(404).json({ error: 'not found' });
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': head.contentType && head.contentType !== 'application/octet-stream' ? head.contentType : mediaType(key),
+      'Cache-Control': permission ? 'private, no-cache' : `public, max-age=${MEDIA_MAX_AGE}`,
+    });
+    if (head.etag) res.set('ETag', head.etag);
+    if (head.lastModified) res.set('Last-Modified', head.lastModified.toUTCString());
+    if (req.fresh) return res.status(304).end();
+    let range;
+    if (req.headers.range && ifRangeMatches(req, head)) {
+      const ranges = req.range(head.size, { combine: true });
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${head.size}`);
+        return res.status(416).json({ error: 'range not satisfiable' });
+      }
+      // Malformed and multi-range requests get the whole object.
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) range = ranges[0];
+    }
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${head.size}`);
+    }
+    res.set('Content-Length', String(range ? range.end - range.start + 1 : head.size));
+    if (req.method === 'HEAD' || head.size === 0) return res.end();
+    await pipeline(await getObjectStream(key, range), res);
+  } catch (err) {
+    // A client that goes away mid-stream is not an error worth logging.
+    if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    console.error('media error', err);
+    if (!res.headersSent) res.status(500).json({ error: 'Could not read media' });
+    else res.destroy();
+  }
+});
+
+// Sign a media URL for previews, e.g. of a draft's audio.  Accepts `{ url }`
+// (an `/uploads/` URL or storage key) and optional `ttl` in seconds (default
+// one hour, at most a week); trash keys need `trash:purge`.  Responds with
+// `{ url, expiresAt }`.
+app.post('/api/media/sign', requirePermission('posts:read'), async (req, res) => {
+  try {
+    const { url, ttl = 3600 } = req.body || {};
+    const key = keyFromUrl(url) || (typeof url === 'string' ? url.replace(/^\/+/, '') : undefined);
+    if (!key) return res.status(400).json({ error: 'url required' });
+    if (!Number.isInteger(ttl) || ttl <= 0 || ttl > MEDIA_SIGN_MAX_TTL) {
+      return res.status(400).json({ error: `ttl must be 1-${MEDIA_SIGN_MAX_TTL} seconds` });
+    }
+    const permission = await mediaPermission(key);
+    if (permission === null) return res.status(400).json({ error: 'not a media key' });
+    if (permission && !can(req, permission)) return res.status(403).json({ error: 'forbidden', permission });
+    res.json(signedMediaUrl(key, ttl));
+  } catch (err) {
+    console.error('sign media error', err);
+    res.status(500).json({ error: 'Could not sign url' });
+  }
+});
+
+// Rebuild the catalog index from storage now instead of waiting for the next
+// reconciliation (see "Catalog index" above).  Responds with whether it had
+// drifted from storage.
+app.post('/api/catalog/rebuild', requirePermission('storage:manage'), async (_req, res) => {
+  try {
+    const changed = await rebuildCatalog();
+    res.json({ ok: true, changed, generation: catalogGeneration, objects: catalog.objects.size, updatedAt: catalogUpdatedAt.toISOString() });
+  } catch (err) {
+    console.error('catalog rebuild error', err);
+    res.status(500).json({ error: 'Could not rebuild catalog' });
+  }
+});
+
+// Check storage against the metadata (see "Consistency checks" above).
+app.get('/api/fsck', requirePermission('storage:manage'), async (_req, res) => {
+  try {
+    const report = await checkStorage();
+    res.json({ ok: report.issues.length === 0, ...report });
+  } catch (err) {
+    console.error('fsck error', err);
+    res.status(500).json({ error: 'Could not check storage' });
+  }
+});
+
+// Repair storage issues.  Accepts `{ repairs: { <kind>: <repair> }, ids,
+// dryRun }`; `ids` (post ids or image names) narrows the repair down, and
+// nothing is changed unless `dryRun` is false.
+app.post('/api/fsck/repair', audited('storage.repair'), requirePermission('storage:manage'), async (req, res) => {
+  try {
+    const { repairs, ids, dryRun } = req.body || {};
+    if (!repairs || typeof repairs !== 'object' || Array.isArray(repairs) || !Object.keys(repairs).length) {
+      return res.status(400).json({ error: 'repairs required', repairs: FSCK_REPAIRS });
+    }
+    const invalid = Object.entries(repairs).find(([kind, repair]) => !(Object.hasOwn(FSCK_REPAIRS, kind) && FSCK_REPAIRS[kind].includes(repair)));
+    if (invalid) return res.status(400).json({ error: `invalid repair for ${invalid[0]}: ${invalid[1]}`, repairs: FSCK_REPAIRS });
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'ids must be an array of strings' });
+    }
+    if (backupImporting) return res.status(409).json({ error: 'backup import in progress' });
+    const result = await repairStorage({ repairs, only: ids, dryRun: dryRun !== false, actor: requestActor(req), audit: req.audit });
+    if (result.error) return res.status(409).json({ error: result.error });
+    res.json({ ok: !result.results.some(r => r.status === 'failed'), ...result });
+  } catch (err) {
+    console.error('fsck repair error', err);
+    res.status(500).json({ error: 'Could not repair storage' });
+  }
+});
+
+// Fill in missing waveform peaks and poster frames (see "Waveforms and
+// posters" above).  Accepts `{ kinds, ids, force, limit, dryRun }`: `kinds`
+// defaults to both, `force` rebuilds existing ones too and at most `limit`
+// posts (default 50) are processed per call, oldest first; `remaining` says
+// how many are left for the next call.
+app.post('/api/media/backfill', audited('media.backfill'), requirePermission('storage:manage'), async (req, res) => {
+  try {
+    const { kinds = Object.keys(DERIVATIVES), ids, force = false, limit = 50, dryRun = false } = req.body || {};
+    if (!Array.isArray(kinds) || !kinds.length || !kinds.every(kind => Object.hasOwn(DERIVATIVES, kind))) {
+      return res.status(400).json({ error: `kinds must be a list of ${Object.keys(DERIVATIVES).join(', ')}` });
+    }
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'ids must be an array of strings' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > BULK_MAX_ITEMS) {
+      return res.status(400).json({ error: `limit must be between 1 and ${BULK_MAX_ITEMS}` });
+    }
+    const missing = await missingDerivatives({ kinds: [...new Set(kinds)], ids, force: force === true });
+    const items = missing.slice(0, limit);
+    const results = await runBulk(items, async ({ id, kinds: todo }) => {
+      if (dryRun === true) return { status: 'planned', kinds: todo };
+      const urls = {};
+      for (const kind of todo) {
+        const key = await regenerateDerivative(id, kind, req.audit);
+        if (key) urls[`${kind}Url`] = absoluteUrl(key);
+      }
+      return { status: 'done', kinds: todo, ...urls };
+    }, { concurrency: VIDEO_JOB_CONCURRENCY });
+    res.json({ ...bulkSummary('backfill', dryRun === true, results), remaining: missing.length - items.length });
+  } catch (err) {
+    console.error('media backfill error', err);
+    res.status(500).json({ error: 'media backfill failed' });
+  }
+});
+
+// List webhooks (see "Webhooks" above).  Secrets are not included.
+app.get('/api/webhooks', requirePermission('webhooks:manage'), async (_req, res) => {
+  try {
+    const hooks = Object.values(await readWebhooks()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json(hooks.map(publicWebhook));
+  } catch (err) {
+    console.error('list webhooks error', err);
+    res.status(500).json({ error: 'Could not list webhooks' });
+  }
+});
+
+// Register a webhook.  Accepts `{ url, events, description, active }`.  The
+// signing secret is only shown in this response.
+app.post('/api/webhooks', audited('webhook.create'), requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { value, error } = parseWebhookFields(req.body);
+    if (error) return res.status(400).json({ error });
+    const hook = {
+      id: crypto.randomBytes(8).toString('hex'),
+      description: '',
+      active: true,
+      ...value,
+      secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      createdBy: requestActor(req),
+      createdAt: new Date().toISOString(),
+    };
+    await updateWebhookFile(WEBHOOKS_KEY, {}, (hooks) => { hooks[hook.id] = hook; });
+    res.status(201).json({ ...publicWebhook(hook), secret: hook.secret });
+  } catch (err) {
+    console.error('create webhook error', err);
+    res.status(500).json({ error: 'create webhook failed' });
+  }
+});
+
+// Change a webhook.  Accepts any of `{ url, events, description, active }`,
+// and `rotateSecret: true` to replace the secret (shown once in the response).
+app.patch('/api/webhooks/:id', audited('webhook.update'), requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const { value, error } = parseWebhookFields(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    const rotate = req.body?.rotateSecret === true;
+    const hook = await updateWebhookFile(WEBHOOKS_KEY, {}, (hooks) => {
+      const current = findWebhook(hooks, req.params.id);
+      if (!current) return undefined;
+      Object.assign(current, value, { updatedAt: new Date().toISOString() });
+      if (rotate) current.secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+      return current;
+    });
+    if (!hook) return res.status(404).json({ error: 'webhook not found' });
+    res.json({ ...publicWebhook(hook), ...(rotate ? { secret: hook.secret } : {}) });
+  } catch (err) {
+    console.error('update webhook error', err);
+    res.status(500).json({ error: 'update webhook failed' });
+  }
+});
+
+// Remove a webhook along with its delivery log.  Pending retries are dropped.
+app.delete('/api/webhooks/:id', audited('webhook.delete'), requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const removed = await updateWebhookFile(WEBHOOKS_KEY, {}, (hooks) => {
+      if (!findWebhook(hooks, req.params.id)) return false;
+      delete hooks[req.params.id];
+      return true;
+    });
+    if (!removed) return res.status(404).json({ error: 'webhook not found' });
+    await deleteObject(webhookLogKey(req.params.id));
+    res.json({ ok: true, id: req.params.id });
+  } catch (err) {
+    console.error('delete webhook error', err);
+    res.status(500).json({ error: 'delete webhook failed' });
+  }
+});
+
+// A webhook's delivery log, newest attempt first.  Accepts `?limit=` (default 50).
+app.get('/api/webhooks/:id/deliveries', requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    if (!findWebhook(await readWebhooks(), req.params.id)) return res.status(404).json({ error: 'webhook not found' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), WEBHOOK_LOG_LIMIT);
+    const text = await getObject(webhookLogKey(req.params.id));
+    res.json((text ? JSON.parse(text) : []).reverse().slice(0, limit));
+  } catch (err) {
+    console.error('webhook deliveries error', err);
+    res.status(500).json({ error: 'Could not read deliveries' });
+  }
+});
+
+// Send a `ping` event to a webhook right away, without retries, and respond
+// with the outcome of the attempt.  Works for inactive hooks too.
+app.post('/api/webhooks/:id/ping', audited('webhook.ping'), requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const hook = findWebhook(await readWebhooks(), req.params.id);
+    if (!hook) return res.status(404).json({ error: 'webhook not found' });
+    const id = crypto.randomUUID();
+    const body = JSON.stringify({ id, event: 'ping', createdAt: new Date().toISOString(), hook: publicWebhook(hook) });
+    const delivery = await deliverWebhook(hook, { id, event: 'ping', postId: null, body }, { retry: false });
+    res.json({ ok: delivery.ok, delivery });
+  } catch (err) {
+    console.error('ping webhook error', err);
+    res.status(500).json({ error: 'ping failed' });
+  }
+});
+
+// Download a backup of the whole site as a tar archive (see "Backups" above).
+app.get('/api/backup/export', requirePermission('backup:manage'), async (_req, res) => {
+  const name = `the-gargantuan-${new Date().toISOString().slice(0, 10)}.tar`;
+  res.set({ 'Content-Type': 'application/x-tar', 'Content-Disposition': `attachment; filename="${name}"` });
+  try {
+    await pipeline(Readable.from(backupArchive()), res);
+  } catch (err) {
+    if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    console.error('backup export error', err);
+    if (!res.headersSent) res.status(500).json({ error: 'backup export failed' });
+    else res.destroy();
+  }
+});
+
+// Restore a backup archive sent as the request body.  Query parameters:
+// `mode` (`merge` or `replace`), `onConflict` (`skip`, `overwrite` or
+// `rename`) and `dryRun`.  Responds with a report of the posts added,
+// skipped, overwritten, renamed and removed; 400 with `problems` when the
+// archive is invalid or doesn't match its manifest.
+app.post('/api/backup/import', audited('backup.import'), requirePermission('backup:manage'), async (req, res) => {
+  const { mode = 'merge', onConflict = 'skip' } = req.query;
+  const dryRun = /^(true|1)$/i.test(req.query.dryRun || '');
+  if (!['merge', 'replace'].includes(mode)) return res.status(400).json({ error: 'mode must be merge or replace' });
+  if (!['skip', 'overwrite', 'rename'].includes(onConflict)) return res.status(400).json({ error: 'onConflict must be skip, overwrite or rename' });
+  if (backupImporting) return res.status(409).json({ error: 'an import is already running' });
+  backupImporting = true;
+  const dir = path.join(TEMP_DIR, `import-${crypto.randomBytes(8).toString('hex')}`);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const files = await unpackBackup(req, dir);
+    const manifest = await verifyBackup(dir, files);
+    res.json(await importBackup(dir, manifest, { mode, onConflict, dryRun, actor: requestActor(req), audit: req.audit }));
+  } catch (err) {
+    if (err.code === 'InvalidArchive') return res.status(400).json({ error: err.message, problems: err.problems });
+    console.error('backup import error', err);
+    res.status(500).json({ error: 'backup import failed' });
+  } finally {
+    backupImporting = false;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Account routes (see "Accounts and permissions" above)
+
+// Exchange a username and password for a session token.
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'username and password required' });
+    }
+    const user = findUser(await readAuth(), username);
+    if (!user || user.disabled || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'invalid credentials' });
+    }
+    const token = newToken('gs_');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+    await updateAuth((store) => {
+      // Drop expired sessions while we are writing anyway.
+      Object.entries(store.sessions).forEach(([digest, s]) => {
+        if (Date.parse(s.expiresAt) <= Date.now()) delete store.sessions[digest];
+      });
+      store.sessions[hashToken(token)] = { username, createdAt: new Date().toISOString(), expiresAt };
+    });
+    res.json({ token, expiresAt, user: publicUser(username, user) });
+  } catch (err) {
+    console.error('login error', err);
+    res.status(500).json({ error: 'login failed' });
+  }
+});
+
+// End the current session.
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    if (req.auth.type !== 'session' || !match) return res.status(400).json({ error: 'no session' });
+    await updateAuth((store) => { delete store.sessions[hashToken(match[1])]; });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('logout error', err);
+    res.status(500).json({ error: 'logout failed' });
+  }
+});
+
+// Describe the caller: name, role and permissions.
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.auth);
+});
+
+// Change your own password.  Accepts `{ currentPassword, newPassword }` and
+// signs out every other session of the user.
+app.post('/api/auth/password', audited('auth.password'), async (req, res) => {
+  try {
+    if (req.auth.type !== 'session') return res.status(401).json({ error: 'unauthorized' });
+    const { currentPassword, newPassword } = req.body || {};
+    const error = userFieldsError({ password: newPassword });
+    if (error) return res.status(400).json({ error });
+    const username = req.auth.name;
+    const user = findUser(await readAuth(), username);
+    if (!user || !(await verifyPassword(String(currentPassword || ''), user.passwordHash))) {
+      return res.status(401).json({ error: 'invalid credentials' });
+    }
+    const passwordHash = await hashPassword(newPassword);
+    const current = hashToken(/^Bearer\s+(\S+)$/i.exec(req.get('authorization'))[1]);
+    await updateAuth((store) => {
+      store.users[username].passwordHash = passwordHash;
+      Object.entries(store.sessions).forEach(([digest, s]) => {
+        if (s.username === username && digest !== current) delete store.sessions[digest];
+      });
+    });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('change password error', err);
+    res.status(500).json({ error: 'change password failed' });
+  }
+});
+
+// List users.
+app.get('/api/users', requirePermission('users:manage'), async (_req, res) => {
+  try {
+    const { users } = await readAuth();
+    res.json(Object.entries(users).map(([username, user]) => publicUser(username, user)));
+  } catch (err) {
+    console.error('list users error', err);
+    res.status(500).json({ error: 'Could not list users' });
+  }
+});
+
+// Create a user.  Accepts `{ username, password, role }`.
+app.post('/api/users', audited('user.create'), requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username, password, role = 'editor' } = req.body || {};
+    const error = username === undefined || password === undefined
+      ? 'username and password required'
+      : userFieldsError({ username, password, role });
+    if (error) return res.status(400).json({ error });
+    const passwordHash = await hashPassword(password);
+    const user = await updateAuth((store) => {
+      if (findUser(store, username)) return undefined;
+      store.users[username] = { role, passwordHash, createdAt: new Date().toISOString() };
+      return store.users[username];
+    });
+    if (!user) return res.status(409).json({ error: 'username taken' });
+    res.status(201).json(publicUser(username, user));
+  } catch (err) {
+    console.error('create user error', err);
+    res.status(500).json({ error: 'create user failed' });
+  }
+});
+
+// The number of enabled admins left if `username` were changed to `next`.
+function remainingAdmins(store, username, next) {
+  return Object.entries(store.users)
+    .map(([name, user]) => (name === username ? next : user))
+    .filter(user => user && user.role === 'admin' && !user.disabled)
+    .length;
+}
+
+// Revoke every session of a user.
+function revokeSessions(store, username) {
+  Object.entries(store.sessions).forEach(([digest, s]) => {
+    if (s.username === username) delete store.sessions[digest];
+  });
+}
+
+// Update a user.  Accepts any subset of `{ role, password, disabled }`.
+// Disabling a user or resetting their password signs them out.  The last
+// enabled admin cannot be demoted or disabled.
+app.patch('/api/users/:username', audited('user.update'), requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { role, password, disabled } = req.body || {};
+    const error = userFieldsError({ role, password })
+      || (disabled !== undefined && typeof disabled !== 'boolean' ? 'disabled must be a boolean' : undefined);
+    if (error) return res.status(400).json({ error });
+    const passwordHash = password !== undefined ? await hashPassword(password) : undefined;
+    const result = await updateAuth((store) => {
+      const user = findUser(store, username);
+      if (!user) return { status: 404 };
+      const next = { ...user };
+      if (role !== undefined) next.role = role;
+      if (disabled !== undefined) next.disabled = disabled;
+      if (passwordHash) next.passwordHash = passwordHash;
+      if (user.role === 'admin' && remainingAdmins(store, username, next) === 0) return { status: 409 };
+      store.users[username] = next;
+      if (next.disabled || passwordHash) revokeSessions(store, username);
+      return { status: 200, user: next };
+    });
+    if (result.status === 404) return res.status(404).json({ error: 'user not found' });
+    if (result.status === 409) return res.status(409).json({ error: 'cannot remove the last admin' });
+    res.json(publicUser(username, result.user));
+  } catch (err) {
+    console.error('update user error', err);
+    res.status(500).json({ error: 'update user failed' });
+  }
+});
+
+// Delete a user along with their sessions and API keys.
+app.delete('/api/users/:username', audited('user.delete'), requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username } = req.params;
+    const status = await updateAuth((store) => {
+      const user = findUser(store, username);
+      if (!user) return 404;
+      if (user.role === 'admin' && remainingAdmins(store, username, undefined) === 0) return 409;
+      delete store.users[username];
+      revokeSessions(store, username);
+      Object.entries(store.keys).forEach(([id, key]) => {
+        if (key.owner === username) delete store.keys[id];
+      });
+      return 200;
+    });
+    if (status === 404) return res.status(404).json({ error: 'user not found' });
+    if (status === 409) return res.status(409).json({ error: 'cannot remove the last admin' });
+    res.json({ ok: true, username });
+  } catch (err) {
+    console.error('delete user error', err);
+    res.status(500).json({ error: 'delete user failed' });
+  }
+});
+
+// List API keys (never the secrets themselves).
+app.get('/api/keys', requirePermission('users:manage'), async (_req, res) => {
+  try {
+    const { keys } = await readAuth();
+    res.json(Object.values(keys).map(publicKey));
+  } catch (err) {
+    console.error('list keys error', err);
+    res.status(500).json({ error: 'Could not list keys' });
+  }
+});
+
+// Create an API key.  Accepts `{ name, scopes, expiresAt }`; scopes must be
+// permissions the caller holds.  The key belongs to the calling user (or
+// LEGACY_KEY_OWNER for ADMIN_TOKEN).  It is returned once and only its hash
+// is stored.
+app.post('/api/keys', audited('key.create'), requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { name, scopes, expiresAt = null } = req.body || {};
+    if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'name required' });
+    if (!Array.isArray(scopes) || !scopes.length) return res.status(400).json({ error: 'scopes required' });
+    const invalid = scopes.find(s => !PERMISSIONS.includes(s) || !can(req, s));
+    if (invalid) return res.status(400).json({ error: `scope not allowed: ${invalid}` });
+    if (expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) return res.status(400).json({ error: 'expiresAt must be a date' });
+    if (!req.auth.owner) return res.status(400).json({ error: 'sign in as a user to create API keys' });
+    const token = newToken('gk_');
+    const key = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      createdBy: requestActor(req),
+      owner: req.auth.owner,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+      hash: hashToken(token),
+    };
+    await updateAuth((store) => { store.keys[key.id] = key; });
+    res.status(201).json({ ...publicKey(key), key: token });
+  } catch (err) {
+    console.error('create key error', err);
+    res.status(500).json({ error: 'create key failed' });
   }
-  return {
-    id,
-    title: metaEntry.title || id,
-    body: metaEntry.body || '',
-    imageUrl: metaEntry.imageUrl || '',
-    draft: !!metaEntry.draft,
-    type: determineType(hasVideo, hasAudio, metaEntry),
-    playUrl: videoUrl || audioUrl || '',
-    audioUrl,
-    videoUrl,
-    date: date.toISOString(),
-    _trash: isTrash,
-  };
-}
+});
 
-// -----------------------------------------------------------------------------
-// Routes
+// Revoke an API key.
+app.delete('/api/keys/:id', audited('key.delete'), requirePermission('users:manage'), async (req, res) => {
+  try {
+    const removed = await updateAuth((store) => {
+      if (!Object.hasOwn(store.keys, req.params.id)) return false;
+      delete store.keys[req.params.id];
+      return true;
+    });
+    if (!removed) return res.status(404).json({ error: 'key not found' });
+    res.json({ ok: true, id: req.params.id });
+  } catch (err) {
+    console.error('delete key error', err);
+    res.status(500).json({ error: 'delete key failed' });
+  }
+});
 
-// Health & version endpoints.  These routes are unauthenticated and simply
-// indicate that the backend is running.  The version endpoint returns the
-// semantic version of the API.
-app.get('/', (_req, res) => res.send('The Gargantuan backend is live.'));
-app.get('/api/version', (_req, res) => res.json({ version: '1.6.0' }));
-app.get('/api/health', (_req, res) => res.json({ ok: true }));
-app.get('/api/r2/health', async (_req, res) => {
-  if (!s3Client) return res.json({ ok: true, enabled: false, count: 0 });
+// Query the audit log (see "Audit log" above).  Accepts `postId`, `actor`,
+// `action` (comma-separated), `from` and `to` (dates) and `limit` (default
+// 100).  Returns matching entries newest first.
+app.get('/api/audit', requirePermission('audit:read'), async (req, res) => {
   try {
-    const objects = await listObjects('posts/');
-    res.json({ ok: true, enabled: true, count: objects.length });
+    const { postId, actor, action } = req.query;
+    const [from, to] = [req.query.from, req.query.to].map(v => (v ? new Date(v) : undefined));
+    if ([from, to].some(d => d && Number.isNaN(d.getTime()))) return res.status(400).json({ error: 'from and to must be dates' });
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+    if (!(limit > 0 && limit <= AUDIT_QUERY_LIMIT)) return res.status(400).json({ error: `limit must be 1-${AUDIT_QUERY_LIMIT}` });
+    res.json(await queryAudit({ postId, actor, action, from, to, limit }));
   } catch (err) {
-    res.status(500).json({ ok: false, enabled: true, error: String(err) });
+    console.error('audit query error', err);
+    res.status(500).json({ error: 'Could not query audit log' });
   }
 });
 
+// -----------------------------------------------------------------------------
+// Post routes
+
 // List published posts.  This endpoint aggregates objects under `posts/` (but
 // not under `.trash/`) and merges them with their metadata.  Only posts with
-// `draft:false` are returned.
+// `draft:false` are returned.  Supports filtering, search and pagination (see
+// "Listing queries" above).
 app.get('/api/posts', async (req, res) => {
   try {
-    const meta = await readMeta();
-    const objects = await listObjects('posts/');
-    // Exclude trash entries.
-    const filtered = objects.filter(o => !o.Key.startsWith('posts/.trash/'));
-    // Group objects by base id.
-    const groups = {};
-    filtered.forEach((obj) => {
-      const base = path.basename(obj.Key).replace(/\.[^/.]+$/, '');
-      groups[base] = groups[base] || [];
-      groups[base].push(obj);
-    });
-    // Ensure that posts with only metadata (no media objects) are included.
-    Object.keys(meta).forEach((mid) => {
-      if (mid.startsWith('_')) return;
-      if (!groups[mid]) groups[mid] = [];
-    });
-    const posts = await Promise.all(Object.entries(groups).map(async ([id, objs]) => {
-      // Skip metadata entries (ids beginning with underscore) so that
-      // `posts/_meta.json` never appears as a post on the front page.
-      if (id.startsWith('_')) return undefined;
-      return await buildPost(id, objs, meta, false, false);
-    }));
-    const list = posts.filter(Boolean).sort((a, b) => new Date(b.date) - new Date(a.date));
-    res.json(list);
+    const { value: q, error } = parseListQuery(req.query);
+    if (error) return res.status(400).json({ error });
+    sendPostList(req, res, await loadPosts(), q);
   } catch (err) {
     console.error('list posts error', err);
     res.status(500).json({ error: 'Could not list posts' });
@@ -305,165 +4853,359 @@ app.get('/api/posts', async (req, res) => {
 });
 
 // List drafts.  Same as `/api/posts` but returns entries with `draft:true`.
-app.get('/api/drafts', async (req, res) => {
+// Drafts are unpublished, so listing them needs `posts:read`.
+app.get('/api/drafts', requirePermission('posts:read'), async (req, res) => {
   try {
-    const meta = await readMeta();
-    const objects = await listObjects('posts/');
-    const filtered = objects.filter(o => !o.Key.startsWith('posts/.trash/'));
-    const groups = {};
-    filtered.forEach((obj) => {
-      const base = path.basename(obj.Key).replace(/\.[^/.]+$/, '');
-      groups[base] = groups[base] || [];
-      groups[base].push(obj);
-    });
-    Object.keys(meta).forEach((mid) => {
-      if (mid.startsWith('_')) return;
-      if (!groups[mid]) groups[mid] = [];
-    });
-    const posts = await Promise.all(Object.entries(groups).map(async ([id, objs]) => {
-      if (id.startsWith('_')) return undefined;
-      return await buildPost(id, objs, meta, true, false);
-    }));
-    const drafts = posts.filter(p => p && p.draft).sort((a, b) => new Date(b.date) - new Date(a.date));
-    res.json(drafts);
+    const { value: q, error } = parseListQuery(req.query);
+    if (error) return res.status(400).json({ error });
+    const posts = await loadPosts({ includeDrafts: true, includeScheduled: true });
+    sendPostList(req, res, posts.filter(p => p.draft), q);
   } catch (err) {
     console.error('list drafts error', err);
     res.status(500).json({ error: 'Could not list drafts' });
   }
 });
 
-// List trash.  Returns posts that have been soft‑deleted (moved to
-// `posts/.trash/`).  Only admins can see the trash.
-app.get('/api/trash', requireAdmin, async (req, res) => {
+// Reference to a neighbouring post for the single-post response.
+function postLink(post) {
+  if (!post) return null;
+  return { id: post.id, slug: post.slug, title: post.title, url: `/api/posts/${encodeURIComponent(post.slug || post.id)}` };
+}
+
+// Show a single post by id or slug.  A slug the post used before a rename
+// answers with a 301 to the current one.  Drafts and scheduled posts are only
+// visible to admins.  The record includes `previous` (older) and `next`
+// (newer) links to the neighbouring published posts.
+app.get('/api/posts/:key', async (req, res) => {
   try {
-    const meta = await readMeta();
-    const objects = await listObjects('posts/.trash/');
-    // Group by id.
-    const groups = {};
-    objects.forEach((obj) => {
-      const base = path.basename(obj.Key).replace(/\.[^/.]+$/, '');
-      groups[base] = groups[base] || [];
-      groups[base].push(obj);
-    });
-    const posts = await Promise.all(Object.entries(groups).map(async ([id, objs]) => {
-      if (id.startsWith('_')) return undefined;
-      return await buildPost(id, objs, meta, true, true);
-    }));
-    const trash = posts.filter(Boolean).sort((a, b) => new Date(b.date) - new Date(a.date));
-    res.json(trash);
+    const { key } = req.params;
+    const admin = can(req, 'posts:read');
+    const posts = await loadPosts({ includeDrafts: true, includeScheduled: true });
+    const isLive = p => !p.draft && !p.scheduled;
+    const post = posts.find(p => p.id === key) || posts.find(p => p.slug === key);
+    if (!post) {
+      const owner = slugOwner(await readMeta(), key);
+      const target = owner && posts.find(p => p.id === owner);
+      if (target && (admin || isLive(target))) {
+        return res.redirect(301, `/api/posts/${encodeURIComponent(target.slug || target.id)}`);
+      }
+    }
+    if (!post || (!isLive(post) && !admin)) return res.status(404).json({ error: 'not found' });
+    // Place the post among the published ones (drafts and scheduled posts are
+    // slotted in by date) to find its neighbours.  Lists are sorted newest
+    // first.
+    const published = posts.filter(isLive);
+    const timeline = isLive(post)
+      ? published
+      : [...published, post].sort((a, b) => new Date(b.date) - new Date(a.date));
+    const index = timeline.indexOf(post);
+    res.json({ ...post, previous: postLink(timeline[index + 1]), next: postLink(timeline[index - 1]) });
+  } catch (err) {
+    console.error('get post error', err);
+    res.status(500).json({ error: 'Could not load post' });
+  }
+});
+
+// Podcast RSS feed of published audio/video posts.  See "Feeds" above.
+app.get('/feed.xml', async (req, res) => {
+  try {
+    const [posts, settings] = await Promise.all([loadPosts(), readFeedSettings()]);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('application/rss+xml; charset=utf-8').send(buildRssFeed(posts, settings, requestOrigin(req)));
+  } catch (err) {
+    console.error('rss feed error', err);
+    res.status(500).json({ error: 'Could not build feed' });
+  }
+});
+
+// Atom feed of every published post.
+app.get('/feed.atom', async (req, res) => {
+  try {
+    const [posts, settings] = await Promise.all([loadPosts(), readFeedSettings()]);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('application/atom+xml; charset=utf-8').send(buildAtomFeed(posts, settings, requestOrigin(req)));
+  } catch (err) {
+    console.error('atom feed error', err);
+    res.status(500).json({ error: 'Could not build feed' });
+  }
+});
+
+// Read the channel-level feed settings.
+app.get('/api/feed/settings', requirePermission('posts:read'), async (_req, res) => {
+  try {
+    res.json(await readFeedSettings());
+  } catch (err) {
+    console.error('feed settings error', err);
+    res.status(500).json({ error: 'Could not read feed settings' });
+  }
+});
+
+// Update the feed settings.  Accepts any subset of the fields returned by the
+// GET route; unknown fields and wrong types are rejected with 400.
+app.patch('/api/feed/settings', audited('feed.settings'), requirePermission('settings:write'), async (req, res) => {
+  try {
+    const { value, error } = validateFeedSettings(req.body);
+    if (error) return res.status(400).json({ error });
+    const settings = { ...(await readFeedSettings()), ...value };
+    await putObject(FEED_SETTINGS_KEY, JSON.stringify(settings, null, 2), 'application/json');
+    res.json({ ok: true, settings });
+  } catch (err) {
+    console.error('feed settings error', err);
+    res.status(500).json({ error: 'Could not update feed settings' });
+  }
+});
+
+// List the trash (see "Trash" above), most recently trashed first.
+app.get('/api/trash', requirePermission('posts:read'), async (req, res) => {
+  try {
+    sendCatalogJson(req, res, await loadTrash(), { cacheControl: 'private, no-cache' });
   } catch (err) {
     console.error('list trash error', err);
     res.status(500).json({ error: 'Could not list trash' });
   }
 });
 
-// Upload audio file.  Accepts a single file field named `audio`.  A unique
-// identifier is derived from the current timestamp.  The original file is
-// persisted to R2 as `<id>.mp3` or `<id>.wav`.  A default meta entry is
-// created.  Returns `{ id, filename }`.
-app.post('/api/upload', requireAdmin, upload.single('audio'), async (req, res) => {
+// Upload audio file.  Accepts a single file field named `audio` (413 over
+// the audio size limit) and an optional `normalize` field (`true`/`false`,
+// defaults to AUDIO_NORMALIZE).  See ingestAudio() for the rest.  Returns
+// `{ id, filename, audio }`.
+app.post('/api/upload', audited('post.upload'), requirePermission('posts:write'), uploadFile('audio'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-    // Determine extension and id.
-    const ext = path.extname(req.file.originalname).toLowerCase().replace('.', '') || 'mp3';
-    const id = Date.now().toString();
-    const filename = `${id}.${ext}`;
-    const key = `posts/${filename}`;
-    // Write to R2.
-    const buffer = fs.readFileSync(req.file.path);
-    await putObject(key, buffer, req.file.mimetype || 'audio/mpeg');
-    // Update metadata.
-    const meta = await readMeta();
-    meta[id] = meta[id] || { title: req.file.originalname.replace(/\.[^/.]+$/, ''), body: '', imageUrl: '', draft: false };
-    await writeMeta(meta);
-    // Remove local file.
-    fs.unlinkSync(req.file.path);
-    res.json({ id, filename });
+    const normalize = req.body?.normalize !== undefined ? /^(true|1|on)$/i.test(req.body.normalize) : AUDIO_NORMALIZE;
+    const result = await ingestAudio(req.file.path, req.file.originalname, { normalize, actor: requestActor(req), audit: req.audit });
+    if (!result) return res.status(415).json({ error: 'unsupported media type: file is not audio' });
+    res.json(result);
   } catch (err) {
     console.error('upload error', err);
     res.status(500).json({ error: 'upload failed' });
+  } finally {
+    // Remove local files.
+    if (req.file) fs.rmSync(req.file.path, { force: true });
   }
 });
 
-// Generate video from audio.  Accepts `{ filename, title }`.  Looks up the
-// corresponding audio file in R2 (downloading it into a temporary file if
-// needed) and runs ffmpeg with a safe spectrum filter.  On success the
-// resulting MP4 is uploaded to R2 as `<id>.mp4`.  The temporary files are
-// deleted.  Returns `{ ok:true, videoFilename }`.
-app.post('/api/generate-video', requireAdmin, async (req, res) => {
+// Open a resumable upload (see "Resumable uploads" above).  Accepts `{ kind,
+// filename, size }` where `kind` is `audio` or `image`; 413 if `size` is over
+// that kind's limit.  Responds 201 with the upload record including `id` and
+// `offset`.
+app.post('/api/uploads', requirePermission('posts:write'), async (req, res) => {
   try {
-    const { filename, title } = req.body || {};
-    if (!filename) return res.status(400).json({ error: 'filename required' });
-    const id = filename.replace(/\.[^/.]+$/, '');
-    const audioKey = `posts/${filename}`;
-    const localAudio = await downloadToTemp(audioKey);
-    if (!localAudio) return res.status(404).json({ error: 'audio not found' });
-    const outPath = path.join(TEMP_DIR, `${id}.mp4`);
-    ffmpeg.setFfmpegPath(ffmpegStatic || undefined);
-    await new Promise((resolve, reject) => {
-      ffmpeg(localAudio)
-        .outputOptions(['-y', '-threads', '1', '-preset', 'ultrafast', '-r', '24'])
-        .complexFilter([
-          // Reduce resolution to 640x360 to speed up generation.  The 16:9
-          // aspect ratio is preserved.  Fall back to showwaves below with the
-          // same resolution if this filter fails.
-          '[0:a]aformat=channel_layouts=stereo,showspectrum=s=640x360:mode=combined:legend=disabled[v]'
-        ])
-        .outputOptions(['-map', '[v]', '-map', '0:a', '-shortest', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'])
-        .videoCodec('libx264')
-        .audioCodec('aac')
-        .output(outPath)
-        .on('end', resolve)
-        .on('error', (err) => reject(err))
-        .run();
-    }).catch(async (err) => {
-      // Fallback to showwaves filter if showspectrum is unavailable.
-      return await new Promise((resolve, reject) => {
-        ffmpeg(localAudio)
-          .outputOptions(['-y', '-threads', '1', '-preset', 'ultrafast', '-r', '24'])
-          .complexFilter([
-            '[0:a]aformat=channel_layouts=stereo,showwaves=s=640x360:mode=line:rate=24,format=yuv420p[v]'
-          ])
-          .outputOptions(['-map', '[v]', '-map', '0:a', '-shortest', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'])
-          .videoCodec('libx264')
-          .audioCodec('aac')
-          .output(outPath)
-          .on('end', resolve)
-          .on('error', (err2) => reject(err2))
-          .run();
+    const { kind, filename, size } = req.body || {};
+    if (!RESUMABLE_KINDS.includes(kind)) return res.status(400).json({ error: `kind must be one of ${RESUMABLE_KINDS.join(', ')}` });
+    if (typeof filename !== 'string' || !filename) return res.status(400).json({ error: 'filename required' });
+    if (!Number.isInteger(size) || size <= 0) return res.status(400).json({ error: 'size must be a positive integer' });
+    if (size > UPLOAD_LIMITS[kind]) return payloadTooLarge(res, kind);
+    await sweepResumable();
+    await fs.promises.mkdir(RESUMABLE_DIR, { recursive: true });
+    const id = crypto.randomBytes(16).toString('hex');
+    const record = { id, kind, filename: path.basename(filename), size, createdBy: requestActor(req), createdAt: new Date().toISOString() };
+    const paths = resumablePaths(id);
+    await fs.promises.writeFile(paths.data, '');
+    await fs.promises.writeFile(paths.record, JSON.stringify(record));
+    res.status(201).json(await readResumable(id));
+  } catch (err) {
+    console.error('create upload error', err);
+    res.status(500).json({ error: 'create upload failed' });
+  }
+});
+
+// Report an upload's progress; `offset` is where the next chunk starts.
+app.get('/api/uploads/:id', requirePermission('posts:write'), async (req, res) => {
+  try {
+    const upload = await readResumable(req.params.id);
+    if (!upload) return res.status(404).json({ error: 'upload not found' });
+    res.json(upload);
+  } catch (err) {
+    console.error('get upload error', err);
+    res.status(500).json({ error: 'Could not read upload' });
+  }
+});
+
+// Append a chunk.  The raw request body is the chunk and `Upload-Offset` must
+// equal the upload's current offset (409 with the right `offset` otherwise).
+app.patch('/api/uploads/:id', requirePermission('posts:write'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const upload = await readResumable(id);
+    if (!upload) return res.status(404).json({ error: 'upload not found' });
+    if (resumableBusy.has(id)) return res.status(409).json({ error: 'a chunk is already being received', offset: upload.offset });
+    const offset = parseInt(req.get('upload-offset'), 10);
+    if (offset !== upload.offset) return res.status(409).json({ error: 'offset mismatch', offset: upload.offset });
+    resumableBusy.add(id);
+    try {
+      await appendChunk(req, upload);
+    } catch (err) {
+      if (err.code !== 'LIMIT_FILE_SIZE') throw err;
+      await fs.promises.truncate(resumablePaths(id).data, upload.offset);
+      return payloadTooLarge(res, upload.kind);
+    } finally {
+      resumableBusy.delete(id);
+    }
+    res.json(await readResumable(id));
+  } catch (err) {
+    console.error('upload chunk error', err);
+    if (!res.headersSent) res.status(500).json({ error: 'upload chunk failed' });
+  }
+});
+
+// Finish an upload once every byte has arrived and process it like
+// `/api/upload` (accepting the same `normalize` option) or
+// `/api/images/upload`, responding the same way.
+app.post('/api/uploads/:id/complete', audited('upload.complete'), requirePermission('posts:write'), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const upload = await readResumable(id);
+    if (!upload) return res.status(404).json({ error: 'upload not found' });
+    if (resumableBusy.has(id)) return res.status(409).json({ error: 'a chunk is still being received', offset: upload.offset });
+    if (upload.offset !== upload.size) return res.status(409).json({ error: 'upload incomplete', offset: upload.offset, size: upload.size });
+    resumableBusy.add(id);
+    try {
+      const file = resumablePaths(id).data;
+      if (upload.kind === 'image') {
+        const image = await processImage(file, `${Date.now()}-${Math.floor(Math.random() * 1e6)}`, req.audit);
+        if (!image) return res.status(415).json({ error: 'unsupported media type: expected a JPEG, PNG, GIF or WebP image' });
+        return res.json(image);
+      }
+      const result = await ingestAudio(file, upload.filename, {
+        normalize: req.body?.normalize !== undefined ? req.body.normalize === true : AUDIO_NORMALIZE,
+        actor: requestActor(req),
+        audit: req.audit,
       });
-    });
-    // Upload to R2.
-    const videoKey = `posts/${id}.mp4`;
-    const videoBuffer = fs.readFileSync(outPath);
-    await putObject(videoKey, videoBuffer, 'video/mp4');
-    // Remove temp files.
-    fs.unlinkSync(localAudio);
-    fs.unlinkSync(outPath);
-    // Optionally update title in metadata if provided.
-    if (title) {
-      const meta = await readMeta();
-      meta[id] = meta[id] || {};
-      meta[id].title = title;
-      await writeMeta(meta);
+      if (!result) return res.status(415).json({ error: 'unsupported media type: file is not audio' });
+      res.json(result);
+    } finally {
+      resumableBusy.delete(id);
+      await removeResumable(id);
     }
-    res.json({ ok: true, id, videoFilename: `${id}.mp4` });
+  } catch (err) {
+    console.error('complete upload error', err);
+    res.status(500).json({ error: 'complete upload failed' });
+  }
+});
+
+// Abandon an upload.
+app.delete('/api/uploads/:id', requirePermission('posts:write'), async (req, res) => {
+  try {
+    if (!(await readResumable(req.params.id))) return res.status(404).json({ error: 'upload not found' });
+    await removeResumable(req.params.id);
+    res.json({ ok: true, id: req.params.id });
+  } catch (err) {
+    console.error('delete upload error', err);
+    res.status(500).json({ error: 'delete upload failed' });
+  }
+});
+
+// List the render presets and visualizer styles accepted by generate-video.
+app.get('/api/video-presets', (_req, res) => {
+  res.json({ presets: VIDEO_PRESETS, styles: VIDEO_STYLES, default: DEFAULT_VIDEO_PRESET });
+});
+
+// Check that a render of `posts/<filename>` can be queued with `fields`
+// (`title`, `preset`, `style`, `overlay`, `captions`) and queue it.  Resolves to
+// `{ job, render }`, or to `{ status, error }` (plus `jobId` when a job is
+// already active) for the response it should get.  With `dryRun` only the
+// checks run and no `job` is returned.
+async function queueVideoJob(filename, fields = {}, { actor = 'system', dryRun = false } = {}) {
+  const audioKey = `posts/${filename}`;
+  const found = await listObjects(audioKey);
+  if (!found.some(o => o.Key === audioKey)) return { status: 404, error: 'audio not found' };
+  const id = filename.replace(/\.[^/.]+$/, '');
+  const metaEntry = (await readMeta())[id] || {};
+  const { value: render, error } = resolveVideoPreset(fields, metaEntry.videoPreset);
+  if (error) return { status: 400, error };
+  if (render.style === 'cover' && !coverImageKey(metaEntry.imageUrl)) {
+    return { status: 400, error: 'cover style requires an uploaded image as the post imageUrl' };
+  }
+  const { captions = null } = fields;
+  if (captions !== null && (typeof captions !== 'string' || !CAPTION_LANG_PATTERN.test(captions))) {
+    return { status: 400, error: 'captions must be a language tag' };
+  }
+  if (captions && !(await headObject(captionsKey(id, captions)))) {
+    return { status: 400, error: `no ${captions} captions on the post` };
+  }
+  const active = [...jobs.values()].find(j => j.postId === id && isActiveJob(j));
+  if (active) return { status: 409, error: 'job already active', jobId: active.id };
+  if (dryRun) return { render };
+  const job = createVideoJob({ filename, title: fields.title, render, captions, author: actor });
+  enqueueJob(job);
+  return { job, render };
+}
+
+// Generate video from audio.  Accepts `{ filename, title, preset, style,
+// overlay, captions }` (see "Video render presets" above; omitted fields fall
+// back to the post's saved preset).  `captions` names a caption track of the
+// post to burn into the video (see "Captions").  Checks that the audio file exists and queues a
+// render job (see "Video generation jobs").  Responds immediately with 202 and
+// `{ ok:true, id, jobId, render }`; poll `/api/jobs/:jobId` for progress.
+// Only one job per post can be active at a time.
+app.post('/api/generate-video', audited('post.generate-video'), requirePermission('posts:write'), async (req, res) => {
+  try {
+    const { filename } = req.body || {};
+    if (!filename) return res.status(400).json({ error: 'filename required' });
+    const { job, render, status, error, jobId } = await queueVideoJob(filename, req.body, { actor: requestActor(req) });
+    if (error) return res.status(status).json({ error, ...(jobId ? { jobId } : {}) });
+    const id = job.postId;
+    res.status(202).json({ ok: true, id, jobId: job.id, status: job.status, render, videoFilename: `${id}.mp4` });
   } catch (err) {
     console.error('generate-video error', err);
     res.status(500).json({ error: 'generate-video failed' });
   }
 });
 
+// List jobs, newest first.  Accepts an optional `?status=` filter.
+app.get('/api/jobs', requirePermission('posts:read'), (req, res) => {
+  const { status } = req.query;
+  const list = [...jobs.values()]
+    .filter(j => !status || j.status === status)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  res.json(list);
+});
+
+// Show a single job including its percent progress.
+app.get('/api/jobs/:jobId', requirePermission('posts:read'), (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  res.json(job);
+});
+
+// Cancel a queued or running job.
+app.post('/api/jobs/:jobId/cancel', audited('job.cancel'), requirePermission('posts:write'), (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  if (!isActiveJob(job)) return res.status(409).json({ error: `job is ${job.status}` });
+  cancelJob(job);
+  res.json({ ok: true, job });
+});
+
+// Retry a failed or cancelled job.  The job keeps its id and is queued again.
+app.post('/api/jobs/:jobId/retry', audited('job.retry'), requirePermission('posts:write'), (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'job not found' });
+  if (job.status !== 'failed' && job.status !== 'cancelled') {
+    return res.status(409).json({ error: `job is ${job.status}` });
+  }
+  const active = [...jobs.values()].find(j => j.postId === job.postId && isActiveJob(j));
+  if (active) return res.status(409).json({ error: 'job already active', jobId: active.id });
+  Object.assign(job, { progress: 0, filter: null, error: null, startedAt: null, finishedAt: null });
+  enqueueJob(job);
+  res.json({ ok: true, job });
+});
+
 // Create a new text/image post.  Accepts `{ title, body, imageUrl, published }`.
 // A unique id is generated and an entry is created in meta.json.  If
 // `published` is false then the post will appear in drafts.
-app.post('/api/create-post', requireAdmin, async (req, res) => {
+app.post('/api/create-post', audited('post.create'), requirePermission('posts:write'), async (req, res) => {
   try {
     const { title = '', body = '', imageUrl = '', published = true } = req.body || {};
-    const id = Date.now().toString();
-    const meta = await readMeta();
-    meta[id] = { title, body, imageUrl, draft: !published };
-    await writeMeta(meta);
+    // Ids are millisecond timestamps; step past any taken by a post created in
+    // the same millisecond so simultaneous creates don't overwrite each other.
+    const id = await updateMeta((meta) => {
+      let ts = Date.now();
+      while (meta[String(ts)]) ts++;
+      meta[String(ts)] = { title, slug: uniqueSlug(meta, title, String(ts)), body, imageUrl, draft: !published };
+      return String(ts);
+    }, { author: requestActor(req), audit: req.audit });
     res.json({ ok: true, id });
   } catch (err) {
     console.error('create-post error', err);
@@ -471,32 +5213,74 @@ app.post('/api/create-post', requireAdmin, async (req, res) => {
   }
 });
 
-// Upload an image to R2.  Accepts a single file named `image`.  Images are
-// stored under `images/<timestamp>-<random>.<ext>` and a public URL is
-// returned.  The local temporary file is deleted afterwards.
-app.post('/api/images/upload', requireAdmin, upload.single('image'), async (req, res) => {
+// Upload an image.  Accepts a single file named `image` (413 over the image
+// size limit), which must be a JPEG, PNG, GIF or WebP by content (415
+// otherwise).  The image is processed into
+// variants under `images/<name>/` (see "Image processing" above).  Responds
+// with `{ url, name, width, height, variants, srcset, webpSrcset }`, where
+// `url` is the full-size variant to use as a post's `imageUrl`.
+app.post('/api/images/upload', audited('image.upload'), requirePermission('posts:write'), uploadFile('image'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    const name = `${Date.now()}-${Math.floor(Math.random() * 1e6)}${ext}`;
-    const key = `images/${name}`;
-    const buffer = fs.readFileSync(req.file.path);
-    await putObject(key, buffer, req.file.mimetype || 'image/png');
-    fs.unlinkSync(req.file.path);
-    res.json({ url: absoluteUrl(key) });
+    const name = `${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+    const image = await processImage(req.file.path, name, req.audit);
+    if (!image) return res.status(415).json({ error: 'unsupported media type: expected a JPEG, PNG, GIF or WebP image' });
+    res.json(image);
   } catch (err) {
     console.error('image upload error', err);
     res.status(500).json({ error: 'image upload failed' });
+  } finally {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
   }
 });
 
-// Update a post’s metadata.  Accepts any subset of { title, body, imageUrl, draft }.
-app.patch('/api/posts/:id', requireAdmin, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const fields = req.body || {};
-    const meta = await readMeta();
-    meta[id] = meta[id] || {};
+// Read the version a client based its edit on, either from the `version`
+// field of the body or from an `If-Match` header (`"3"` or `W/"3"`).  Returns
+// undefined when the client didn't send one.
+function expectedVersion(req) {
+  if (Number.isInteger(req.body?.version)) return req.body.version;
+  const header = req.get('if-match');
+  const match = header && /^(?:W\/)?"?(\d+)"?$/.exec(header.trim());
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+// Accept a bare id or a filename such as `<id>.mp3`.  Returns undefined for
+// anything that isn't a plain id, so `_meta` and paths can never be targeted.
+function postIdParam(value) {
+  const id = String(value ?? '').replace(/\.[a-z0-9]+$/i, '');
+  return /^\d+$/.test(id) ? id : undefined;
+}
+
+// Check the fields of a post update.  Returns `{ schedule }` (the parsed
+// publishAt, undefined when not sent) or `{ error }`.
+function validatePostFields(fields) {
+  if (fields.slug !== undefined && (typeof fields.slug !== 'string' || !SLUG_PATTERN.test(fields.slug) || /^\d+$/.test(fields.slug))) {
+    return { error: 'slug must be lowercase letters, digits and dashes, and not only digits' };
+  }
+  const schedule = fields.publishAt !== undefined ? parsePublishAt(fields.publishAt) : undefined;
+  if (schedule?.error) return { error: schedule.error };
+  return { schedule };
+}
+
+// Apply validated update `fields` to post `id`.  With `expected` set the
+// update only goes through if the post is still at that version.  Resolves to
+// `{ entry }`, `{ conflict: true, version }`, `{ slugTaken: true }` or
+// `{ notFound: true }` when there is neither metadata nor media for `id`.
+async function updatePostFields(id, fields, schedule, { expected, actor, audit } = {}) {
+  const hasMedia = catalogObjects(await loadCatalog(), `posts/${id}.`).length > 0;
+  const result = await updateMeta((meta) => {
+    if (!Object.hasOwn(meta, id) && !hasMedia) return { notFound: true };
+    const current = meta[id]?.version || 0;
+    if (expected !== undefined && expected !== current) return { conflict: true, version: current };
+    const owner = fields.slug && slugOwner(meta, fields.slug);
+    if (owner && owner !== id) return { slugTaken: true };
+    if (!Object.hasOwn(meta, id)) meta[id] = {};
+    if (fields.slug && fields.slug !== meta[id].slug) {
+      const previous = (meta[id].previousSlugs || []).filter(s => s !== fields.slug);
+      if (meta[id].slug) previous.push(meta[id].slug);
+      meta[id].slug = fields.slug;
+      meta[id].previousSlugs = previous;
+    }
     if (typeof fields.title === 'string') meta[id].title = fields.title;
     if (typeof fields.body === 'string') meta[id].body = fields.body;
     if (typeof fields.imageUrl === 'string') meta[id].imageUrl = fields.imageUrl;
@@ -509,154 +5293,438 @@ app.patch('/api/posts/:id', requireAdmin, async (req, res) => {
     if (typeof fields.date === 'string' && fields.date) {
       meta[id].date = fields.date;
     }
-    await writeMeta(meta);
-    res.json({ ok: true, id });
+    if (schedule && schedule.value !== (meta[id].publishAt ?? null)) applySchedule(meta[id], schedule.value);
+    // The entry object is the one updateMeta() bumps, so its version is
+    // current once the write has gone through.
+    return { conflict: false, entry: meta[id] };
+  }, { author: actor, audit });
+  if (result.entry && (schedule || typeof fields.draft === 'boolean')) rescheduleSoon();
+  return result;
+}
+
+// Update a post’s metadata.  Accepts any subset of { title, body, imageUrl,
+// draft, date, slug, publishAt }.  Send the post's current `version` (or an
+// If-Match header) to have the update rejected with 409 if someone else saved
+// in the meantime.  A new slug must be unused; the old one keeps redirecting.
+// Posts with neither metadata nor media are a 404.
+app.patch('/api/posts/:id', audited('post.update'), requirePermission('posts:write'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const fields = req.body || {};
+    const { schedule, error } = validatePostFields(fields);
+    if (error) return res.status(400).json({ error });
+    const result = await updatePostFields(id, fields, schedule, {
+      expected: expectedVersion(req),
+      actor: requestActor(req),
+      audit: req.audit,
+    });
+    if (result.notFound) return res.status(404).json({ error: 'not found' });
+    if (result.conflict) {
+      return res.status(409).json({ error: 'version conflict', id, version: result.version });
+    }
+    if (result.slugTaken) return res.status(409).json({ error: 'slug already in use', slug: fields.slug });
+    const version = result.entry.version || 0;
+    res.set('ETag', `W/"${version}"`);
+    res.json({ ok: true, id, version });
   } catch (err) {
     console.error('update meta error', err);
     res.status(500).json({ error: 'update failed' });
   }
 });
 
-// Soft delete a post.  Moves `<id>.mp3` and `<id>.mp4` from `posts/` into
-// `posts/.trash/`.  The metadata entry remains intact.
-app.delete('/api/posts/:id', requireAdmin, async (req, res) => {
+// Render a Markdown body the way posts show it, without saving anything.
+// Accepts `{ body, excerptLength }` and responds with `{ bodyHtml, excerpt,
+// readingTime, refs }` (see "Markdown bodies" above).
+app.post('/api/posts/preview', requirePermission('posts:write'), (req, res) => {
+  const { body, excerptLength } = req.body || {};
+  if (typeof body !== 'string') return res.status(400).json({ error: 'body must be a string' });
+  if (excerptLength !== undefined && (!Number.isInteger(excerptLength) || excerptLength < 1)) {
+    return res.status(400).json({ error: 'excerptLength must be a positive integer' });
+  }
+  res.json(describeBody(body, { excerptLength }));
+});
+
+// List scheduled posts, soonest first.  See "Scheduled publishing" above.
+app.get('/api/scheduled', requirePermission('posts:read'), async (_req, res) => {
   try {
-    const id = req.params.id;
-    const exts = ['mp3', 'mp4'];
-    const moved = [];
-    for (const ext of exts) {
-      const srcKey = `posts/${id}.${ext}`;
-      const dstKey = `posts/.trash/${id}.${ext}`;
-      // Attempt to copy then delete; if copy fails the file likely doesn’t exist.
-      try {
-        await copyObject(srcKey, dstKey);
-        await deleteObject(srcKey);
-        moved.push(`${id}.${ext}`);
-      } catch {}
-    }
-    // If no media files were moved then this may be a pure metadata (text/image)
-    // post.  In that case remove the metadata entry entirely and return OK.
-    if (moved.length === 0) {
-      const meta = await readMeta();
-      if (meta[id]) {
-        delete meta[id];
-        await writeMeta(meta);
-        return res.json({ ok: true, removedMeta: true });
+    const posts = await loadPosts({ includeScheduled: true });
+    res.json(posts.filter(p => p.scheduled).sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt)));
+  } catch (err) {
+    console.error('list scheduled error', err);
+    res.status(500).json({ error: 'Could not list scheduled posts' });
+  }
+});
+
+// Schedule or reschedule a post.  Accepts `{ publishAt }`.  The post stops
+// being a draft; a time in the past publishes it on the next scheduler run.
+app.post('/api/posts/:id/schedule', audited('post.schedule'), requirePermission('posts:write'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const { value: publishAt, error } = parsePublishAt(req.body?.publishAt);
+    if (error || publishAt === null) return res.status(400).json({ error: error || 'publishAt required' });
+    const entry = await updateMeta((meta) => {
+      if (!Object.hasOwn(meta, id)) return undefined;
+      applySchedule(meta[id], publishAt);
+      meta[id].draft = false;
+      return meta[id];
+    }, { author: requestActor(req), audit: req.audit });
+    if (!entry) return res.status(404).json({ error: 'not found' });
+    rescheduleSoon();
+    res.json({ ok: true, id, publishAt, version: entry.version });
+  } catch (err) {
+    console.error('schedule error', err);
+    res.status(500).json({ error: 'schedule failed' });
+  }
+});
+
+// Cancel a pending schedule.  The post goes back to being a draft.
+app.delete('/api/posts/:id/schedule', audited('post.unschedule'), requirePermission('posts:write'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const entry = await updateMeta((meta) => {
+      if (!Object.hasOwn(meta, id) || !isScheduled(meta[id])) return undefined;
+      applySchedule(meta[id], null);
+      meta[id].draft = true;
+      return meta[id];
+    }, { author: requestActor(req), audit: req.audit });
+    if (!entry) return res.status(404).json({ error: 'not scheduled' });
+    rescheduleSoon();
+    res.json({ ok: true, id, draft: true, version: entry.version });
+  } catch (err) {
+    console.error('unschedule error', err);
+    res.status(500).json({ error: 'unschedule failed' });
+  }
+});
+
+// List a post's revisions, newest first.  Each entry names the fields that
+// changed compared with the revision before it; fetch a single revision for
+// the full snapshot.
+app.get('/api/posts/:id/revisions', requirePermission('posts:read'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const revisions = await readRevisions(id);
+    const list = revisions.map((r, i) => {
+      const { data, ...summary } = r;
+      const previous = i > 0 ? revisions[i - 1] : { data: {} };
+      return { ...summary, changed: Object.keys(diffRevisions(previous, r)) };
+    });
+    res.json(list.reverse());
+  } catch (err) {
+    console.error('list revisions error', err);
+    res.status(500).json({ error: 'Could not list revisions' });
+  }
+});
+
+// Diff two revisions: `?from=<rev>&to=<rev>`.  `to` defaults to the latest
+// revision and `from` to the one before `to`.
+app.get('/api/posts/:id/revisions/diff', requirePermission('posts:read'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const revisions = await readRevisions(id);
+    if (!revisions.length) return res.status(404).json({ error: 'no revisions' });
+    const toRev = req.query.to !== undefined ? parseInt(req.query.to, 10) : revisions[revisions.length - 1].rev;
+    const toIndex = revisions.findIndex(r => r.rev === toRev);
+    if (toIndex === -1) return res.status(404).json({ error: `revision ${req.query.to} not found` });
+    const fromRev = req.query.from !== undefined ? parseInt(req.query.from, 10) : revisions[toIndex - 1]?.rev;
+    const from = revisions.find(r => r.rev === fromRev) || { rev: null, data: {} };
+    if (req.query.from !== undefined && from.rev === null) return res.status(404).json({ error: `revision ${req.query.from} not found` });
+    const to = revisions[toIndex];
+    res.json({ id, from: from.rev, to: to.rev, changes: diffRevisions(from, to) });
+  } catch (err) {
+    console.error('diff revisions error', err);
+    res.status(500).json({ error: 'Could not diff revisions' });
+  }
+});
+
+// Show a single revision including its full snapshot.
+app.get('/api/posts/:id/revisions/:rev', requirePermission('posts:read'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const revisions = await readRevisions(id);
+    const revision = revisions.find(r => r.rev === parseInt(req.params.rev, 10));
+    if (!revision) return res.status(404).json({ error: 'revision not found' });
+    res.json(revision);
+  } catch (err) {
+    console.error('get revision error', err);
+    res.status(500).json({ error: 'Could not load revision' });
+  }
+});
+
+// Restore a post's content fields (title, body, imageUrl, draft, date) from an
+// earlier revision.  The restore is itself recorded as a new revision.  If the
+// metadata entry no longer exists it is recreated from the snapshot.  Honours
+// `version` / If-Match like PATCH.
+app.post('/api/posts/:id/revisions/:rev/restore', audited('post.revision-restore'), requirePermission('posts:write'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const revisions = await readRevisions(id);
+    const revision = revisions.find(r => r.rev === parseInt(req.params.rev, 10));
+    if (!revision) return res.status(404).json({ error: 'revision not found' });
+    if (!revision.data) return res.status(400).json({ error: 'cannot restore a deleted revision' });
+    const expected = expectedVersion(req);
+    const result = await updateMeta((meta) => {
+      const current = Object.hasOwn(meta, id) ? meta[id].version || 0 : 0;
+      if (expected !== undefined && expected !== current) return { conflict: true, version: current };
+      if (!Object.hasOwn(meta, id)) {
+        const { version, ...data } = revision.data;
+        meta[id] = JSON.parse(JSON.stringify(data));
+        if (meta[id].slug && slugOwner(meta, meta[id].slug) !== id) meta[id].slug = uniqueSlug(meta, meta[id].title, id);
+      } else {
+        REVISION_FIELDS.forEach((field) => {
+          if (revision.data[field] === undefined) delete meta[id][field];
+          else meta[id][field] = revision.data[field];
+        });
       }
-      return res.status(404).json({ error: 'not found' });
+      return { conflict: false, entry: meta[id] };
+    }, { author: requestActor(req), audit: req.audit });
+    if (result.conflict) {
+      return res.status(409).json({ error: 'version conflict', id, version: result.version });
+    }
+    rescheduleSoon();
+    res.json({ ok: true, id, restoredFrom: revision.rev, version: result.entry.version || 0 });
+  } catch (err) {
+    console.error('restore revision error', err);
+    res.status(500).json({ error: 'restore revision failed' });
+  }
+});
+
+// Attach a caption track to an audio or video post (see "Captions" above).
+// Multipart with the WebVTT or SRT file as `captions` and the fields `lang`
+// (a language tag such as `en` or `pt-BR`) and an optional `label`.  A track
+// in the same language is replaced.  Responds 201 with the track and its
+// number of cues.
+app.post('/api/posts/:id/captions', audited('post.captions'), requirePermission('posts:write'), uploadFile('captions'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const { lang, label } = req.body || {};
+    if (typeof lang !== 'string' || !CAPTION_LANG_PATTERN.test(lang)) {
+      return res.status(400).json({ error: 'lang must be a language tag such as en or pt-BR' });
     }
-    res.json({ ok: true, moved });
+    if (label !== undefined && (typeof label !== 'string' || label.length > 100)) {
+      return res.status(400).json({ error: 'label must be at most 100 characters' });
+    }
+    const [audio, video] = await Promise.all([headObject(`posts/${id}.mp3`), headObject(`posts/${id}.mp4`)]);
+    if (!audio && !video) return res.status(404).json({ error: 'no audio or video post with that id' });
+    const { value: captions, error } = readCaptionsFile(req.file.path);
+    if (error) return res.status(422).json({ error: `invalid captions: ${error}` });
+    const key = captionsKey(id, lang);
+    await putObject(key, convertCaptions(captions, 'vtt'), 'text/vtt; charset=utf-8');
+    req.audit.keys.push({ from: null, to: key });
+    await updateMeta((meta) => {
+      meta[id] = meta[id] || {};
+      meta[id].captions = { ...meta[id].captions, [lang]: { label: label?.trim() || lang } };
+    }, { author: requestActor(req), audit: req.audit });
+    const track = (await postRecord(id)).captions.find(t => t.lang === lang);
+    res.status(201).json({ ok: true, id, ...track, format: captions.format, cues: captions.cues.length });
+  } catch (err) {
+    console.error('captions upload error', err);
+    res.status(500).json({ error: 'captions upload failed' });
+  } finally {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
+  }
+});
+
+// Download a caption track as WebVTT or, with `?format=srt`, as SRT.  Tracks
+// of drafts, scheduled and trashed posts need the same permissions as their
+// media.
+app.get('/api/posts/:id/captions/:lang', async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    const { lang } = req.params;
+    const format = req.query.format || 'vtt';
+    if (!Object.hasOwn(CAPTION_FORMATS, format)) return res.status(400).json({ error: 'format must be vtt or srt' });
+    if (!id || !CAPTION_LANG_PATTERN.test(lang)) return res.status(404).json({ error: 'not found' });
+    const live = captionsKey(id, lang);
+    const key = (await headObject(live)) ? live : `${TRASH_PREFIX}${live.slice('posts/'.length)}`;
+    const permission = await mediaPermission(key);
+    if (permission === null || (permission && !can(req, permission))) return res.status(404).json({ error: 'not found' });
+    const parsed = parseCaptions(await getObject(key) || '');
+    if (parsed.error) return res.status(404).json({ error: 'not found' });
+    res.set({
+      'Content-Type': `${CAPTION_FORMATS[format]}; charset=utf-8`,
+      'Content-Disposition': `inline; filename="${id}.${lang}.${format}"`,
+      'Cache-Control': permission ? 'private, no-cache' : `public, max-age=${MEDIA_MAX_AGE}`,
+    });
+    res.send(convertCaptions(parsed.value, format));
+  } catch (err) {
+    console.error('captions download error', err);
+    res.status(500).json({ error: 'Could not read captions' });
+  }
+});
+
+// Remove a caption track from a post.
+app.delete('/api/posts/:id/captions/:lang', audited('post.captions-delete'), requirePermission('posts:write'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    const { lang } = req.params;
+    if (!id || !CAPTION_LANG_PATTERN.test(lang)) return res.status(404).json({ error: 'not found' });
+    const key = captionsKey(id, lang);
+    if (!(await headObject(key))) return res.status(404).json({ error: 'not found' });
+    await deleteObject(key);
+    req.audit.keys.push({ from: key, to: null });
+    await updateMeta((meta) => {
+      if (!meta[id]?.captions?.[lang]) return;
+      delete meta[id].captions[lang];
+      if (!Object.keys(meta[id].captions).length) delete meta[id].captions;
+    }, { author: requestActor(req), audit: req.audit });
+    res.json({ ok: true, id, lang });
+  } catch (err) {
+    console.error('captions delete error', err);
+    res.status(500).json({ error: 'captions delete failed' });
+  }
+});
+
+// Convert a caption file between WebVTT and SRT without storing it.
+// Multipart with the file as `captions`; `?to=` is `vtt` or `srt`
+// (default: the other format).  Responds with the converted file, or 422
+// with the line that failed to parse.
+app.post('/api/captions/convert', requirePermission('posts:write'), uploadFile('captions'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+    const { value: captions, error } = readCaptionsFile(req.file.path);
+    if (error) return res.status(422).json({ error: `invalid captions: ${error}` });
+    const to = req.query.to || (captions.format === 'vtt' ? 'srt' : 'vtt');
+    if (!Object.hasOwn(CAPTION_FORMATS, to)) return res.status(400).json({ error: 'to must be vtt or srt' });
+    const name = path.basename(req.file.originalname || 'captions').replace(/\.(?:vtt|srt)$/i, '').replace(/[^\w.-]/g, '_');
+    res.set({
+      'Content-Type': `${CAPTION_FORMATS[to]}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="${name}.${to}"`,
+    });
+    res.send(convertCaptions(captions, to));
+  } catch (err) {
+    console.error('captions convert error', err);
+    res.status(500).json({ error: 'captions convert failed' });
+  } finally {
+    if (req.file) fs.rmSync(req.file.path, { force: true });
+  }
+});
+
+// Compute a post's waveform peaks or poster frame now (see "Waveforms and
+// posters" above), replacing the stored one.  Responds with the new URL, or
+// 404 when the post has no audio (peaks) or video (poster).
+app.post('/api/posts/:id/:kind(peaks|poster)', audited('post.derive'), requirePermission('posts:write'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const { kind } = req.params;
+    const key = await regenerateDerivative(id, kind, req.audit);
+    if (!key) return res.status(404).json({ error: `no ${kind === 'peaks' ? 'audio' : 'video'} for that post` });
+    res.json({ ok: true, id, [`${kind}Url`]: absoluteUrl(key) });
+  } catch (err) {
+    console.error(`${req.params.kind} error`, err);
+    res.status(500).json({ error: `${req.params.kind} generation failed` });
+  }
+});
+
+// Soft delete a post of any type (see "Trash" above).  Responds with
+// `{ ok: true, id, trashedAt, moved }` where `moved` lists the media files
+// moved into `posts/.trash/`.
+app.delete('/api/posts/:id', audited('post.delete'), requirePermission('posts:delete'), async (req, res) => {
+  try {
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const result = await trashPost(id, { actor: requestActor(req), audit: req.audit });
+    if (!result) return res.status(404).json({ error: 'not found' });
+    res.json({ ok: true, ...result });
   } catch (err) {
     console.error('delete error', err);
     res.status(500).json({ error: 'delete failed' });
   }
 });
 
-// Restore a post from the trash.  Moves files back from `.trash/` to `posts/`.
-app.post('/api/posts/:id/restore', requireAdmin, async (req, res) => {
+// Restore a post from the trash.
+app.post('/api/posts/:id/restore', audited('post.restore'), requirePermission('posts:delete'), async (req, res) => {
   try {
-    const id = req.params.id;
-    const exts = ['mp3', 'mp4'];
-    const restored = [];
-    for (const ext of exts) {
-      const srcKey = `posts/.trash/${id}.${ext}`;
-      const dstKey = `posts/${id}.${ext}`;
-      try {
-        await copyObject(srcKey, dstKey);
-        await deleteObject(srcKey);
-        restored.push(`${id}.${ext}`);
-      } catch {}
-    }
-    if (restored.length === 0) return res.status(404).json({ error: 'not found in trash' });
-    res.json({ ok: true, restored });
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const result = await restorePost(id, { actor: requestActor(req), audit: req.audit });
+    if (!result) return res.status(404).json({ error: 'not found in trash' });
+    res.json({ ok: true, ...result });
   } catch (err) {
     console.error('restore error', err);
     res.status(500).json({ error: 'restore failed' });
   }
 });
 
-// Permanently delete a post.  Removes files from `.trash/` and deletes the
-// corresponding metadata entry.  Only admins can hard delete.
-app.delete('/api/trash/:id', requireAdmin, async (req, res) => {
+// Permanently delete a trashed post.  Removes its files from `.trash/`, its
+// metadata entry and its revision history.  Only admins can hard delete.
+app.delete('/api/trash/:id', audited('post.purge'), requirePermission('trash:purge'), async (req, res) => {
   try {
-    const id = req.params.id;
-    const exts = ['mp3', 'mp4'];
-    const removed = [];
-    for (const ext of exts) {
-      const key = `posts/.trash/${id}.${ext}`;
-      try {
-        await deleteObject(key);
-        removed.push(`${id}.${ext}`);
-      } catch {}
-    }
-    const meta = await readMeta();
-    if (meta[id]) { delete meta[id]; await writeMeta(meta); }
-    if (removed.length === 0) return res.status(404).json({ error: 'not found in trash' });
-    res.json({ ok: true, removed });
+    const id = postIdParam(req.params.id);
+    if (!id) return res.status(400).json({ error: 'invalid id' });
+    const result = await purgePost(id, { actor: requestActor(req), audit: req.audit });
+    if (!result) return res.status(404).json({ error: 'not found in trash' });
+    res.json({ ok: true, ...result });
   } catch (err) {
     console.error('hard delete error', err);
     res.status(500).json({ error: 'hard delete failed' });
   }
 });
 
-// Bulk soft delete: accepts `{ ids: [] }` and moves each id to the trash.
-app.post('/api/posts/bulk-delete', requireAdmin, async (req, res) => {
+// Empty the trash.  Accepts `{ expiredOnly, dryRun }`: `expiredOnly` limits
+// it to posts past their retention and `dryRun` only lists what would be
+// removed.  Responds with `{ ok: true, dryRun, count, items }`.
+app.post('/api/trash/empty', audited('trash.empty'), requirePermission('trash:purge'), async (req, res) => {
   try {
-    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
-    if (!ids.length) return res.status(400).json({ error: 'ids required' });
-    const results = [];
-    // Load metadata once; we'll remove entries for pure metadata posts.
-    const meta = await readMeta();
-    let metaChanged = false;
-    for (const id of ids) {
-      const exts = ['mp3', 'mp4'];
-      const moved = [];
-      for (const ext of exts) {
-        const srcKey = `posts/${id}.${ext}`;
-        const dstKey = `posts/.trash/${id}.${ext}`;
-        try {
-          await copyObject(srcKey, dstKey);
-          await deleteObject(srcKey);
-          moved.push(`${id}.${ext}`);
-        } catch {}
-      }
-      let removedMeta = false;
-      if (moved.length === 0 && meta[id]) {
-        delete meta[id];
-        metaChanged = true;
-        removedMeta = true;
-      }
-      results.push({ id, moved, removedMeta });
-    }
-    if (metaChanged) await writeMeta(meta);
-    res.json({ ok: true, results });
+    const dryRun = req.body?.dryRun === true || /^(true|1)$/i.test(req.query.dryRun || '');
+    const expiredOnly = req.body?.expiredOnly === true;
+    const items = await emptyTrash({ expiredOnly, dryRun, actor: requestActor(req), audit: req.audit });
+    res.json({ ok: true, dryRun, count: items.length, items });
+  } catch (err) {
+    console.error('empty trash error', err);
+    res.status(500).json({ error: 'empty trash failed' });
+  }
+});
+
+// Apply one action to many posts (see "Bulk operations" above).  Accepts
+// `{ action, ids | filter, patch, render, dryRun, stopOnError }` and
+// responds with a summary and one result per post.
+app.post('/api/posts/bulk', audited('post.bulk'), requirePermission('posts:read'), async (req, res) => {
+  try {
+    const { value, error } = await parseBulkRequest(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!can(req, value.permission)) return res.status(403).json({ error: 'forbidden', permission: value.permission });
+    const { items, ...rest } = value;
+    const options = { ...rest, actor: requestActor(req), audit: req.audit };
+    const results = await runBulk(items, item => bulkItem(value.action, item, options), { stopOnError: value.stopOnError });
+    res.json(bulkSummary(value.action, value.dryRun, results));
+  } catch (err) {
+    console.error('bulk error', err);
+    res.status(500).json({ error: 'bulk operation failed' });
+  }
+});
+
+// Bulk soft delete: accepts `{ ids: [] }` and moves each post to the trash.
+// Shorthand for the `trash` bulk action.
+app.post('/api/posts/bulk-delete', audited('post.bulk-delete'), requirePermission('posts:delete'), async (req, res) => {
+  try {
+    const { value, error } = await parseBulkRequest({ action: 'trash', ids: req.body?.ids });
+    if (error) return res.status(400).json({ error: error === 'send either ids or filter' ? 'ids required' : error });
+    const results = await runBulk(value.items, item => bulkItem('trash', item, { actor: requestActor(req), audit: req.audit }));
+    res.json(bulkSummary('trash', false, results));
   } catch (err) {
     console.error('bulk delete error', err);
     res.status(500).json({ error: 'bulk delete failed' });
   }
 });
 
-// Bulk restore: accepts `{ ids: [] }` and restores each id from the trash.
-app.post('/api/trash/bulk-restore', requireAdmin, async (req, res) => {
+// Bulk restore: accepts `{ ids: [] }` and restores each post from the trash.
+// Shorthand for the `restore` bulk action.
+app.post('/api/trash/bulk-restore', audited('post.bulk-restore'), requirePermission('posts:delete'), async (req, res) => {
   try {
-    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
-    if (!ids.length) return res.status(400).json({ error: 'ids required' });
-    const results = [];
-    for (const id of ids) {
-      const exts = ['mp3', 'mp4'];
-      const restored = [];
-      for (const ext of exts) {
-        const srcKey = `posts/.trash/${id}.${ext}`;
-        const dstKey = `posts/${id}.${ext}`;
-        try {
-          await copyObject(srcKey, dstKey);
-          await deleteObject(srcKey);
-          restored.push(`${id}.${ext}`);
-        } catch {}
-      }
-      results.push({ id, restored });
-    }
-    res.json({ ok: true, results });
+    const { value, error } = await parseBulkRequest({ action: 'restore', ids: req.body?.ids });
+    if (error) return res.status(400).json({ error: error === 'send either ids or filter' ? 'ids required' : error });
+    const results = await runBulk(value.items, item => bulkItem('restore', item, { actor: requestActor(req), audit: req.audit }));
+    res.json(bulkSummary('restore', false, results));
   } catch (err) {
     console.error('bulk restore error', err);
     res.status(500).json({ error: 'bulk restore failed' });
@@ -666,4 +5734,15 @@ app.post('/api/trash/bulk-restore', requireAdmin, async (req, res) => {
 // Start the server.
 app.listen(PORT, () => {
   console.log(`The Gargantuan backend v1.6.0 listening on port ${PORT}`);
+  runScheduler();
+  runTrashPurge();
+  runCatalogReconcile();
+  bootstrapAdmin().catch(err => console.error('bootstrap admin error', err));
+});
+
+// Write out buffered audit entries before shutting down.
+process.once('SIGTERM', () => {
+  flushAudit()
+    .catch(err => console.error('audit log error', err))
+    .finally(() => process.exit(0));
 });
\ No newline at end of file
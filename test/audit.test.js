@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const ID = '1700000000000';
+const OLD = JSON.stringify({ at: '2024-01-01T10:00:00.000Z', actor: 'alice', action: 'post.update', ids: [ID] });
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': { [ID]: { title: 'Hello', body: '', imageUrl: '', draft: false, version: 1 } },
+      'audit/2024-01-01/earlier-1.jsonl': `${OLD}\n{"at": "2024-01-01T11:00\n`,
+    },
+  });
+  admin = await server.login();
+});
+
+after(() => server.stop());
+
+test('a change is logged with who made it and what changed', async () => {
+  await server.request(`/api/posts/${ID}`, { method: 'PATCH', token: admin, json: { title: 'Renamed' } });
+  const res = await server.request(`/api/audit?postId=${ID}&action=post.update&limit=1`, { token: admin });
+  assert.equal(res.status, 200);
+  const [entry] = res.body;
+  assert.equal(entry.actor, 'admin');
+  assert.equal(entry.via, 'session');
+  assert.deepEqual(entry.ids, [ID]);
+  assert.equal(entry.changes[0].before.title, 'Hello');
+  assert.equal(entry.changes[0].after.title, 'Renamed');
+  assert.deepEqual(entry.result, { status: 200, ok: true });
+});
+
+test('refused attempts are logged too', async () => {
+  await server.request(`/api/posts/${ID}`, { method: 'PATCH', json: { title: 'Anonymous' } });
+  const [entry] = (await server.request('/api/audit?actor=anonymous', { token: admin })).body;
+  assert.equal(entry.action, 'post.update');
+  assert.deepEqual(entry.result, { status: 401, ok: false, error: 'unauthorized' });
+});
+
+test('queries are limited to the time range and skip damaged lines', async () => {
+  const res = await server.request('/api/audit?from=2024-01-01&to=2024-01-02', { token: admin });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, [JSON.parse(OLD)]);
+  assert.equal((await server.request('/api/audit?from=yesterday', { token: admin })).status, 400);
+  assert.equal((await server.request('/api/audit?limit=0', { token: admin })).status, 400);
+});
+
+test('the log needs audit:read', async () => {
+  assert.equal((await server.request('/api/audit')).status, 401);
+});
+
+test('buffered entries are written out on shutdown', async () => {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gargantuan-audit-'));
+  try {
+    const other = await startServer({ env: { STORAGE_DIR: storageDir } });
+    await other.request('/api/create-post', { method: 'POST', admin: true, json: { title: 'Last words' } });
+    await other.stop();
+    const day = new Date().toISOString().slice(0, 10);
+    const files = fs.readdirSync(path.join(storageDir, 'audit', day));
+    assert.equal(files.length, 1);
+    assert.match(files[0], /-1\.jsonl$/);
+    const lines = fs.readFileSync(path.join(storageDir, 'audit', day, files[0]), 'utf-8').trim().split('\n');
+    assert.deepEqual(lines.map(line => JSON.parse(line).action), ['post.create']);
+  } finally {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  }
+});
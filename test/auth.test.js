@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { ADMIN, startServer } from './helpers.js';
+
+const ADMIN_TOKEN = 'legacy-shared-secret';
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer({ env: { ADMIN_TOKEN } });
+  admin = await server.login();
+});
+
+after(() => server.stop());
+
+async function createUser(username, role) {
+  const res = await server.request('/api/users', { method: 'POST', token: admin, json: { username, password: 'long enough', role } });
+  assert.equal(res.status, 201);
+  return server.login(username, 'long enough');
+}
+
+async function createKey(token, scopes) {
+  const res = await server.request('/api/keys', { method: 'POST', token, json: { name: 'ci', scopes } });
+  assert.equal(res.status, 201);
+  return res.body.key;
+}
+
+test('a wrong password is refused', async () => {
+  const res = await server.request('/api/auth/login', { method: 'POST', json: { username: ADMIN.username, password: 'nope' } });
+  assert.equal(res.status, 401);
+});
+
+test('a session describes its user and ends on logout', async () => {
+  const token = await server.login();
+  const me = await server.request('/api/auth/me', { token });
+  assert.equal(me.body.type, 'session');
+  assert.equal(me.body.name, ADMIN.username);
+  assert.equal(me.body.role, 'admin');
+  const out = await server.request('/api/auth/logout', { method: 'POST', token });
+  assert.equal(out.status, 200);
+  const ended = await server.request('/api/auth/me', { token });
+  assert.equal(ended.body.type, 'anonymous');
+});
+
+test('editors cannot manage users', async () => {
+  const editor = await createUser('editor1', 'editor');
+  const res = await server.request('/api/users', { token: editor });
+  assert.equal(res.status, 403);
+});
+
+test('a key is limited to its owner\'s current role', async () => {
+  const owner = await createUser('owner1', 'admin');
+  const key = await createKey(owner, ['posts:read', 'users:manage']);
+  assert.equal((await server.request('/api/users', { token: key })).status, 200);
+
+  const demoted = await server.request('/api/users/owner1', { method: 'PATCH', token: admin, json: { role: 'editor' } });
+  assert.equal(demoted.status, 200);
+  assert.equal((await server.request('/api/users', { token: key })).status, 403);
+  const me = await server.request('/api/auth/me', { token: key });
+  assert.deepEqual(me.body.permissions, ['posts:read']);
+});
+
+test('a key stops working when its owner is disabled or deleted', async () => {
+  const owner = await createUser('owner2', 'admin');
+  const key = await createKey(owner, ['posts:read']);
+  assert.equal((await server.request('/api/auth/me', { token: key })).body.type, 'key');
+
+  await server.request('/api/users/owner2', { method: 'PATCH', token: admin, json: { disabled: true } });
+  assert.equal((await server.request('/api/auth/me', { token: key })).body.type, 'anonymous');
+
+  await server.request('/api/users/owner2', { method: 'PATCH', token: admin, json: { disabled: false } });
+  assert.equal((await server.request('/api/auth/me', { token: key })).body.type, 'key');
+
+  const removed = await server.request('/api/users/owner2', { method: 'DELETE', token: admin });
+  assert.equal(removed.status, 200);
+  assert.equal((await server.request('/api/auth/me', { token: key })).body.type, 'anonymous');
+});
+
+test('keys created with ADMIN_TOKEN work while ADMIN_TOKEN is set', async () => {
+  const res = await server.request('/api/keys', {
+    method: 'POST',
+    headers: { 'x-admin-token': ADMIN_TOKEN },
+    json: { name: 'legacy', scopes: ['users:manage'] },
+  });
+  assert.equal(res.status, 201);
+  assert.equal((await server.request('/api/users', { token: res.body.key })).status, 200);
+});
+
+test('only user managers create keys, and only with known scopes', async () => {
+  const editor = await server.login('editor1', 'long enough');
+  const res = await server.request('/api/keys', { method: 'POST', token: editor, json: { name: 'x', scopes: ['posts:read'] } });
+  assert.equal(res.status, 403);
+  const own = await server.request('/api/keys', { method: 'POST', token: admin, json: { name: 'x', scopes: ['nonsense'] } });
+  assert.equal(own.status, 400);
+});
+
+test('usernames are only looked up among real users', async () => {
+  for (const username of ['constructor', 'toString', '__proto__']) {
+    assert.equal((await server.request(`/api/users/${username}`, { method: 'PATCH', token: admin, json: { role: 'admin' } })).status, 404, username);
+    assert.equal((await server.request(`/api/users/${username}`, { method: 'DELETE', token: admin })).status, 404, username);
+    const login = await server.request('/api/auth/login', { method: 'POST', json: { username, password: 'long enough' } });
+    assert.equal(login.status, 401, username);
+  }
+  assert.equal((await server.request('/api/keys/constructor', { method: 'DELETE', token: admin })).status, 404);
+  const created = await server.request('/api/users', { method: 'POST', token: admin, json: { username: 'constructor', password: 'long enough' } });
+  assert.equal(created.status, 201);
+  assert.ok(await server.login('constructor', 'long enough'));
+});
+
+test('drafts need posts:read', async () => {
+  assert.equal((await server.request('/api/drafts')).status, 401);
+  assert.equal((await server.request('/api/drafts', { token: admin })).status, 200);
+});
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { after, before, test } from 'node:test';
+import { startServer, tarArchive } from './helpers.js';
+
+const ID = '1700000000000';
+const AUDIO = 'pretend this is an mp3';
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': { [ID]: { title: 'Kept', slug: 'kept', draft: false, version: 1 } },
+      [`posts/${ID}.mp3`]: AUDIO,
+    },
+  });
+  token = await server.login();
+});
+
+after(() => server.stop());
+
+function importArchive(body, query = '', target = server, auth = token) {
+  return target.request(`/api/backup/import${query}`, {
+    method: 'POST',
+    token: auth,
+    headers: { 'content-type': 'application/x-tar' },
+    body,
+  });
+}
+
+// An archive of `entries` with a manifest describing `listed` (default: the
+// entries themselves).
+function archiveWithManifest(entries, listed = entries) {
+  const manifest = {
+    format: 'the-gargantuan-backup',
+    version: 1,
+    createdAt: new Date().toISOString(),
+    objects: listed.map(([key, contents]) => ({
+      key,
+      size: Buffer.byteLength(contents),
+      sha256: crypto.createHash('sha256').update(contents).digest('hex'),
+    })),
+  };
+  return tarArchive([...entries, ['manifest.json', JSON.stringify(manifest)]]);
+}
+
+async function exportArchive() {
+  const res = await server.request('/api/backup/export', { token });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/x-tar');
+  return res.buffer;
+}
+
+test('re-importing an export changes nothing', async () => {
+  const res = await importArchive(await exportArchive(), '?dryRun=true');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.dryRun, true);
+  assert.deepEqual(res.body.added, []);
+  assert.deepEqual(res.body.skipped, [ID]);
+  assert.equal(res.body.objects.write, 0);
+});
+
+test('a conflicting post can be planned under a new id', async () => {
+  const res = await importArchive(await exportArchive(), '?dryRun=true&onConflict=rename');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.renamed.length, 1);
+  assert.equal(res.body.renamed[0].from, ID);
+  assert.notEqual(res.body.renamed[0].to, ID);
+  const posts = await server.request('/api/posts');
+  assert.deepEqual(posts.body.map(p => p.id), [ID]);
+});
+
+test('an export restores into an empty site', async () => {
+  const archive = await exportArchive();
+  const target = await startServer();
+  try {
+    const res = await importArchive(archive, '', target, await target.login());
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.added, [ID]);
+    const posts = await target.request('/api/posts');
+    assert.deepEqual(posts.body.map(p => [p.id, p.title]), [[ID, 'Kept']]);
+    const media = await target.request(`/uploads/posts/${ID}.mp3`);
+    assert.equal(media.text, AUDIO);
+  } finally {
+    await target.stop();
+  }
+});
+
+test('entries outside the backed-up prefixes are refused', async () => {
+  for (const name of ['../evil', 'posts/../x', 'auth/store.json']) {
+    const res = await importArchive(archiveWithManifest([[name, 'x']]));
+    assert.equal(res.status, 400, name);
+    assert.match(res.body.error, /unexpected entry/);
+  }
+});
+
+test('an archive that does not match its manifest is refused', async () => {
+  const res = await importArchive(archiveWithManifest(
+    [[`posts/${ID}.mp3`, 'tampered'], ['images/extra.png', 'x']],
+    [[`posts/${ID}.mp3`, 'original'], ['images/gone.png', 'x']],
+  ));
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.problems, [
+    { key: `posts/${ID}.mp3`, problem: 'checksum mismatch' },
+    { key: 'images/gone.png', problem: 'missing' },
+    { key: 'images/extra.png', problem: 'not in manifest' },
+  ]);
+  const media = await server.request(`/uploads/posts/${ID}.mp3`);
+  assert.equal(media.text, AUDIO);
+});
+
+test('anything that is not a backup is refused', async () => {
+  const garbage = await importArchive(Buffer.alloc(1024, 'x'));
+  assert.equal(garbage.status, 400);
+  const noManifest = await importArchive(tarArchive([[`posts/${ID}.mp3`, 'x']]));
+  assert.equal(noManifest.status, 400);
+  assert.match(noManifest.body.error, /no manifest/);
+  const anonymous = await server.request('/api/backup/import', { method: 'POST', body: tarArchive([]) });
+  assert.equal(anonymous.status, 401);
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const LIVE = '1700000000000';
+const DRAFT_A = '1700000000001';
+const DRAFT_B = '1700000000002';
+const OLD = '1700000000003';
+
+let server;
+let editor;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [LIVE]: { title: 'Live', body: 'garden', imageUrl: '', draft: false },
+        [DRAFT_A]: { title: 'Draft A', body: 'garden', imageUrl: '', draft: true },
+        [DRAFT_B]: { title: 'Draft B', body: 'kitchen', imageUrl: '', draft: true },
+        [OLD]: { title: 'Old', body: '', imageUrl: '', draft: false, trashedAt: new Date().toISOString() },
+      },
+    },
+  });
+  const admin = await server.login();
+  await server.request('/api/users', { method: 'POST', token: admin, json: { username: 'ed', password: 'long enough', role: 'editor' } });
+  editor = await server.login('ed', 'long enough');
+});
+
+after(() => server.stop());
+
+function bulk(json, token = editor) {
+  return server.request('/api/posts/bulk', { method: 'POST', token, json });
+}
+
+test('a dry run reports the plan and changes nothing', async () => {
+  const res = await bulk({ action: 'publish', ids: [DRAFT_A, DRAFT_B, LIVE], dryRun: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.planned, 2);
+  assert.equal(res.body.unchanged, 1);
+  assert.deepEqual(res.body.results[0].changes, { draft: { from: true, to: false } });
+  assert.equal(server.storedMeta()[DRAFT_A].draft, true);
+});
+
+test('a filter picks posts the way the listing does', async () => {
+  const res = await bulk({ action: 'publish', filter: { q: 'garden', draft: true } });
+  assert.deepEqual(res.body.results.map(r => [r.id, r.status]), [[DRAFT_A, 'done']]);
+  assert.equal(server.storedMeta()[DRAFT_A].draft, false);
+  assert.equal(server.storedMeta()[DRAFT_B].draft, true);
+});
+
+test('every item reports its own outcome', async () => {
+  const res = await bulk({ action: 'patch', ids: [LIVE, '4242', 'constructor'], patch: { title: 'Renamed' } });
+  assert.equal(res.body.ok, false);
+  assert.deepEqual(res.body.results.map(r => [r.id, r.status, r.error]), [
+    [LIVE, 'done', undefined],
+    ['4242', 'failed', 'not found'],
+    ['constructor', 'failed', 'invalid id'],
+  ]);
+  assert.equal(server.storedMeta()[LIVE].title, 'Renamed');
+  assert.ok(!Object.hasOwn(server.storedMeta(), 'constructor'));
+});
+
+test('stopOnError aborts the items after a failure', async () => {
+  const res = await bulk({ action: 'trash', ids: ['4242', DRAFT_B], stopOnError: true });
+  assert.deepEqual(res.body.results.map(r => r.status), ['failed', 'aborted']);
+  assert.equal(server.storedMeta()[DRAFT_B].trashedAt, undefined);
+});
+
+test('restore and purge pick from the trash', async () => {
+  const restored = await bulk({ action: 'restore', ids: [OLD, LIVE] });
+  assert.deepEqual(restored.body.results.map(r => [r.status, r.error]), [['done', undefined], ['failed', 'not in trash']]);
+  assert.equal(server.storedMeta()[OLD].trashedAt, undefined);
+});
+
+test('bad requests and missing permissions are refused', async () => {
+  for (const json of [
+    { action: 'explode', ids: [LIVE] },
+    { action: 'publish' },
+    { action: 'publish', ids: [LIVE], filter: {} },
+    { action: 'patch', ids: [LIVE], patch: { slug: 'x' } },
+    { action: 'publish', filter: { limit: 5 } },
+  ]) {
+    assert.equal((await bulk(json)).status, 400, JSON.stringify(json));
+  }
+  const purge = await bulk({ action: 'purge', ids: [OLD] });
+  assert.equal(purge.status, 403);
+  assert.equal(purge.body.permission, 'trash:purge');
+  assert.equal((await bulk({ action: 'publish', ids: [LIVE] }, null)).status, 401);
+});
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { multipart, startServer } from './helpers.js';
+
+const ID = '1700000000000';
+
+const SRT = [
+  '1',
+  '00:00:01,000 --> 00:00:02,500',
+  '<font color="red">Hello</font> & <i>welcome</i>',
+  '',
+  '2',
+  '00:00:03,000 --> 00:00:04,000',
+  'Second line',
+  '',
+].join('\r\n');
+
+const VTT = [
+  'WEBVTT',
+  '',
+  '00:00:01.000 --> 00:00:02.500 align:start',
+  '<v Host>Hello &amp; <b>welcome</b>',
+  '',
+].join('\n');
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': { [ID]: { title: 'Episode', slug: 'episode', draft: false, version: 1 } },
+      [`posts/${ID}.mp3`]: 'not really audio',
+    },
+  });
+  token = await server.login();
+});
+
+after(() => server.stop());
+
+function convert(name, contents, query = '') {
+  return server.request(`/api/captions/convert${query}`, { method: 'POST', token, body: multipart('captions', name, contents) });
+}
+
+test('SRT converts to WebVTT', async () => {
+  const res = await convert('talk.srt', SRT);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/vtt/);
+  assert.match(res.headers.get('content-disposition'), /filename="talk\.vtt"/);
+  assert.equal(res.text, [
+    'WEBVTT',
+    '',
+    '00:00:01.000 --> 00:00:02.500',
+    'Hello &amp; <i>welcome</i>',
+    '',
+    '00:00:03.000 --> 00:00:04.000',
+    'Second line',
+    '',
+  ].join('\n'));
+});
+
+test('WebVTT converts to SRT', async () => {
+  const res = await convert('talk.vtt', VTT);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^application\/x-subrip/);
+  assert.equal(res.text, '1\n00:00:01,000 --> 00:00:02,500\nHello & <b>welcome</b>\n');
+});
+
+test('a broken file is refused with the failing line', async () => {
+  const res = await convert('bad.srt', '1\n00:00:05,000 --> 00:00:01,000\nBackwards\n');
+  assert.equal(res.status, 422);
+  assert.match(res.body.error, /line 2: cue ends before it starts/);
+  const empty = await convert('empty.vtt', 'WEBVTT\n');
+  assert.equal(empty.status, 422);
+  const unknown = await convert('talk.srt', SRT, '?to=ass');
+  assert.equal(unknown.status, 400);
+});
+
+test('a track is attached to a post and served in either format', async () => {
+  const res = await server.request(`/api/posts/${ID}/captions`, {
+    method: 'POST',
+    token,
+    body: multipart('captions', 'talk.srt', SRT, { lang: 'en', label: 'English' }),
+  });
+  assert.equal(res.status, 201);
+  assert.equal(res.body.cues, 2);
+  assert.equal(res.body.format, 'srt');
+
+  const post = await server.request(`/api/posts/${ID}`);
+  assert.deepEqual(post.body.captions.map(t => [t.lang, t.label]), [['en', 'English']]);
+
+  const vtt = await server.request(`/api/posts/${ID}/captions/en`);
+  assert.equal(vtt.status, 200);
+  assert.match(vtt.text, /^WEBVTT\n/);
+  const srt = await server.request(`/api/posts/${ID}/captions/en?format=srt`);
+  assert.equal(srt.status, 200);
+  assert.match(srt.text, /^1\n00:00:01,000 --> 00:00:02,500\nHello & <i>welcome<\/i>\n/);
+
+  const removed = await server.request(`/api/posts/${ID}/captions/en`, { method: 'DELETE', token });
+  assert.equal(removed.status, 200);
+  assert.equal((await server.request(`/api/posts/${ID}/captions/en`)).status, 404);
+});
+
+test('tracks need a post with audio or video and a language tag', async () => {
+  const missing = await server.request('/api/posts/1600000000000/captions', {
+    method: 'POST',
+    token,
+    body: multipart('captions', 'talk.srt', SRT, { lang: 'en' }),
+  });
+  assert.equal(missing.status, 404);
+  const badLang = await server.request(`/api/posts/${ID}/captions`, {
+    method: 'POST',
+    token,
+    body: multipart('captions', 'talk.srt', SRT, { lang: 'not a language' }),
+  });
+  assert.equal(badLang.status, 400);
+});
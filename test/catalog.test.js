@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const ID = '1700000000000';
+const MEDIA_ONLY = '1700000000001';
+const OUTSIDE = '1700000000002';
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': { [ID]: { title: 'Listed', body: '', imageUrl: '', draft: false } },
+      [`posts/${MEDIA_ONLY}.mp3`]: 'audio',
+    },
+  });
+});
+
+after(() => server.stop());
+
+// fetch marks conditional requests no-cache unless told otherwise.
+function revalidate(pathname, etag, options = {}) {
+  return server.request(pathname, { ...options, headers: { 'if-none-match': etag, 'cache-control': 'max-age=0' } });
+}
+
+test('listings answer conditional requests with 304', async () => {
+  const first = await server.request('/api/posts');
+  assert.equal(first.status, 200);
+  const etag = first.headers.get('etag');
+  assert.match(etag, /^W\/"/);
+  assert.ok(first.headers.get('last-modified'));
+  assert.equal((await revalidate('/api/posts', etag)).status, 304);
+  const trash = await server.request('/api/trash', { admin: true });
+  assert.equal((await revalidate('/api/trash', trash.headers.get('etag'), { admin: true })).status, 304);
+});
+
+test('writes through the API show up at once', async () => {
+  const etag = (await server.request('/api/posts')).headers.get('etag');
+  const patched = await server.request(`/api/posts/${MEDIA_ONLY}`, { method: 'PATCH', admin: true, json: { title: 'Named' } });
+  assert.equal(patched.status, 200);
+  const res = await revalidate('/api/posts', etag);
+  assert.equal(res.status, 200);
+  assert.ok(res.body.some(p => p.id === MEDIA_ONLY && p.title === 'Named'));
+});
+
+test('changes made behind its back wait for a rebuild', async () => {
+  fs.writeFileSync(path.join(server.storageDir, `posts/${OUTSIDE}.mp3`), 'audio');
+  assert.ok(!(await server.request('/api/posts')).body.some(p => p.id === OUTSIDE));
+  const rebuilt = await server.request('/api/catalog/rebuild', { method: 'POST', admin: true });
+  assert.equal(rebuilt.status, 200);
+  assert.equal(rebuilt.body.changed, true);
+  assert.ok((await server.request('/api/posts')).body.some(p => p.id === OUTSIDE));
+  assert.equal((await server.request('/api/catalog/rebuild', { method: 'POST', admin: true })).body.changed, false);
+  assert.equal((await server.request('/api/catalog/rebuild', { method: 'POST' })).status, 401);
+});
+
+test('media access follows the cached metadata', async () => {
+  await server.request(`/api/posts/${MEDIA_ONLY}`, { method: 'PATCH', admin: true, json: { draft: true } });
+  assert.equal((await server.request(`/uploads/posts/${MEDIA_ONLY}.mp3`)).status, 404);
+  assert.equal((await server.request(`/uploads/posts/${MEDIA_ONLY}.mp3`, { admin: true })).status, 200);
+});
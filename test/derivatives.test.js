@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import ffmpegPath from 'ffmpeg-static';
+import { multipart, startServer, tone, waitFor } from './helpers.js';
+
+// Peaks and posters are derived with ffprobe's help.
+const skip = spawnSync(process.env.FFPROBE_PATH || 'ffprobe', ['-version']).error ? 'ffprobe is not installed' : false;
+
+const OLD_AUDIO = '1700000000000';
+const OLD_VIDEO = '1700000000001';
+
+let server;
+
+// A one second video from the bundled ffmpeg.
+function video() {
+  const file = path.join(os.tmpdir(), `gargantuan-video-${process.pid}.mp4`);
+  execFileSync(ffmpegPath, ['-v', 'error', '-f', 'lavfi', '-i', 'color=c=green:s=64x64:d=1', '-pix_fmt', 'yuv420p', '-y', file]);
+  const data = fs.readFileSync(file);
+  fs.rmSync(file, { force: true });
+  return data;
+}
+
+before(async () => {
+  if (skip) return;
+  server = await startServer({
+    env: { PEAKS_LENGTH: '50' },
+    files: {
+      'posts/_meta.json': {
+        [OLD_AUDIO]: { title: 'Old audio', body: '', imageUrl: '', draft: false },
+        [OLD_VIDEO]: { title: 'Old video', body: '', imageUrl: '', draft: false },
+      },
+      [`posts/${OLD_AUDIO}.mp3`]: tone(),
+      [`posts/${OLD_VIDEO}.mp4`]: video(),
+    },
+  });
+});
+
+after(() => server?.stop());
+
+function stored(key) {
+  return fs.existsSync(path.join(server.storageDir, key));
+}
+
+test('uploaded audio gets waveform peaks', { skip }, async () => {
+  const res = await server.request('/api/upload', { method: 'POST', admin: true, body: multipart('audio', 'Tone.wav', tone({ format: 'wav' })) });
+  assert.equal(res.status, 200, res.text);
+  const post = (await server.request(`/api/posts/${res.body.id}`)).body;
+  assert.equal(post.peaksUrl, `/uploads/posts/${res.body.id}.peaks.json`);
+  const peaks = (await server.request(post.peaksUrl)).body;
+  assert.equal(peaks.version, 1);
+  assert.ok(peaks.peaks.length > 0 && peaks.peaks.length <= 50);
+  assert.ok(peaks.peaks.every(value => value >= 0 && value <= 1));
+  assert.ok(peaks.peaks.some(value => value > 0));
+  await waitFor(() => server.tempFiles().length === 0);
+});
+
+test('a backfill dry run lists what is missing', { skip }, async () => {
+  const res = await server.request('/api/media/backfill', { method: 'POST', admin: true, json: { dryRun: true } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.results.map(r => [r.id, r.status, r.kinds]), [
+    [OLD_AUDIO, 'planned', ['peaks']],
+    [OLD_VIDEO, 'planned', ['poster']],
+  ]);
+  assert.ok(!stored(`posts/${OLD_AUDIO}.peaks.json`));
+});
+
+test('a backfill fills in a limited number of posts per call', { skip }, async () => {
+  const first = await server.request('/api/media/backfill', { method: 'POST', admin: true, json: { limit: 1 } });
+  assert.equal(first.body.remaining, 1);
+  assert.ok(stored(`posts/${OLD_AUDIO}.peaks.json`));
+  const second = await server.request('/api/media/backfill', { method: 'POST', admin: true, json: {} });
+  assert.equal(second.body.results[0].posterUrl, `/uploads/posts/${OLD_VIDEO}.poster.jpg`);
+  assert.equal(second.body.remaining, 0);
+  assert.ok(stored(`posts/${OLD_VIDEO}.poster.jpg`));
+  await waitFor(() => server.tempFiles().length === 0);
+});
+
+test('derivatives can be rebuilt one post at a time', { skip }, async () => {
+  const res = await server.request(`/api/posts/${OLD_VIDEO}/poster`, { method: 'POST', admin: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.posterUrl, `/uploads/posts/${OLD_VIDEO}.poster.jpg`);
+  assert.equal((await server.request(`/api/posts/${OLD_VIDEO}/peaks`, { method: 'POST', admin: true })).status, 404);
+  assert.equal((await server.request('/api/posts/constructor/peaks', { method: 'POST', admin: true })).status, 400);
+  assert.equal((await server.request('/api/media/backfill', { method: 'POST', admin: true, json: { kinds: ['thumbnail'] } })).status, 400);
+  assert.equal((await server.request('/api/media/backfill', { method: 'POST', json: {} })).status, 401);
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const AUDIO = '1700000000000';
+const VIDEO = '1700000000001';
+const TEXT = '1700000000002';
+const DRAFT = '1700000000003';
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [AUDIO]: { title: 'Audio & friends', body: 'Show notes', imageUrl: '', draft: false },
+        [VIDEO]: { title: 'Video', body: '', imageUrl: '', draft: false },
+        [TEXT]: { title: 'Just words', body: 'Hello', imageUrl: '', draft: false },
+        [DRAFT]: { title: 'Secret', body: '', imageUrl: '', draft: true },
+      },
+      [`posts/${AUDIO}.mp3`]: 'not really audio',
+      [`posts/${VIDEO}.mp3`]: 'not really audio',
+      [`posts/${VIDEO}.mp4`]: 'not really video',
+      [`posts/${DRAFT}.mp3`]: 'not really audio',
+    },
+    env: { PUBLIC_URL: 'https://podcast.example/' },
+  });
+});
+
+after(() => server.stop());
+
+test('the RSS feed has an item with an absolute enclosure per media post', async () => {
+  const res = await server.request('/feed.xml');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /application\/rss\+xml/);
+  assert.match(res.text, /<title>Audio &amp; friends<\/title>/);
+  assert.match(res.text, new RegExp(`<enclosure url="https://podcast.example/uploads/posts/${AUDIO}.mp3" length="16" type="audio/mpeg"`));
+  assert.match(res.text, new RegExp(`<enclosure url="https://podcast.example/uploads/posts/${VIDEO}.mp4" length="16" type="video/mp4"`));
+  assert.doesNotMatch(res.text, /Just words/);
+  assert.doesNotMatch(res.text, /Secret/);
+});
+
+test('the Atom feed lists every published post', async () => {
+  const res = await server.request('/feed.atom');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /application\/atom\+xml/);
+  assert.equal(res.text.match(/<entry>/g).length, 3);
+  assert.match(res.text, /Just words/);
+  assert.doesNotMatch(res.text, /Secret/);
+});
+
+test('channel settings are validated, saved and used by the feeds', async () => {
+  assert.equal((await server.request('/api/feed/settings', { method: 'PATCH', admin: true, json: { colour: 'red' } })).status, 400);
+  assert.equal((await server.request('/api/feed/settings', { method: 'PATCH', admin: true, json: { explicit: 'no' } })).status, 400);
+  assert.equal((await server.request('/api/feed/settings', { method: 'PATCH', admin: true, json: { itemLimit: 0 } })).status, 400);
+
+  const res = await server.request('/api/feed/settings', { method: 'PATCH', admin: true, json: { title: 'Big Show', itemLimit: 1 } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.settings.title, 'Big Show');
+  assert.equal((await server.request('/api/feed/settings', { admin: true })).body.itemLimit, 1);
+
+  const feed = await server.request('/feed.xml');
+  assert.match(feed.text, /<title>Big Show<\/title>/);
+  assert.equal(feed.text.match(/<item>/g).length, 1);
+});
+
+test('the settings are for admins only', async () => {
+  assert.equal((await server.request('/api/feed/settings')).status, 401);
+  assert.equal((await server.request('/api/feed/settings', { method: 'PATCH', json: { title: 'Mine' } })).status, 401);
+});
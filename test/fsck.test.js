@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const MISSING = '1700000000000';
+const GOOD = '1700000000001';
+const ORPHAN = '1700000000002';
+const CONFLICT = '1700000000003';
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [MISSING]: { title: 'Missing', body: '', imageUrl: '', draft: false, audio: { codec: 'mp3' } },
+        [GOOD]: { title: 'Good', body: '', imageUrl: '/uploads/images/used/full-10x10.jpg', draft: false },
+        [CONFLICT]: { title: 'Conflict', body: '', imageUrl: '', draft: false, trashedAt: new Date().toISOString() },
+      },
+      [`posts/${GOOD}.mp3`]: 'audio',
+      [`posts/${ORPHAN}.mp3`]: 'audio',
+      [`posts/${CONFLICT}.mp3`]: 'stale copy',
+      [`posts/.trash/${CONFLICT}.mp3`]: 'audio',
+      'images/used/full-10x10.jpg': 'image',
+      'images/old/full-10x10.jpg': 'image',
+    },
+  });
+  // Everything seeded is older than the grace period, except one fresh image.
+  const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  for (const entry of fs.readdirSync(server.storageDir, { recursive: true })) {
+    fs.utimesSync(path.join(server.storageDir, entry), twoHoursAgo, twoHoursAgo);
+  }
+  stash('images/fresh/full-10x10.jpg', 'image');
+});
+
+after(() => server.stop());
+
+function stash(key, contents) {
+  fs.mkdirSync(path.dirname(path.join(server.storageDir, key)), { recursive: true });
+  fs.writeFileSync(path.join(server.storageDir, key), contents);
+}
+
+function stored(key) {
+  return fs.existsSync(path.join(server.storageDir, key));
+}
+
+function repair(json) {
+  return server.request('/api/fsck/repair', { method: 'POST', admin: true, json });
+}
+
+test('every kind of inconsistency is reported', async () => {
+  const res = await server.request('/api/fsck', { admin: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, false);
+  assert.deepEqual(res.body.counts, { 'orphan-media': 1, 'missing-media': 1, 'trash-conflict': 1, 'unreferenced-image': 1 });
+  const byKind = Object.fromEntries(res.body.issues.map(issue => [issue.kind, issue]));
+  assert.equal(byKind['orphan-media'].id, ORPHAN);
+  assert.equal(byKind['missing-media'].field, 'audio');
+  assert.deepEqual(byKind['trash-conflict'].keys, [`posts/${CONFLICT}.mp3`]);
+  assert.equal(byKind['unreferenced-image'].name, 'old');
+});
+
+test('repairs are a dry run unless asked otherwise', async () => {
+  const res = await repair({ repairs: { 'unreferenced-image': 'delete' } });
+  assert.equal(res.body.dryRun, true);
+  assert.deepEqual(res.body.results.map(r => [r.name, r.status]), [['old', 'planned']]);
+  assert.ok(stored('images/old/full-10x10.jpg'));
+});
+
+test('repairs fix what they were picked for', async () => {
+  const res = await repair({
+    repairs: { 'orphan-media': 'create-meta', 'missing-media': 'clear', 'trash-conflict': 'quarantine', 'unreferenced-image': 'delete' },
+    dryRun: false,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(server.storedMeta()[ORPHAN].title, ORPHAN);
+  assert.equal(server.storedMeta()[MISSING].audio, undefined);
+  assert.ok(stored(`quarantine/posts/${CONFLICT}.mp3`));
+  assert.ok(!stored(`posts/${CONFLICT}.mp3`));
+  assert.ok(!stored('images/old/full-10x10.jpg'));
+  assert.ok(stored('images/fresh/full-10x10.jpg'));
+  assert.equal((await server.request('/api/fsck', { admin: true })).body.ok, true);
+  assert.equal((await server.request(`/uploads/quarantine/posts/${CONFLICT}.mp3`, { admin: true })).status, 404);
+});
+
+test('unknown repairs are refused', async () => {
+  for (const repairs of [undefined, {}, { 'orphan-media': 'delete' }, { constructor: 'delete' }, { toString: 'clear' }]) {
+    assert.equal((await repair({ repairs })).status, 400, JSON.stringify(repairs));
+  }
+  assert.equal((await repair({ repairs: { 'orphan-media': 'quarantine' }, ids: 'all' })).status, 400);
+  assert.equal((await server.request('/api/fsck')).status, 401);
+});
+
+test('corrupt metadata is reported and blocks repairs', async () => {
+  stash('posts/_meta.json', '{ not json');
+  const res = await server.request('/api/fsck', { admin: true });
+  assert.deepEqual(res.body.counts, { 'corrupt-meta': 1 });
+  assert.equal((await repair({ repairs: { 'orphan-media': 'quarantine' }, dryRun: false })).status, 409);
+});
@@ -0,0 +1,188 @@
+// Helpers for the behavior tests: each test file starts the real server as a
+// child process on a free port, with the local-disk storage driver pointed at
+// a scratch directory, and talks to it over HTTP.
+import { execFileSync, spawn } from 'node:child_process';
+import * as fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import ffmpegPath from 'ffmpeg-static';
+
+const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+const START_TIMEOUT_MS = 15 * 1000;
+
+export const ADMIN_TOKEN = 'test-admin-token';
+export const ADMIN = { username: 'admin', password: 'correct horse' };
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// A sine tone of `seconds` encoded as `format` by the bundled ffmpeg, for
+// tests that need real audio.
+export function tone({ seconds = 1, format = 'mp3' } = {}) {
+  const file = path.join(os.tmpdir(), `gargantuan-tone-${process.pid}-${Date.now()}.${format}`);
+  execFileSync(ffmpegPath, ['-v', 'error', '-f', 'lavfi', '-i', `sine=frequency=440:duration=${seconds}`, '-y', file]);
+  const data = fs.readFileSync(file);
+  fs.rmSync(file, { force: true });
+  return data;
+}
+
+// Resolve once `check()` resolves to something truthy, polling every 100ms
+// for up to `timeout` ms.
+export async function waitFor(check, { timeout = 30 * 1000 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+// Start a server.  `files` maps storage keys to contents that are written
+// before it starts; `env` is added to its environment.  The bootstrap admin
+// is ADMIN, and the legacy ADMIN_TOKEN is set too.
+export async function startServer({ files = {}, env = {} } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'gargantuan-test-'));
+  const storageDir = path.join(root, 'data');
+  Object.entries(files).forEach(([key, body]) => {
+    const target = path.join(storageDir, key);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body));
+  });
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: root,
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      PORT: String(port),
+      STORAGE_DRIVER: 'fs',
+      STORAGE_DIR: storageDir,
+      ADMIN_TOKEN,
+      BOOTSTRAP_ADMIN_USER: ADMIN.username,
+      BOOTSTRAP_ADMIN_PASSWORD: ADMIN.password,
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stderr.on('data', (chunk) => { output += chunk; });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), START_TIMEOUT_MS);
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (/listening on port/.test(output)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+  child.removeAllListeners('exit');
+  const base = `http://127.0.0.1:${port}`;
+
+  // Make a request.  `json` is sent as a JSON body, `token` as a bearer token
+  // and `admin` sends the admin token.  Resolves to
+  // `{ status, headers, buffer, text, body }` where `body` is the parsed JSON
+  // response, if it was JSON.
+  async function request(pathname, { method = 'GET', admin, token, json, body, headers = {} } = {}) {
+    const res = await fetch(`${base}${pathname}`, {
+      method,
+      headers: {
+        ...(admin ? { 'x-admin-token': ADMIN_TOKEN } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...(json !== undefined ? { 'content-type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: json !== undefined ? JSON.stringify(json) : body,
+      redirect: 'manual',
+    });
+    const buffer = Buffer.from(await res.arrayBuffer());
+    const text = buffer.toString('utf-8');
+    let parsed;
+    if ((res.headers.get('content-type') || '').includes('json')) parsed = JSON.parse(text);
+    return { status: res.status, headers: res.headers, buffer, text, body: parsed };
+  }
+
+  // Sign in and resolve to the session token.  The bootstrap admin is
+  // created just after the server starts listening, so early attempts are
+  // retried.
+  async function login(username = ADMIN.username, password = ADMIN.password) {
+    for (let attempt = 0; ; attempt++) {
+      const res = await request('/api/auth/login', { method: 'POST', json: { username, password } });
+      if (res.status === 200) return res.body.token;
+      if (attempt >= 20) throw new Error(`login failed: ${res.status} ${res.text}`);
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  // The stored metadata, read straight from the storage directory.
+  function storedMeta() {
+    const file = path.join(storageDir, 'posts/_meta.json');
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+  }
+
+  async function stop() {
+    if (child.exitCode === null) {
+      await new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+      });
+    }
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+
+  // The files the server left in its temp directory.
+  function tempFiles() {
+    const dir = path.join(root, 'uploads');
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  }
+
+  return { base, storageDir, request, login, storedMeta, tempFiles, stop };
+}
+
+// A multipart body with one file field plus plain fields.
+export function multipart(field, filename, contents, fields = {}) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  form.append(field, new Blob([contents]), filename);
+  return form;
+}
+
+// A ustar archive of `entries` (`[name, contents]`), for backup imports.
+export function tarArchive(entries) {
+  const blocks = [];
+  entries.forEach(([name, contents]) => {
+    const data = Buffer.from(contents);
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write(`${Math.floor(Date.now() / 1000).toString(8).padStart(11, '0')}\0`, 136);
+    header.write('        ', 148);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    const sum = header.reduce((total, byte) => total + byte, 0);
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  });
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
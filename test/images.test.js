@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import ffmpegPath from 'ffmpeg-static';
+import { multipart, startServer, waitFor } from './helpers.js';
+
+// Images are probed before they are processed, so these need ffprobe.
+const skip = spawnSync(process.env.FFPROBE_PATH || 'ffprobe', ['-version']).error ? 'ffprobe is not installed' : false;
+
+const ID = '1700000000000';
+
+let server;
+
+before(async () => {
+  if (!skip) {
+    server = await startServer({
+      files: { 'posts/_meta.json': { [ID]: { title: 'Pictured', body: '', imageUrl: '', draft: false, version: 1 } } },
+    });
+  }
+});
+
+after(() => server?.stop());
+
+// A `width`x`height` JPEG from the bundled ffmpeg.
+function jpeg(width, height) {
+  const file = path.join(os.tmpdir(), `gargantuan-photo-${process.pid}.jpg`);
+  execFileSync(ffmpegPath, ['-v', 'error', '-f', 'lavfi', '-i', `color=c=blue:s=${width}x${height}`, '-frames:v', '1', '-y', file]);
+  const data = fs.readFileSync(file);
+  fs.rmSync(file, { force: true });
+  return data;
+}
+
+// `data` with an EXIF block carrying `orientation` and a GPS-looking marker.
+function withExif(data, orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM\0*', 0, 'latin1');
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff, Buffer.from('GPSMARKER', 'latin1')]);
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([data.subarray(0, 2), header, payload, data.subarray(2)]);
+}
+
+function upload(filename, contents) {
+  return server.request('/api/images/upload', { method: 'POST', admin: true, body: multipart('image', filename, contents) });
+}
+
+function stored(url) {
+  return fs.readFileSync(path.join(server.storageDir, url.replace(/^\/uploads\//, '')));
+}
+
+test('an upload is stored as variants that are never upscaled', { skip }, async () => {
+  const res = await upload('photo.jpg', jpeg(400, 200));
+  assert.equal(res.status, 200, res.text);
+  assert.deepEqual(res.body.variants.map(v => `${v.label}-${v.width}x${v.height}.${v.format}`), [
+    'thumb-320x160.jpg', 'thumb-320x160.webp',
+    'medium-400x200.jpg', 'medium-400x200.webp',
+    'full-400x200.jpg', 'full-400x200.webp',
+  ]);
+  assert.match(res.body.url, /\/full-400x200\.jpg$/);
+  assert.equal(res.body.srcset, res.body.variants.filter(v => v.format === 'jpg' && v.label !== 'medium')
+    .map(v => `${v.url} ${v.width}w`).join(', '));
+  res.body.variants.forEach(v => assert.ok(stored(v.url).length, v.url));
+  await waitFor(() => server.tempFiles().length === 0);
+});
+
+test('the EXIF orientation is applied and the metadata dropped', { skip }, async () => {
+  const res = await upload('sideways.jpg', withExif(jpeg(400, 200), 6));
+  assert.equal(res.status, 200, res.text);
+  assert.equal(`${res.body.width}x${res.body.height}`, '200x400');
+  const full = stored(res.body.url);
+  assert.equal(full.indexOf('Exif'), -1);
+  assert.equal(full.indexOf('GPSMARKER'), -1);
+});
+
+test('posts pointing at a managed image list its variants', { skip }, async () => {
+  const uploaded = await upload('cover.jpg', jpeg(64, 32));
+  await server.request(`/api/posts/${ID}`, { method: 'PATCH', admin: true, json: { imageUrl: uploaded.body.url } });
+  const [post] = (await server.request('/api/posts')).body;
+  assert.equal(post.image.name, uploaded.body.name);
+  assert.equal(post.image.webpSrcset, uploaded.body.webpSrcset);
+});
+
+test('files that are not images are refused whatever they are called', { skip }, async () => {
+  const res = await upload('photo.jpg', Buffer.from('<svg onload="alert(1)"></svg>'));
+  assert.equal(res.status, 415);
+  await waitFor(() => server.tempFiles().length === 0);
+  assert.equal((await server.request('/api/images/upload', { method: 'POST', body: multipart('image', 'a.png', 'x') })).status, 401);
+});
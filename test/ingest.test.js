@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { multipart, startServer, tone, waitFor } from './helpers.js';
+
+// Ingest probes every upload, so these need ffprobe on the PATH.
+const skip = spawnSync(process.env.FFPROBE_PATH || 'ffprobe', ['-version']).error ? 'ffprobe is not installed' : false;
+
+let server;
+
+before(async () => {
+  if (!skip) server = await startServer();
+});
+
+after(() => server?.stop());
+
+function upload(filename, contents, fields) {
+  return server.request('/api/upload', { method: 'POST', admin: true, body: multipart('audio', filename, contents, fields) });
+}
+
+test('a WAV upload is stored as MP3 with its audio details', { skip }, async () => {
+  const res = await upload('Interview.wav', tone({ format: 'wav' }));
+  assert.equal(res.status, 200, res.text);
+  assert.equal(res.body.filename, `${res.body.id}.mp3`);
+  assert.equal(res.body.audio.codec, 'mp3');
+  assert.equal(res.body.audio.originalCodec, 'pcm_s16le');
+  assert.ok(fs.existsSync(path.join(server.storageDir, `posts/${res.body.id}.mp3`)));
+  const entry = server.storedMeta()[res.body.id];
+  assert.equal(entry.title, 'Interview');
+  assert.deepEqual(entry.audio, res.body.audio);
+  await waitFor(() => server.tempFiles().length === 0, { timeout: 2000 });
+});
+
+test('files that are not audio are refused', { skip }, async () => {
+  const res = await upload('notes.mp3', 'just some text');
+  assert.equal(res.status, 415);
+  await waitFor(() => server.tempFiles().length === 0, { timeout: 2000 });
+});
+
+test('simultaneous uploads each get their own post', { skip }, async () => {
+  const audio = tone();
+  const results = await Promise.all(Array.from({ length: 4 }, (_, i) => upload(`Take ${i}.mp3`, audio)));
+  assert.deepEqual(results.map(r => r.status), Array(4).fill(200));
+  const ids = results.map(r => r.body.id);
+  assert.equal(new Set(ids).size, 4);
+  const meta = server.storedMeta();
+  results.forEach((r, i) => {
+    assert.equal(meta[r.body.id].title, `Take ${i}`);
+    assert.ok(fs.existsSync(path.join(server.storageDir, `posts/${r.body.filename}`)));
+  });
+});
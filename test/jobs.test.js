@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { startServer, tone, waitFor } from './helpers.js';
+
+const ID = '1700000000000';
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': { [ID]: { title: 'Episode', body: '', imageUrl: '', draft: false, version: 1 } },
+      [`posts/${ID}.mp3`]: tone(),
+    },
+  });
+});
+
+after(() => server.stop());
+
+function finished(jobId) {
+  return waitFor(async () => {
+    const res = await server.request(`/api/jobs/${jobId}`, { admin: true });
+    return ['completed', 'failed', 'cancelled'].includes(res.body.status) && res.body;
+  }, { timeout: 60 * 1000 });
+}
+
+test('a render runs in the background and reports its progress', async () => {
+  const res = await server.request('/api/generate-video', { method: 'POST', admin: true, json: { filename: `${ID}.mp3`, title: 'Rendered' } });
+  assert.equal(res.status, 202);
+  assert.equal(res.body.videoFilename, `${ID}.mp4`);
+
+  const again = await server.request('/api/generate-video', { method: 'POST', admin: true, json: { filename: `${ID}.mp3` } });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.jobId, res.body.jobId);
+
+  const job = await finished(res.body.jobId);
+  assert.equal(job.status, 'completed', job.error);
+  assert.equal(job.progress, 100);
+  assert.ok(fs.statSync(path.join(server.storageDir, `posts/${ID}.mp4`)).size > 0);
+  assert.equal(server.storedMeta()[ID].title, 'Rendered');
+  assert.deepEqual(server.tempFiles(), []);
+
+  const listed = await server.request('/api/jobs?status=completed', { admin: true });
+  assert.deepEqual(listed.body.map(j => j.id), [res.body.jobId]);
+});
+
+test('finished jobs cannot be cancelled, and only failed ones retried', async () => {
+  const [job] = (await server.request('/api/jobs', { admin: true })).body;
+  assert.equal((await server.request(`/api/jobs/${job.id}/cancel`, { method: 'POST', admin: true })).status, 409);
+  assert.equal((await server.request(`/api/jobs/${job.id}/retry`, { method: 'POST', admin: true })).status, 409);
+});
+
+test('a job for missing audio is refused', async () => {
+  assert.equal((await server.request('/api/generate-video', { method: 'POST', admin: true, json: {} })).status, 400);
+  const missing = await server.request('/api/generate-video', { method: 'POST', admin: true, json: { filename: '1600000000000.mp3' } });
+  assert.equal(missing.status, 404);
+  assert.equal((await server.request('/api/jobs/nope', { admin: true })).status, 404);
+});
+
+test('jobs are for admins only', async () => {
+  assert.equal((await server.request('/api/jobs')).status, 401);
+  assert.equal((await server.request('/api/generate-video', { method: 'POST', json: { filename: `${ID}.mp3` } })).status, 401);
+});
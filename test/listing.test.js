@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const JAN = String(Date.parse('2024-01-10T00:00:00Z'));
+const FEB = String(Date.parse('2024-02-10T00:00:00Z'));
+const MAR = String(Date.parse('2024-03-10T00:00:00Z'));
+const APR = String(Date.parse('2024-04-10T00:00:00Z'));
+const DRAFT = String(Date.parse('2024-05-10T00:00:00Z'));
+
+let server;
+
+// A meta entry dated by its id, so media posts don't take the file times.
+function entry(id, title, body, draft = false) {
+  return { title, body, imageUrl: '', draft, date: new Date(Number(id)).toISOString() };
+}
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [JAN]: entry(JAN, 'Charlie', 'winter garden notes'),
+        [FEB]: entry(FEB, 'alpha', 'more garden'),
+        [MAR]: entry(MAR, 'Bravo', 'spring'),
+        [APR]: entry(APR, 'Delta', ''),
+        [DRAFT]: entry(DRAFT, 'Echo', 'garden draft', true),
+      },
+      [`posts/${MAR}.mp3`]: 'not really audio',
+      [`posts/${APR}.mp3`]: 'not really audio',
+      [`posts/${APR}.mp4`]: 'not really video',
+    },
+  });
+});
+
+after(() => server.stop());
+
+function ids(list) {
+  return list.map(p => p.id);
+}
+
+test('without paging the listing is a plain array with a total header', async () => {
+  const res = await server.request('/api/posts');
+  assert.deepEqual(ids(res.body), [APR, MAR, FEB, JAN]);
+  assert.equal(res.headers.get('x-total-count'), '4');
+});
+
+test('posts can be filtered by type, date and search terms', async () => {
+  assert.deepEqual(ids((await server.request('/api/posts?type=audio,video')).body), [APR, MAR]);
+  assert.deepEqual(ids((await server.request('/api/posts?from=2024-02-01&to=2024-03-31')).body), [MAR, FEB]);
+  assert.deepEqual(ids((await server.request('/api/posts?q=GARDEN')).body), [FEB, JAN]);
+  assert.deepEqual(ids((await server.request('/api/posts?q=garden%20winter')).body), [JAN]);
+});
+
+test('posts can be sorted by title', async () => {
+  assert.deepEqual(ids((await server.request('/api/posts?sort=title')).body), [FEB, MAR, JAN, APR]);
+  assert.deepEqual(ids((await server.request('/api/posts?sort=title&order=desc')).body), [APR, JAN, MAR, FEB]);
+});
+
+test('pages and cursors walk the same listing', async () => {
+  const first = await server.request('/api/posts?limit=3');
+  assert.deepEqual(ids(first.body.items), [APR, MAR, FEB]);
+  assert.equal(first.body.total, 4);
+  assert.equal(first.body.page, 1);
+  const byPage = await server.request('/api/posts?limit=3&page=2');
+  assert.deepEqual(ids(byPage.body.items), [JAN]);
+  const byCursor = await server.request(`/api/posts?limit=3&cursor=${first.body.nextCursor}`);
+  assert.deepEqual(ids(byCursor.body.items), [JAN]);
+  assert.equal(byCursor.body.nextCursor, null);
+});
+
+test('bad queries are refused', async () => {
+  for (const query of ['type=podcast', 'from=someday', 'sort=size', 'order=up', 'limit=0', 'limit=101', 'page=0', 'cursor=nope', 'page=1&cursor=x']) {
+    assert.equal((await server.request(`/api/posts?${query}`)).status, 400, query);
+  }
+});
+
+test('drafts accept the same queries', async () => {
+  const res = await server.request('/api/drafts?q=garden', { admin: true });
+  assert.deepEqual(ids(res.body), [DRAFT]);
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const ID = '1700000000000';
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [ID]: { title: 'Notes', body: 'Read [the docs](/docs).\n\n<script>alert(1)</script>', imageUrl: '', draft: false },
+      },
+    },
+  });
+});
+
+after(() => server.stop());
+
+function preview(body, excerptLength) {
+  return server.request('/api/posts/preview', { method: 'POST', admin: true, json: { body, excerptLength } });
+}
+
+test('bodies are rendered with an excerpt, reading time and refs', async () => {
+  const res = await preview('# Title\n\nSome *em*, **strong** and `code`.\n\n- one\n- two\n\n![pic](https://example.com/p.png) <https://example.com>');
+  assert.equal(res.status, 200);
+  assert.match(res.body.bodyHtml, /^<h1>Title<\/h1>\n<p>Some <em>em<\/em>, <strong>strong<\/strong> and <code>code<\/code>\.<\/p>\n<ul>\n<li>one<\/li>/);
+  assert.deepEqual(res.body.refs.images, [{ url: 'https://example.com/p.png', alt: 'pic' }]);
+  assert.deepEqual(res.body.refs.links, [{ url: 'https://example.com', text: 'https://example.com' }]);
+  assert.equal((await preview('word '.repeat(450))).body.readingTime.minutes, 2);
+  assert.equal((await preview('one two three four', 10)).body.excerpt, 'one two…');
+});
+
+test('raw HTML is escaped, never passed through', async () => {
+  for (const body of ['<script>alert(1)</script>', '<img src=x onerror=alert(1)>', '```\n<b>\n```', '<a href="javascript:alert(1)">x</a>']) {
+    const { bodyHtml } = (await preview(body)).body;
+    assert.doesNotMatch(bodyHtml, /<(script|img|b|a)\b/, body);
+  }
+});
+
+test('only safe URLs are linked', async () => {
+  for (const body of ['[x](javascript:alert(1))', '[x](JaVa\tScRiPt:alert(1))', '![x](data:text/html,hi)', '[x](vbscript:msgbox)']) {
+    const { bodyHtml } = (await preview(body)).body;
+    assert.doesNotMatch(bodyHtml, /href=|src=/, body);
+  }
+  const quoted = (await preview('[ok](https://example.com/a "t\\" onmouseover=\\"x")')).body.bodyHtml;
+  assert.doesNotMatch(quoted, /<a [^>]*onmouseover/);
+});
+
+test('stored posts and feeds carry the rendered body', async () => {
+  const [post] = (await server.request('/api/posts')).body;
+  assert.equal(post.bodyHtml, '<p>Read <a href="/docs">the docs</a>.</p>\n<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  const feed = await server.request('/feed.atom');
+  assert.match(feed.text, /the docs/);
+  assert.doesNotMatch(feed.text, /<script>/);
+});
+
+test('previews need posts:write and a string body', async () => {
+  assert.equal((await preview(42)).status, 400);
+  assert.equal((await preview('x', 0)).status, 400);
+  assert.equal((await server.request('/api/posts/preview', { method: 'POST', json: { body: 'x' } })).status, 401);
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const PUBLIC = '1700000000000';
+const DRAFT = '1700000000001';
+const AUDIO = 'abcdefghijklmnopqrstuvwxyz';
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [PUBLIC]: { title: 'Live', slug: 'live', draft: false, version: 1 },
+        [DRAFT]: { title: 'Draft', slug: 'draft', draft: true, version: 1 },
+      },
+      [`posts/${PUBLIC}.mp3`]: AUDIO,
+      [`posts/${DRAFT}.mp3`]: AUDIO,
+    },
+  });
+  token = await server.login();
+});
+
+after(() => server.stop());
+
+test('public media is served whole with validators', async () => {
+  const res = await server.request(`/uploads/posts/${PUBLIC}.mp3`);
+  assert.equal(res.status, 200);
+  assert.equal(res.text, AUDIO);
+  assert.equal(res.headers.get('accept-ranges'), 'bytes');
+  assert.match(res.headers.get('cache-control'), /^public/);
+  // fetch marks conditional requests no-cache unless told otherwise.
+  const again = await server.request(`/uploads/posts/${PUBLIC}.mp3`, {
+    headers: { 'if-none-match': res.headers.get('etag'), 'cache-control': 'max-age=0' },
+  });
+  assert.equal(again.status, 304);
+});
+
+test('a byte range is served as 206', async () => {
+  const res = await server.request(`/uploads/posts/${PUBLIC}.mp3`, { headers: { range: 'bytes=0-9' } });
+  assert.equal(res.status, 206);
+  assert.equal(res.headers.get('content-range'), `bytes 0-9/${AUDIO.length}`);
+  assert.equal(res.headers.get('content-length'), '10');
+  assert.equal(res.text, AUDIO.slice(0, 10));
+});
+
+test('a suffix range is served from the end', async () => {
+  const res = await server.request(`/uploads/posts/${PUBLIC}.mp3`, { headers: { range: 'bytes=-4' } });
+  assert.equal(res.status, 206);
+  assert.equal(res.text, AUDIO.slice(-4));
+});
+
+test('a range past the end is unsatisfiable', async () => {
+  const res = await server.request(`/uploads/posts/${PUBLIC}.mp3`, { headers: { range: 'bytes=100-200' } });
+  assert.equal(res.status, 416);
+  assert.equal(res.headers.get('content-range'), `bytes */${AUDIO.length}`);
+});
+
+test('a stale If-Range gets the whole object', async () => {
+  const res = await server.request(`/uploads/posts/${PUBLIC}.mp3`, { headers: { range: 'bytes=0-9', 'if-range': '"stale"' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.text, AUDIO);
+});
+
+test('draft media needs a signed-in reader', async () => {
+  assert.equal((await server.request(`/uploads/posts/${DRAFT}.mp3`)).status, 404);
+  const res = await server.request(`/uploads/posts/${DRAFT}.mp3`, { token, headers: { range: 'bytes=0-0' } });
+  assert.equal(res.status, 206);
+  assert.match(res.headers.get('cache-control'), /^private/);
+});
+
+test('internal files are never public', async () => {
+  assert.equal((await server.request('/uploads/posts/_meta.json')).status, 404);
+  assert.equal((await server.request('/uploads/other/thing.txt', { token })).status, 404);
+});
+
+test('a signed URL opens draft media until it is tampered with', async () => {
+  const signed = await server.request('/api/media/sign', { method: 'POST', token, json: { url: `/uploads/posts/${DRAFT}.mp3`, ttl: 60 } });
+  assert.equal(signed.status, 200);
+  assert.ok(Date.parse(signed.body.expiresAt) > Date.now());
+
+  const res = await server.request(signed.body.url);
+  assert.equal(res.status, 200);
+  assert.equal(res.text, AUDIO);
+
+  const forged = signed.body.url.replace(/sig=([0-9a-f])/, (_m, c) => `sig=${c === '0' ? '1' : '0'}`);
+  assert.equal((await server.request(forged)).status, 404);
+  const otherKey = signed.body.url.replace(`${DRAFT}.mp3`, '_meta.json');
+  assert.equal((await server.request(otherKey)).status, 404);
+  const extended = signed.body.url.replace(/expires=\d+/, `expires=${Math.floor(Date.now() / 1000) + 3600}`);
+  assert.equal((await server.request(extended)).status, 404);
+});
+
+test('signing needs a reader and a sane ttl', async () => {
+  const anonymous = await server.request('/api/media/sign', { method: 'POST', json: { url: `posts/${DRAFT}.mp3` } });
+  assert.equal(anonymous.status, 401);
+  const long = await server.request('/api/media/sign', { method: 'POST', token, json: { url: `posts/${DRAFT}.mp3`, ttl: 365 * 24 * 3600 } });
+  assert.equal(long.status, 400);
+  const outside = await server.request('/api/media/sign', { method: 'POST', token, json: { url: 'other/thing.txt' } });
+  assert.equal(outside.status, 400);
+});
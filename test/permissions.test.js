@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import { after, before, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { startServer } from './helpers.js';
+
+// Every `/api` route not listed here must turn anonymous callers away.
+const PUBLIC_ROUTES = [
+  'GET /api/version',
+  'GET /api/health',
+  'GET /api/r2/health',
+  'GET /api/storage/health',
+  'POST /api/auth/login',
+  'POST /api/auth/logout',
+  'GET /api/auth/me',
+  'GET /api/posts',
+  'GET /api/posts/:key',
+  'GET /api/video-presets',
+  'GET /api/posts/:id/captions/:lang',
+];
+
+// The routes as declared in server.js, e.g. `PATCH /api/posts/:id`.
+const ROUTES = [...fs.readFileSync(fileURLToPath(new URL('../server.js', import.meta.url)), 'utf-8')
+  .matchAll(/^app\.(get|post|put|patch|delete)\('(\/api\/[^']*)'/gm)]
+  .map(([, method, route]) => `${method.toUpperCase()} ${route}`);
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+test('the public routes exist', () => {
+  PUBLIC_ROUTES.forEach(route => assert.ok(ROUTES.includes(route), route));
+});
+
+test('every other /api route needs credentials', async () => {
+  const guarded = ROUTES.filter(route => !PUBLIC_ROUTES.includes(route));
+  assert.ok(guarded.length > 30);
+  for (const route of guarded) {
+    const [method, pattern] = route.split(' ');
+    // A parameter restricted to alternatives, `:kind(a|b)`, takes the first.
+    const pathname = pattern.replace(/:\w+\(([^|)]+)[^)]*\)/g, '$1').replace(/:\w+/g, '1700000000000');
+    const res = await server.request(pathname, { method, json: method === 'GET' ? undefined : {} });
+    assert.equal(res.status, 401, route);
+  }
+});
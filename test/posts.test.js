@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const ID = '1700000000000';
+const BUSY = '1700000000001';
+const MEDIA_ONLY = '1700000000002';
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [ID]: { title: 'Hello', body: '', imageUrl: '', draft: false, version: 1 },
+        [BUSY]: { title: 'Busy', body: '', imageUrl: '', draft: false, version: 1 },
+      },
+      [`posts/${ID}.mp3`]: 'not really audio',
+      [`posts/${MEDIA_ONLY}.mp3`]: 'not really audio',
+    },
+  });
+});
+
+after(() => server.stop());
+
+test('PATCH updates a post and bumps its version', async () => {
+  const res = await server.request(`/api/posts/${ID}`, { method: 'PATCH', admin: true, json: { title: 'Renamed' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.version, 2);
+  assert.equal(res.headers.get('etag'), 'W/"2"');
+  const posts = await server.request('/api/posts');
+  assert.equal(posts.body.find(p => p.id === ID).title, 'Renamed');
+});
+
+test('PATCH with a stale version is rejected', async () => {
+  const body = await server.request(`/api/posts/${ID}`, { method: 'PATCH', admin: true, json: { title: 'Stale', version: 1 } });
+  assert.equal(body.status, 409);
+  assert.equal(body.body.version, 2);
+  const header = await server.request(`/api/posts/${ID}`, {
+    method: 'PATCH',
+    admin: true,
+    headers: { 'if-match': 'W/"1"' },
+    json: { title: 'Stale' },
+  });
+  assert.equal(header.status, 409);
+  assert.equal(server.storedMeta()[ID].title, 'Renamed');
+});
+
+test('concurrent PATCHes all land', async () => {
+  const results = await Promise.all(Array.from({ length: 8 }, (_, i) => server.request(`/api/posts/${BUSY}`, {
+    method: 'PATCH',
+    admin: true,
+    json: { title: `Edit ${i}` },
+  })));
+  assert.deepEqual(results.map(r => r.status), Array(8).fill(200));
+  assert.deepEqual(results.map(r => r.body.version).sort((a, b) => a - b), [2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(server.storedMeta()[BUSY].version, 9);
+});
+
+test('a post with media but no metadata yet can be edited', async () => {
+  const res = await server.request(`/api/posts/${MEDIA_ONLY}`, { method: 'PATCH', admin: true, json: { title: 'Found' } });
+  assert.equal(res.status, 200);
+  assert.equal(server.storedMeta()[MEDIA_ONLY].title, 'Found');
+});
+
+test('PATCH of an unknown post is a 404 and creates nothing', async () => {
+  const before = Object.keys(server.storedMeta());
+  const res = await server.request('/api/posts/4242', { method: 'PATCH', admin: true, json: { title: 'Ghost' } });
+  assert.equal(res.status, 404);
+  assert.deepEqual(Object.keys(server.storedMeta()), before);
+});
+
+test('ids that are not plain post ids are refused', async () => {
+  const before = server.storedMeta();
+  for (const id of ['__proto__', 'constructor', 'toString', '_meta', '..%2F_meta', 'abc']) {
+    const res = await server.request(`/api/posts/${id}`, { method: 'PATCH', admin: true, json: { title: 'pwned' } });
+    assert.equal(res.status, 400, id);
+    for (const [method, pathname] of [['DELETE', `/api/posts/${id}`], ['POST', `/api/posts/${id}/restore`], ['DELETE', `/api/trash/${id}`]]) {
+      assert.equal((await server.request(pathname, { method, admin: true })).status, 400, `${method} ${pathname}`);
+    }
+  }
+  assert.deepEqual(server.storedMeta(), before);
+});
+
+test('writes need the admin token', async () => {
+  const res = await server.request(`/api/posts/${ID}`, { method: 'PATCH', json: { title: 'Anonymous' } });
+  assert.equal(res.status, 401);
+});
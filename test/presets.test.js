@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import * as fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import ffmpegPath from 'ffmpeg-static';
+import { startServer, tone, waitFor } from './helpers.js';
+
+const ID = '1700000000000';
+const COVER = '1700000000001';
+const EXTERNAL = '1700000000002';
+
+let server;
+
+// A small solid-colour PNG.
+function image() {
+  const file = path.join(os.tmpdir(), `gargantuan-image-${process.pid}.png`);
+  execFileSync(ffmpegPath, ['-v', 'error', '-f', 'lavfi', '-i', 'color=c=red:s=64x64', '-frames:v', '1', '-y', file]);
+  const data = fs.readFileSync(file);
+  fs.rmSync(file, { force: true });
+  return data;
+}
+
+// The frame size ffmpeg reports for a video file.
+function frameSize(file) {
+  const { stderr } = spawnSync(ffmpegPath, ['-hide_banner', '-i', file], { encoding: 'utf-8' });
+  return /Video:.*?(\d{2,})x(\d{2,})/.exec(stderr)?.slice(1, 3).join('x');
+}
+
+before(async () => {
+  const audio = tone();
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [ID]: { title: 'Square', body: '', imageUrl: '', draft: false, version: 1 },
+        [COVER]: { title: 'Cover', body: '', imageUrl: '/uploads/images/cover.png', draft: false, version: 1 },
+        [EXTERNAL]: { title: 'External', body: '', imageUrl: 'http://127.0.0.1:9/cover.png', draft: false, version: 1 },
+      },
+      'images/cover.png': image(),
+      [`posts/${ID}.mp3`]: audio,
+      [`posts/${COVER}.mp3`]: audio,
+      [`posts/${EXTERNAL}.mp3`]: audio,
+    },
+  });
+});
+
+after(() => server.stop());
+
+async function render(id, options) {
+  const res = await server.request('/api/generate-video', { method: 'POST', admin: true, json: { filename: `${id}.mp3`, ...options } });
+  assert.equal(res.status, 202, res.text);
+  return waitFor(async () => {
+    const job = (await server.request(`/api/jobs/${res.body.jobId}`, { admin: true })).body;
+    return ['completed', 'failed', 'cancelled'].includes(job.status) && job;
+  }, { timeout: 120 * 1000 });
+}
+
+test('the presets and styles are listed', async () => {
+  const res = await server.request('/api/video-presets');
+  assert.deepEqual(res.body.presets.square, { width: 1080, height: 1080, fps: 30 });
+  assert.ok(res.body.styles.includes('cover'));
+});
+
+test('a render uses the preset size and saves it on the post', async () => {
+  const job = await render(ID, { preset: 'square', style: 'waves', overlay: true });
+  assert.equal(job.status, 'completed', job.error);
+  assert.equal(frameSize(path.join(server.storageDir, `posts/${ID}.mp4`)), '1080x1080');
+  assert.deepEqual(server.storedMeta()[ID].videoPreset, {
+    preset: 'square', style: 'waves', overlay: { title: true, date: true }, filter: 'waves',
+  });
+});
+
+test('unknown presets, styles and overlays are refused', async () => {
+  for (const body of [{ preset: 'huge' }, { style: 'lasers' }, { overlay: 'yes' }]) {
+    const res = await server.request('/api/generate-video', { method: 'POST', admin: true, json: { filename: `${ID}.mp3`, ...body } });
+    assert.equal(res.status, 400, JSON.stringify(body));
+  }
+});
+
+test('the cover style renders an uploaded image', async () => {
+  const job = await render(COVER, { style: 'cover' });
+  assert.equal(job.status, 'completed', job.error);
+  assert.equal(job.filter, 'cover');
+  assert.deepEqual(server.tempFiles(), []);
+});
+
+test('the cover style never fetches an image from elsewhere', async () => {
+  for (const id of [EXTERNAL, ID]) {
+    const res = await server.request('/api/generate-video', { method: 'POST', admin: true, json: { filename: `${id}.mp3`, style: 'cover' } });
+    assert.equal(res.status, 400, id);
+  }
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer, waitFor } from './helpers.js';
+
+const EXPIRED = '1700000000000';
+const RECENT = '1700000000001';
+const LIVE = '1700000000002';
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    env: { TRASH_RETENTION_DAYS: '7' },
+    files: {
+      'posts/_meta.json': {
+        [EXPIRED]: { title: 'Old', body: '', imageUrl: '', draft: false, trashedAt: daysAgo(8), trashedBy: 'admin' },
+        [RECENT]: { title: 'New', body: '', imageUrl: '', draft: false, trashedAt: daysAgo(2), trashedBy: 'admin' },
+        [LIVE]: { title: 'Live', body: '', imageUrl: '', draft: false },
+      },
+    },
+  });
+});
+
+after(() => server.stop());
+
+test('posts past their retention are purged at startup', async () => {
+  await waitFor(() => !server.storedMeta()[EXPIRED]);
+  const trash = await server.request('/api/trash', { admin: true });
+  assert.deepEqual(trash.body.map(p => p.id), [RECENT]);
+  assert.equal(trash.body[0].daysUntilPurge, 5);
+  const [entry] = (await server.request('/api/audit?action=trash.purge-expired', { admin: true })).body;
+  assert.deepEqual(entry.ids, [EXPIRED]);
+});
+
+test('a dry run lists what emptying the trash would remove', async () => {
+  const res = await server.request('/api/trash/empty', { method: 'POST', admin: true, json: { dryRun: true } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 1);
+  assert.equal(res.body.items[0].id, RECENT);
+  assert.ok(server.storedMeta()[RECENT]);
+});
+
+test('emptying the trash leaves live posts alone', async () => {
+  const res = await server.request('/api/trash/empty', { method: 'POST', admin: true, json: {} });
+  assert.deepEqual(res.body.items.map(item => item.id), [RECENT]);
+  assert.deepEqual(Object.keys(server.storedMeta()), [LIVE]);
+  assert.equal((await server.request('/api/trash/empty', { method: 'POST', json: {} })).status, 401);
+});
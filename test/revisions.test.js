@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const ID = '1700000000000';
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': { [ID]: { title: 'First', body: 'one\ntwo', imageUrl: '', draft: false, version: 1 } },
+    },
+  });
+});
+
+after(() => server.stop());
+
+function edit(json, headers) {
+  return server.request(`/api/posts/${ID}`, { method: 'PATCH', admin: true, json, headers });
+}
+
+test('every edit is recorded with its author', async () => {
+  await edit({ title: 'Second' }, { 'x-admin-user': 'alice' });
+  await edit({ body: 'one\nthree' }, { 'x-admin-user': 'bob' });
+  const res = await server.request(`/api/posts/${ID}/revisions`, { admin: true });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.map(r => [r.rev, r.author, r.changed]), [
+    [2, 'bob', ['body']],
+    [1, 'alice', ['title', 'body', 'imageUrl', 'draft']],
+  ]);
+  assert.equal(res.body[0].data, undefined);
+  const rev = await server.request(`/api/posts/${ID}/revisions/1`, { admin: true });
+  assert.equal(rev.body.data.title, 'Second');
+});
+
+test('revisions can be diffed field by field and line by line', async () => {
+  const res = await server.request(`/api/posts/${ID}/revisions/diff?from=1&to=2`, { admin: true });
+  assert.deepEqual(Object.keys(res.body.changes), ['body']);
+  assert.deepEqual(res.body.changes.body.lines, [
+    { op: '=', line: 'one' },
+    { op: '-', line: 'two' },
+    { op: '+', line: 'three' },
+  ]);
+  assert.equal((await server.request(`/api/posts/${ID}/revisions/diff?from=9`, { admin: true })).status, 404);
+});
+
+test('restoring a revision is itself a revision', async () => {
+  const stale = await server.request(`/api/posts/${ID}/revisions/1/restore`, { method: 'POST', admin: true, json: { version: 1 } });
+  assert.equal(stale.status, 409);
+  const res = await server.request(`/api/posts/${ID}/revisions/1/restore`, { method: 'POST', admin: true, json: {} });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.restoredFrom, 1);
+  assert.equal(server.storedMeta()[ID].body, 'one\ntwo');
+  const list = await server.request(`/api/posts/${ID}/revisions`, { admin: true });
+  assert.deepEqual(list.body[0].changed, ['body']);
+  assert.equal(list.body[0].rev, 3);
+});
+
+test('revision routes only take plain post ids', async () => {
+  const before = server.storedMeta();
+  for (const id of ['__proto__', 'constructor', 'toString', '..%2F_meta']) {
+    assert.equal((await server.request(`/api/posts/${id}/revisions`, { admin: true })).status, 400, id);
+    assert.equal((await server.request(`/api/posts/${id}/revisions/1/restore`, { method: 'POST', admin: true, json: {} })).status, 400, id);
+  }
+  assert.deepEqual(server.storedMeta(), before);
+  assert.equal((await server.request(`/api/posts/${ID}/revisions`)).status, 401);
+});
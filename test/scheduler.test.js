@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer, waitFor } from './helpers.js';
+
+const OVERDUE = '1700000000000';
+const FUTURE = '1700000000001';
+const DRAFT = '1700000000002';
+
+const inAnHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [OVERDUE]: { title: 'Overdue', body: '', imageUrl: '', draft: false, publishAt: '2024-01-01T00:00:00.000Z' },
+        [FUTURE]: { title: 'Future', body: '', imageUrl: '', draft: false, publishAt: inAnHour },
+        [DRAFT]: { title: 'Draft', body: '', imageUrl: '', draft: true },
+      },
+    },
+  });
+});
+
+after(() => server.stop());
+
+function listed(list) {
+  return list.map(p => p.id);
+}
+
+test('posts that fell due while the server was down are published at startup', async () => {
+  const entry = await waitFor(() => server.storedMeta()[OVERDUE].publishedAt && server.storedMeta()[OVERDUE]);
+  assert.ok(Date.parse(entry.publishedAt) > Date.parse(entry.publishAt));
+  assert.equal(server.storedMeta()[FUTURE].publishedAt, undefined);
+});
+
+test('scheduled posts are hidden until they are due', async () => {
+  assert.deepEqual(listed((await server.request('/api/posts')).body), [OVERDUE]);
+  assert.equal((await server.request(`/api/posts/${FUTURE}`)).status, 404);
+  assert.doesNotMatch((await server.request('/feed.atom')).text, /Future/);
+  const scheduled = await server.request('/api/scheduled', { admin: true });
+  assert.deepEqual(listed(scheduled.body), [FUTURE]);
+});
+
+test('a draft scheduled shortly is published by the running scheduler', async () => {
+  const publishAt = new Date(Date.now() + 1500).toISOString();
+  const res = await server.request(`/api/posts/${DRAFT}/schedule`, { method: 'POST', admin: true, json: { publishAt } });
+  assert.equal(res.status, 200);
+  assert.equal(server.storedMeta()[DRAFT].draft, false);
+  await waitFor(() => server.storedMeta()[DRAFT].publishedAt, { timeout: 10 * 1000 });
+  assert.ok(listed((await server.request('/api/posts')).body).includes(DRAFT));
+});
+
+test('cancelling a schedule turns the post back into a draft', async () => {
+  const res = await server.request(`/api/posts/${FUTURE}/schedule`, { method: 'DELETE', admin: true });
+  assert.equal(res.status, 200);
+  assert.equal(server.storedMeta()[FUTURE].draft, true);
+  assert.equal(server.storedMeta()[FUTURE].publishAt, undefined);
+  assert.equal((await server.request(`/api/posts/${FUTURE}/schedule`, { method: 'DELETE', admin: true })).status, 404);
+});
+
+test('bad schedules and ids are refused', async () => {
+  const before = server.storedMeta();
+  assert.equal((await server.request(`/api/posts/${FUTURE}/schedule`, { method: 'POST', admin: true, json: { publishAt: 'soon' } })).status, 400);
+  assert.equal((await server.request('/api/posts/4242/schedule', { method: 'POST', admin: true, json: { publishAt: inAnHour } })).status, 404);
+  for (const id of ['__proto__', 'constructor', 'toString', '_meta']) {
+    for (const method of ['POST', 'DELETE']) {
+      const res = await server.request(`/api/posts/${id}/schedule`, { method, admin: true, json: { publishAt: inAnHour } });
+      assert.equal(res.status, 400, `${method} ${id}`);
+    }
+  }
+  assert.deepEqual(server.storedMeta(), before);
+  assert.equal((await server.request(`/api/posts/${FUTURE}/schedule`, { method: 'POST', json: { publishAt: inAnHour } })).status, 401);
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const OLDER = '1700000000000';
+const NEWER = '1700000100000';
+const DRAFT = '1700000200000';
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [OLDER]: { title: 'First Steps', slug: 'first-steps', body: '', imageUrl: '', draft: false },
+        [NEWER]: { title: 'Second', slug: 'second', body: '', imageUrl: '', draft: false },
+        [DRAFT]: { title: 'Unfinished', slug: 'unfinished', body: 'not yet', imageUrl: '', draft: true },
+      },
+    },
+  });
+});
+
+after(() => server.stop());
+
+test('a post is found by id or by slug, with its neighbours', async () => {
+  const byId = await server.request(`/api/posts/${OLDER}`);
+  assert.equal(byId.status, 200);
+  assert.equal(byId.body.slug, 'first-steps');
+  assert.equal(byId.body.previous, null);
+  assert.equal(byId.body.next.id, NEWER);
+  const bySlug = await server.request('/api/posts/second');
+  assert.equal(bySlug.body.id, NEWER);
+  assert.equal(bySlug.body.previous.url, '/api/posts/first-steps');
+});
+
+test('a renamed slug redirects from the old one', async () => {
+  const res = await server.request(`/api/posts/${OLDER}`, { method: 'PATCH', admin: true, json: { slug: 'getting-started' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(server.storedMeta()[OLDER].previousSlugs, ['first-steps']);
+  const old = await server.request('/api/posts/first-steps');
+  assert.equal(old.status, 301);
+  assert.equal(old.headers.get('location'), '/api/posts/getting-started');
+});
+
+test('slugs must be valid and unused', async () => {
+  for (const slug of ['Upper', 'two words', '12345', 'getting-started', 'first-steps']) {
+    const res = await server.request(`/api/posts/${NEWER}`, { method: 'PATCH', admin: true, json: { slug } });
+    assert.ok([400, 409].includes(res.status), slug);
+  }
+  assert.equal(server.storedMeta()[NEWER].slug, 'second');
+});
+
+test('new posts get a unique slug from their title', async () => {
+  const res = await server.request('/api/create-post', { method: 'POST', admin: true, json: { title: 'Second!' } });
+  assert.equal(server.storedMeta()[res.body.id].slug, 'second-2');
+});
+
+test('drafts are only visible to admins', async () => {
+  assert.equal((await server.request('/api/posts/unfinished')).status, 404);
+  assert.equal((await server.request(`/api/posts/${DRAFT}`)).status, 404);
+  assert.equal((await server.request('/api/posts/unfinished', { admin: true })).body.id, DRAFT);
+  assert.equal((await server.request('/api/drafts')).status, 401);
+  const drafts = await server.request('/api/drafts', { admin: true });
+  assert.deepEqual(drafts.body.map(p => p.id), [DRAFT]);
+});
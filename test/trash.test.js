@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { startServer } from './helpers.js';
+
+const TEXT = '1700000000000';
+const AUDIO = '1700000000001';
+
+let server;
+
+before(async () => {
+  server = await startServer({
+    files: {
+      'posts/_meta.json': {
+        [TEXT]: { title: 'Words', body: 'only text', imageUrl: '', draft: false },
+        [AUDIO]: { title: 'Sounds', body: '', imageUrl: '', draft: false },
+      },
+      [`posts/${AUDIO}.mp3`]: 'not really audio',
+    },
+  });
+});
+
+after(() => server.stop());
+
+function stored(key) {
+  return fs.existsSync(path.join(server.storageDir, key));
+}
+
+function ids(list) {
+  return list.map(p => p.id);
+}
+
+test('posts of every type can be moved to the trash', async () => {
+  for (const id of [TEXT, AUDIO]) {
+    const res = await server.request(`/api/posts/${id}`, { method: 'DELETE', admin: true });
+    assert.equal(res.status, 200, id);
+    assert.ok(server.storedMeta()[id].trashedAt, id);
+  }
+  assert.ok(stored(`posts/.trash/${AUDIO}.mp3`));
+  assert.ok(!stored(`posts/${AUDIO}.mp3`));
+  assert.deepEqual((await server.request('/api/posts')).body, []);
+  assert.deepEqual(ids((await server.request('/api/trash', { admin: true })).body).sort(), [TEXT, AUDIO]);
+  assert.equal((await server.request(`/api/posts/${TEXT}`, { method: 'DELETE', admin: true })).status, 404);
+});
+
+test('a trashed post can be restored', async () => {
+  const res = await server.request(`/api/posts/${AUDIO}/restore`, { method: 'POST', admin: true });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.restored, [`${AUDIO}.mp3`]);
+  assert.equal(server.storedMeta()[AUDIO].trashedAt, undefined);
+  assert.ok(stored(`posts/${AUDIO}.mp3`));
+  assert.deepEqual(ids((await server.request('/api/posts')).body), [AUDIO]);
+  assert.equal((await server.request(`/api/posts/${AUDIO}/restore`, { method: 'POST', admin: true })).status, 404);
+});
+
+test('only trashed posts can be purged', async () => {
+  assert.equal((await server.request(`/api/trash/${AUDIO}`, { method: 'DELETE', admin: true })).status, 404);
+  const res = await server.request(`/api/trash/${TEXT}`, { method: 'DELETE', admin: true });
+  assert.equal(res.status, 200);
+  assert.equal(server.storedMeta()[TEXT], undefined);
+  assert.deepEqual((await server.request('/api/trash', { admin: true })).body, []);
+});
+
+test('the trash needs a signed in user', async () => {
+  assert.equal((await server.request('/api/trash')).status, 401);
+  assert.equal((await server.request(`/api/posts/${AUDIO}`, { method: 'DELETE' })).status, 401);
+});
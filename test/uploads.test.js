@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import * as fs from 'node:fs';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { multipart, startServer, tone } from './helpers.js';
+
+// Completed uploads are probed, so that test needs ffprobe.
+const skip = spawnSync(process.env.FFPROBE_PATH || 'ffprobe', ['-version']).error ? 'ffprobe is not installed' : false;
+
+let server;
+
+before(async () => {
+  server = await startServer({ env: { AUDIO_MAX_MB: '0.05', IMAGE_MAX_MB: '0.01' } });
+});
+
+after(() => server.stop());
+
+function open(json) {
+  return server.request('/api/uploads', { method: 'POST', admin: true, json });
+}
+
+function chunk(id, offset, body) {
+  return server.request(`/api/uploads/${id}`, { method: 'PATCH', admin: true, body, headers: { 'upload-offset': String(offset) } });
+}
+
+test('uploads over their kind\'s limit get a 413', async () => {
+  for (const [route, field, size] of [['/api/upload', 'audio', 100 * 1024], ['/api/images/upload', 'image', 20 * 1024]]) {
+    const res = await server.request(route, { method: 'POST', admin: true, body: multipart(field, `big.${field}`, Buffer.alloc(size)) });
+    assert.equal(res.status, 413, `${field} ${size}`);
+    assert.match(res.body.error, new RegExp(`^${field} file too large`));
+  }
+  assert.equal((await open({ kind: 'audio', filename: 'big.mp3', size: 100 * 1024 })).status, 413);
+});
+
+test('chunks must arrive in order and within the declared size', async () => {
+  const created = await open({ kind: 'audio', filename: 'song.mp3', size: 10 });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.offset, 0);
+  const { id } = created.body;
+  assert.equal((await chunk(id, 0, Buffer.alloc(4))).body.offset, 4);
+  const wrong = await chunk(id, 0, Buffer.alloc(4));
+  assert.equal(wrong.status, 409);
+  assert.equal(wrong.body.offset, 4);
+  assert.equal((await chunk(id, 4, Buffer.alloc(7))).status, 413);
+  assert.equal((await server.request(`/api/uploads/${id}`, { admin: true })).body.offset, 4);
+  assert.equal((await server.request(`/api/uploads/${id}/complete`, { method: 'POST', admin: true, json: {} })).status, 409);
+  assert.equal((await server.request(`/api/uploads/${id}`, { method: 'DELETE', admin: true })).status, 200);
+  assert.equal((await server.request(`/api/uploads/${id}`, { admin: true })).status, 404);
+});
+
+test('a completed upload is processed like a multipart one', { skip }, async () => {
+  const audio = tone();
+  const { id } = (await open({ kind: 'audio', filename: 'Chunked.mp3', size: audio.length })).body;
+  const half = Math.floor(audio.length / 2);
+  await chunk(id, 0, audio.subarray(0, half));
+  await chunk(id, half, audio.subarray(half));
+  const res = await server.request(`/api/uploads/${id}/complete`, { method: 'POST', admin: true, json: {} });
+  assert.equal(res.status, 200, res.text);
+  assert.equal(server.storedMeta()[res.body.id].title, 'Chunked');
+  assert.ok(fs.existsSync(path.join(server.storageDir, `posts/${res.body.id}.mp3`)));
+  assert.equal((await server.request(`/api/uploads/${id}`, { admin: true })).status, 404);
+});
+
+test('uploads need posts:write', async () => {
+  assert.equal((await server.request('/api/uploads', { method: 'POST', json: { kind: 'audio', filename: 'a.mp3', size: 1 } })).status, 401);
+});
@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { after, before, test } from 'node:test';
+import { startServer, waitFor } from './helpers.js';
+
+let server;
+let receiver;
+let receiverUrl;
+const received = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body });
+      res.statusCode = req.url === '/broken' ? 500 : 204;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+  receiver.close();
+});
+
+function createHook(json) {
+  return server.request('/api/webhooks', { method: 'POST', admin: true, json });
+}
+
+test('events are delivered signed with the hook secret', async () => {
+  const hook = await createHook({ url: `${receiverUrl}/hook`, events: ['post.created'] });
+  assert.equal(hook.status, 201);
+  assert.match(hook.body.secret, /^whsec_/);
+  const created = await server.request('/api/create-post', { method: 'POST', admin: true, json: { title: 'Announced' } });
+  const delivery = await waitFor(() => received.find(r => r.url === '/hook'));
+  assert.equal(delivery.headers['x-gargantuan-event'], 'post.created');
+  const timestamp = delivery.headers['x-gargantuan-timestamp'];
+  const expected = crypto.createHmac('sha256', hook.body.secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+  assert.equal(delivery.headers['x-gargantuan-signature'], `sha256=${expected}`);
+  const payload = JSON.parse(delivery.body);
+  assert.equal(payload.id, delivery.headers['x-gargantuan-delivery']);
+  assert.equal(payload.post.id, created.body.id);
+  assert.equal(payload.post.title, 'Announced');
+  const log = await waitFor(async () => (await server.request(`/api/webhooks/${hook.body.id}/deliveries`, { admin: true })).body[0]);
+  assert.equal(log.ok, true);
+  assert.equal(log.attempt, 1);
+});
+
+test('failed deliveries are logged with a retry time', async () => {
+  const hook = await createHook({ url: `${receiverUrl}/broken`, events: ['*'] });
+  const res = await server.request(`/api/webhooks/${hook.body.id}/ping`, { method: 'POST', admin: true });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.delivery.nextRetryAt, undefined);
+  await server.request('/api/create-post', { method: 'POST', admin: true, json: { title: 'Unheard' } });
+  const [latest] = await waitFor(async () => {
+    const log = (await server.request(`/api/webhooks/${hook.body.id}/deliveries`, { admin: true })).body;
+    return log.length > 1 && log;
+  });
+  assert.equal(latest.ok, false);
+  assert.ok(Date.parse(latest.nextRetryAt) > Date.now());
+});
+
+test('secrets are only shown when created or rotated', async () => {
+  const hook = await createHook({ url: `${receiverUrl}/hook`, events: ['post.deleted'], active: false });
+  const list = await server.request('/api/webhooks', { admin: true });
+  assert.ok(list.body.every(h => h.secret === undefined));
+  const rotated = await server.request(`/api/webhooks/${hook.body.id}`, { method: 'PATCH', admin: true, json: { rotateSecret: true } });
+  assert.notEqual(rotated.body.secret, hook.body.secret);
+  assert.equal((await server.request(`/api/webhooks/${hook.body.id}`, { method: 'DELETE', admin: true })).status, 200);
+});
+
+test('bad hooks and unknown ids are refused', async () => {
+  for (const json of [{ url: 'ftp://example.com', events: ['*'] }, { url: `${receiverUrl}/hook`, events: [] }, { url: `${receiverUrl}/hook`, events: ['post.exploded'] }]) {
+    assert.equal((await createHook(json)).status, 400, JSON.stringify(json));
+  }
+  for (const id of ['constructor', 'toString', '__proto__', 'missing']) {
+    assert.equal((await server.request(`/api/webhooks/${id}`, { method: 'PATCH', admin: true, json: { active: false } })).status, 404, id);
+    assert.equal((await server.request(`/api/webhooks/${id}`, { method: 'DELETE', admin: true })).status, 404, id);
+    assert.equal((await server.request(`/api/webhooks/${id}/ping`, { method: 'POST', admin: true })).status, 404, id);
+    assert.equal((await server.request(`/api/webhooks/${id}/deliveries`, { admin: true })).status, 404, id);
+  }
+  assert.equal((await server.request('/api/webhooks')).status, 401);
+});